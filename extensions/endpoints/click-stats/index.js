@@ -0,0 +1,69 @@
+/**
+ * Click stats endpoint - data API for the click-stats dashboard panel
+ *
+ * Routes (mounted at /click-stats):
+ * - GET /click-stats?from=2025-01-01&to=2025-01-31&groupBy=day,store
+ *
+ * Reads the click_stats roll-up built nightly by scripts/aggregate-clicks.js
+ * (scripts/utils/click-stats.js). Runs with the caller's permissions - only
+ * logged-in users with read access to click_stats get data.
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '../../../.env') });
+
+const { parseStatsQuery, getClickStats } = require('../../../scripts/utils/click-stats');
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Directus-style error response
+ */
+function sendError(res, status, code, message) {
+  return res.status(status).json({ errors: [{ message, extensions: { code } }] });
+}
+
+// ============================================================================
+// ENDPOINT
+// ============================================================================
+
+module.exports = {
+  id: 'click-stats',
+  handler: (router, { services, getSchema, logger }) => {
+    const { ItemsService } = services;
+
+    router.get('/', async (req, res) => {
+      if (!req.accountability || !req.accountability.user) {
+        return sendError(res, 403, 'FORBIDDEN', 'You must be logged in to read click stats');
+      }
+
+      const query = parseStatsQuery(req.query);
+      if (query.error) {
+        return sendError(res, 400, 'INVALID_QUERY', query.error);
+      }
+
+      try {
+        const schema = await getSchema();
+        const options = { schema, accountability: req.accountability };
+
+        const stats = await getClickStats({
+          clickStats: new ItemsService('click_stats', options),
+          games: new ItemsService('games', options)
+        }, query);
+
+        return res.json({ data: stats });
+
+      } catch (error) {
+        if (error.status === 403) {
+          return sendError(res, 403, 'FORBIDDEN', 'You do not have access to click stats');
+        }
+
+        logger.error(`[click-stats] Query failed: ${error.message}`);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Could not load click stats');
+      }
+    });
+  }
+};
@@ -0,0 +1,150 @@
+/**
+ * Go endpoint - outbound deal redirect with click tracking
+ *
+ * Routes (mounted at /go):
+ * - GET /go/:dealId?source=home&device=steam_deck   Record the click, 302 to the store with affiliate parameters
+ *
+ * Every outbound "Get deal" link on the site (and in emails) points here instead of
+ * the raw deal URL. Clicks go to the `clicks` collection with a salted IP hash
+ * (CLICK_IP_SALT) - the raw IP is never stored. Affiliate parameters come from
+ * scripts/config/affiliates.json (scripts/utils/affiliate-links.js) and only
+ * apply to direct store URLs, not CheapShark redirects.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+require('dotenv').config({ path: path.join(__dirname, '../../../.env') });
+
+const { buildAffiliateUrl } = require('../../../scripts/utils/affiliate-links');
+const { renderNoticePage } = require('../../../scripts/utils/email-templates');
+const { getDevice } = require('../../../scripts/utils/devices');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const IP_SALT = process.env.CLICK_IP_SALT;
+
+// clicks.source_page choices
+const SOURCE_PAGES = ['home', 'browse', 'game', 'sale', 'collection', 'search', 'email', 'other'];
+
+// Crawlers and link previews - redirected but not counted
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless/i;
+
+const SESSION_COOKIE = 'hd_sid';
+const MAX_TEXT_LENGTH = 255;
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Salted SHA-256 of the client IP (null without a salt - an unsalted hash is reversible)
+ */
+function hashIp(ip) {
+  if (!ip || !IP_SALT) {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(`${IP_SALT}:${ip}`).digest('hex');
+}
+
+/**
+ * Trim a header value to the column size
+ */
+function truncate(value) {
+  return typeof value === 'string' && value ? value.slice(0, MAX_TEXT_LENGTH) : null;
+}
+
+/**
+ * Visitor's selected device (the site's handheld_device cookie, passed as ?device=)
+ */
+function parseDevice(value) {
+  if (value === 'all') {
+    return 'all';
+  }
+
+  return getDevice(value) ? value : null;
+}
+
+// ============================================================================
+// ENDPOINT
+// ============================================================================
+
+module.exports = {
+  id: 'go',
+  handler: (router, { services, getSchema, logger }) => {
+    const { ItemsService } = services;
+
+    if (!IP_SALT) {
+      logger.warn('[go] CLICK_IP_SALT is not set - clicks are recorded without ip_hash');
+    }
+
+    // Internal (admin) services - the public role has no access to clicks
+    async function getServices() {
+      const schema = await getSchema();
+      const options = { schema, accountability: null };
+
+      return {
+        deals: new ItemsService('deals', options),
+        clicks: new ItemsService('clicks', options)
+      };
+    }
+
+    router.get('/:dealId', async (req, res) => {
+      try {
+        const { deals, clicks } = await getServices();
+
+        const [deal] = await deals.readByQuery({
+          filter: { id: { _eq: req.params.dealId } },
+          fields: ['id', 'game_id', 'store', 'url'],
+          limit: 1
+        });
+
+        const target = deal ? buildAffiliateUrl(deal) : null;
+
+        if (!target) {
+          return res.status(404).type('html').send(renderNoticePage(
+            'Deal not found',
+            "This deal has ended or was removed - check today's deals instead."
+          ));
+        }
+
+        // Anonymous session id, kept for the browser session
+        let sessionId = req.cookies && req.cookies[SESSION_COOKIE];
+        if (!sessionId) {
+          sessionId = crypto.randomUUID();
+          res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'lax', secure: req.secure });
+        }
+
+        const userAgent = req.get('user-agent');
+
+        if (!BOT_PATTERN.test(userAgent || '')) {
+          // Don't hold up the redirect - a failed insert only loses one click
+          clicks.createOne({
+            game_id: deal.game_id,
+            deal_id: deal.id,
+            source_page: SOURCE_PAGES.includes(req.query.source) ? req.query.source : 'other',
+            store: deal.store,
+            device: parseDevice(req.query.device),
+            session_id: sessionId,
+            user_agent: truncate(userAgent),
+            referrer: truncate(req.get('referer')),
+            ip_hash: hashIp(req.accountability?.ip || req.ip)
+          }).catch(error => logger.warn(`[go] Could not record click: ${error.message}`));
+        }
+
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(302, target);
+
+      } catch (error) {
+        logger.error(`[go] Redirect failed: ${error.message}`);
+        return res.status(500).type('html').send(renderNoticePage(
+          'Something went wrong',
+          'Could not open this deal, please try again later.'
+        ));
+      }
+    });
+  }
+};
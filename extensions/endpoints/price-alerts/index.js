@@ -0,0 +1,412 @@
+/**
+ * Price alerts endpoint - double opt-in + one-click unsubscribe
+ *
+ * Routes (mounted at /price-alerts):
+ * - POST /price-alerts                    Create an unverified alert, email the confirmation link
+ *                                         (never changes a confirmed alert - confirming the new
+ *                                         one replaces it)
+ *   body: { email, game_id, alert_type?, target_price?, target_discount_percent?, event_id?,
+ *           rearm_policy?, cooldown_hours?, device_context?, min_device_status?,
+ *           min_battery_hours?, historical_low_only? } (rules: scripts/utils/alert-rules.js)
+ * - GET  /price-alerts/confirm?token=     Verify the alert (processPriceAlerts only checks verified alerts)
+ * - GET  /price-alerts/unsubscribe?token= Confirmation page with an Unsubscribe button (link in every
+ *                                         alert email, &all=1 = every alert of the token's email address)
+ * - POST /price-alerts/unsubscribe?token= Delete the alert(s) - the page's button and RFC 8058
+ *                                         List-Unsubscribe-Post clients (&format=html = reply with a page)
+ *
+ * The verification_token is the alert's only credential: it is never returned
+ * by the API, only emailed. Unconfirmed and expired alerts are purged daily by
+ * scripts/cleanup-price-alerts.js.
+ *
+ * Emails go through scripts/utils/mailer.js, so the Directus process needs the
+ * same MAIL_* settings as the cron scripts.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+require('dotenv').config({ path: path.join(__dirname, '../../../.env') });
+
+const { isValidEmail, sendMail } = require('../../../scripts/utils/mailer');
+const {
+  describeAlert,
+  renderNoticePage,
+  renderAlertConfirmationEmail,
+  getAlertUnsubscribeUrl
+} = require('../../../scripts/utils/email-templates');
+const { resolveDevice } = require('../../../scripts/utils/devices');
+const {
+  ALERT_TYPES,
+  REARM_POLICIES,
+  DEFAULT_REARM_POLICY,
+  DEFAULT_COOLDOWN_HOURS,
+  STATUS_RANK
+} = require('../../../scripts/utils/alert-rules');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const TTL_DAYS = parseInt(process.env.PRICE_ALERT_TTL_DAYS || '90');
+const MAX_TARGET_PRICE = 1000;
+const MAX_BATTERY_HOURS = 24;
+const MAX_COOLDOWN_HOURS = 24 * 30;
+const DEFAULT_MIN_STATUS = 'playable';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Directus-style error response
+ */
+function sendError(res, status, code, message) {
+  return res.status(status).json({ errors: [{ message, extensions: { code } }] });
+}
+
+/**
+ * HTML page for links clicked from an email
+ */
+function sendPage(res, status, title, message, action = null) {
+  return res.status(status).type('html').send(renderNoticePage(title, message, action));
+}
+
+/**
+ * Registry device id for a device_context value ('any', device id or curator code)
+ * @returns {string|null|undefined} - 'any', device id, or undefined if unknown
+ */
+function normalizeDeviceContext(value) {
+  if (value === undefined || value === null || value === '' || value === 'any') {
+    return 'any';
+  }
+
+  const device = resolveDevice(value);
+  return device ? device.id : undefined;
+}
+
+/**
+ * Validate POST body → alert fields or { error }
+ */
+function parseAlertRequest(body = {}) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const alertType = body.alert_type || 'target_price';
+  const targetPrice = body.target_price ? Math.round(parseFloat(body.target_price) * 100) / 100 : null;
+  const targetDiscount = body.target_discount_percent ? parseInt(body.target_discount_percent) : null;
+  const rearmPolicy = body.rearm_policy || DEFAULT_REARM_POLICY[alertType];
+  const cooldownHours = body.cooldown_hours !== undefined ? parseInt(body.cooldown_hours) : DEFAULT_COOLDOWN_HOURS;
+  const deviceContext = normalizeDeviceContext(body.device_context);
+  const minStatus = body.min_device_status === undefined ? DEFAULT_MIN_STATUS : body.min_device_status || null;
+  const minHours = body.min_battery_hours ? parseFloat(body.min_battery_hours) : null;
+
+  if (!isValidEmail(email)) {
+    return { error: 'A valid email address is required' };
+  }
+  if (!body.game_id || typeof body.game_id !== 'string') {
+    return { error: 'game_id is required' };
+  }
+  if (!ALERT_TYPES.includes(alertType)) {
+    return { error: `alert_type must be one of ${ALERT_TYPES.join(', ')}` };
+  }
+  if ((alertType === 'target_price' || targetPrice !== null) && !(targetPrice > 0 && targetPrice <= MAX_TARGET_PRICE)) {
+    return { error: `target_price must be between 0 and ${MAX_TARGET_PRICE}` };
+  }
+  if (alertType === 'percent_off' && !(targetDiscount > 0 && targetDiscount < 100)) {
+    return { error: 'target_discount_percent must be between 1 and 99' };
+  }
+  if (body.event_id && (alertType !== 'event_sale' || typeof body.event_id !== 'string')) {
+    return { error: 'event_id is only valid for event_sale alerts' };
+  }
+  if (!REARM_POLICIES.includes(rearmPolicy)) {
+    return { error: `rearm_policy must be one of ${REARM_POLICIES.join(', ')}` };
+  }
+  if (!(cooldownHours >= 0 && cooldownHours <= MAX_COOLDOWN_HOURS)) {
+    return { error: `cooldown_hours must be between 0 and ${MAX_COOLDOWN_HOURS}` };
+  }
+  if (deviceContext === undefined) {
+    return { error: `Unknown device_context "${body.device_context}"` };
+  }
+  if (minStatus && !(minStatus in STATUS_RANK && minStatus !== 'poor')) {
+    return { error: 'min_device_status must be playable, good or excellent' };
+  }
+  if (minHours !== null && !(minHours > 0 && minHours <= MAX_BATTERY_HOURS)) {
+    return { error: `min_battery_hours must be between 0 and ${MAX_BATTERY_HOURS}` };
+  }
+
+  return {
+    email,
+    game_id: body.game_id,
+    alert_type: alertType,
+    target_price: targetPrice,
+    target_discount_percent: alertType === 'percent_off' ? targetDiscount : null,
+    event_id: body.event_id || null,
+    rearm_policy: rearmPolicy,
+    cooldown_hours: cooldownHours,
+    device_context: deviceContext,
+    min_device_status: minStatus,
+    min_battery_hours: minHours,
+    historical_low_only: body.historical_low_only === true || body.historical_low_only === 'true'
+  };
+}
+
+// ============================================================================
+// ENDPOINT
+// ============================================================================
+
+module.exports = {
+  id: 'price-alerts',
+  handler: (router, { services, getSchema, logger }) => {
+    const { ItemsService } = services;
+
+    // Internal (admin) services - public users never read price_alerts directly
+    async function getServices() {
+      const schema = await getSchema();
+      const options = { schema, accountability: null };
+
+      return {
+        alerts: new ItemsService('price_alerts', options),
+        games: new ItemsService('games', options),
+        deals: new ItemsService('deals', options),
+        deliveries: new ItemsService('email_deliveries', options)
+      };
+    }
+
+    async function findAlertByToken(alerts, token) {
+      if (!token || typeof token !== 'string') {
+        return null;
+      }
+
+      const [alert] = await alerts.readByQuery({
+        filter: { verification_token: { _eq: token } },
+        fields: [
+          'id', 'email', 'verified', 'expires_at', 'alert_type', 'target_price', 'target_discount_percent',
+          'game_id.id', 'game_id.title'
+        ],
+        limit: 1
+      });
+
+      return alert || null;
+    }
+
+    /**
+     * Record a delivery outcome (logging must never break the request)
+     */
+    async function recordDelivery(deliveries, result, alertId) {
+      try {
+        await deliveries.createOne({
+          kind: 'alert_confirmation',
+          status: result.ok ? 'sent' : 'failed',
+          recipient: result.to,
+          subject: result.subject,
+          transport: result.transport,
+          message_id: result.message_id,
+          error: result.error,
+          price_alert_id: alertId,
+          sent_at: result.sent_at
+        });
+      } catch (error) {
+        logger.warn(`[price-alerts] Could not record delivery: ${error.message}`);
+      }
+    }
+
+    // Create alert (or update the pending one for the same email + game)
+    // Anyone can POST any address, so a confirmed alert is never touched here
+    router.post('/', async (req, res) => {
+      const request = parseAlertRequest(req.body);
+      if (request.error) {
+        return sendError(res, 400, 'INVALID_PAYLOAD', request.error);
+      }
+
+      try {
+        const { alerts, games, deals, deliveries } = await getServices();
+
+        const [game] = await games.readByQuery({
+          filter: { id: { _eq: request.game_id } },
+          fields: ['id', 'title', 'slug'],
+          limit: 1
+        });
+
+        if (!game) {
+          return sendError(res, 404, 'NOT_FOUND', 'Game not found');
+        }
+
+        const [bestDeal] = await deals.readByQuery({
+          filter: {
+            _and: [
+              { game_id: { _eq: game.id } },
+              {
+                _or: [
+                  { expires_at: { _null: true } },
+                  { expires_at: { _gt: new Date().toISOString() } }  // Not expired
+                ]
+              }
+            ]
+          },
+          fields: ['price'],
+          sort: ['price'],
+          limit: 1
+        });
+
+        const [existing] = await alerts.readByQuery({
+          filter: {
+            _and: [
+              { email: { _eq: request.email } },
+              { game_id: { _eq: game.id } },
+              { alert_type: { _eq: request.alert_type } },
+              { alert_sent: { _eq: false } },
+              { verified: { _eq: false } }
+            ]
+          },
+          fields: ['id'],
+          limit: 1
+        });
+
+        const alert = {
+          email: request.email,
+          game_id: game.id,
+          alert_type: request.alert_type,
+          target_price: request.target_price,
+          target_discount_percent: request.target_discount_percent,
+          event_id: request.event_id,
+          rearm_policy: request.rearm_policy,
+          cooldown_hours: request.cooldown_hours,
+          armed: true,
+          device_context: request.device_context,
+          min_device_status: request.min_device_status,
+          min_battery_hours: request.min_battery_hours,
+          historical_low_only: request.historical_low_only,
+          current_price: bestDeal ? bestDeal.price : null,
+          expires_at: new Date(Date.now() + TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+          verified: false,
+          verification_token: crypto.randomUUID(),
+          alert_sent: false
+        };
+
+        if (existing) {
+          await alerts.updateOne(existing.id, alert);
+          alert.id = existing.id;
+        } else {
+          alert.id = await alerts.createOne(alert);
+        }
+
+        const email = renderAlertConfirmationEmail({ alert, game });
+        const result = await sendMail({ to: alert.email, ...email });
+        await recordDelivery(deliveries, result, alert.id);
+
+        if (!result.ok) {
+          logger.error(`[price-alerts] Confirmation email failed via ${result.transport}: ${result.error}`);
+          return sendError(res, 502, 'SERVICE_UNAVAILABLE', 'Could not send the confirmation email, please try again');
+        }
+
+        return res.status(202).json({ data: { status: 'pending_verification', expires_at: alert.expires_at } });
+
+      } catch (error) {
+        logger.error(`[price-alerts] Create failed: ${error.message}`);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Could not create the price alert');
+      }
+    });
+
+    // Double opt-in confirmation link
+    router.get('/confirm', async (req, res) => {
+      try {
+        const { alerts } = await getServices();
+        const alert = await findAlertByToken(alerts, req.query.token);
+
+        if (!alert) {
+          return sendPage(res, 404, 'Link expired', 'This alert no longer exists. Unconfirmed alerts are removed after a couple of days - please set it up again.');
+        }
+
+        if (alert.expires_at && new Date(alert.expires_at) < new Date()) {
+          return sendPage(res, 410, 'Alert expired', 'This price alert has expired - please set it up again.');
+        }
+
+        if (!alert.verified) {
+          await alerts.updateOne(alert.id, { verified: true });
+
+          // Confirming proves the inbox - replace the address's older alert for this game + type
+          if (alert.game_id) {
+            await alerts.deleteByQuery({
+              filter: {
+                _and: [
+                  { id: { _neq: alert.id } },
+                  { email: { _eq: alert.email } },
+                  { game_id: { _eq: alert.game_id.id } },
+                  { alert_type: { _eq: alert.alert_type } },
+                  { alert_sent: { _eq: false } },
+                  { verified: { _eq: true } }
+                ]
+              }
+            });
+          }
+        }
+
+        const game = { title: alert.game_id ? alert.game_id.title : 'this game' };
+        return sendPage(res, 200, '✅ Price alert confirmed', `We'll email you ${describeAlert(alert, game)}.`);
+
+      } catch (error) {
+        logger.error(`[price-alerts] Confirm failed: ${error.message}`);
+        return sendPage(res, 500, 'Something went wrong', 'Could not confirm the alert, please try the link again later.');
+      }
+    });
+
+    // Unsubscribe link from the email - only asks, mail scanners follow GET links
+    router.get('/unsubscribe', async (req, res) => {
+      try {
+        const { alerts } = await getServices();
+        const alert = await findAlertByToken(alerts, req.query.token);
+        const all = req.query.all === '1';
+
+        // Already gone - the link may be clicked twice
+        if (!alert) {
+          return sendPage(res, 200, 'Unsubscribed', 'This price alert has already been removed.');
+        }
+
+        const action = {
+          url: `${getAlertUnsubscribeUrl(req.query.token, { all })}&format=html`,
+          label: all ? 'Remove all my price alerts' : 'Unsubscribe'
+        };
+
+        const game = { title: alert.game_id ? alert.game_id.title : 'this game' };
+        return all
+          ? sendPage(res, 200, 'Remove all price alerts?', `Every price alert for ${alert.email} will be removed.`, action)
+          : sendPage(res, 200, 'Remove this price alert?', `You'll stop getting emails ${describeAlert(alert, game)}.`, action);
+
+      } catch (error) {
+        logger.error(`[price-alerts] Unsubscribe page failed: ${error.message}`);
+        return sendPage(res, 500, 'Something went wrong', 'Could not load the alert, please try the link again later.');
+      }
+    });
+
+    // Unsubscribe (the page's button, or RFC 8058 one-click from mail clients)
+    router.post('/unsubscribe', async (req, res) => {
+      const page = req.query.format === 'html';
+
+      try {
+        const { alerts } = await getServices();
+        const alert = await findAlertByToken(alerts, req.query.token);
+
+        const all = req.query.all === '1';
+
+        // Already gone counts as success - the button may be clicked twice
+        if (alert && all) {
+          await alerts.deleteByQuery({ filter: { email: { _eq: alert.email } } });
+        } else if (alert) {
+          await alerts.deleteOne(alert.id);
+        }
+
+        if (!page) {
+          return res.status(200).end();
+        }
+
+        return all
+          ? sendPage(res, 200, 'Unsubscribed', "All your price alerts have been removed. You won't get any more price alert emails.")
+          : sendPage(res, 200, 'Unsubscribed', "This price alert has been removed. You won't get any more emails about it.");
+
+      } catch (error) {
+        logger.error(`[price-alerts] Unsubscribe failed: ${error.message}`);
+        return page
+          ? sendPage(res, 500, 'Something went wrong', 'Could not remove the alert, please try the link again later.')
+          : res.status(500).end();
+      }
+    });
+  }
+};
@@ -0,0 +1,270 @@
+/**
+ * Subscribers endpoint - weekly digest double opt-in + one-click unsubscribe
+ *
+ * Routes (mounted at /subscribers):
+ * - POST /subscribers                    Subscribe { email, device?, source?, token? }, email the confirmation
+ *                                        link (an active subscription only changes with its token)
+ * - GET  /subscribers/confirm?token=     Activate the subscription
+ * - GET  /subscribers/unsubscribe?token= Confirmation page with an Unsubscribe button (link in every digest)
+ * - POST /subscribers/unsubscribe?token= Unsubscribe - the page's button and RFC 8058
+ *                                        List-Unsubscribe-Post clients (&format=html = reply with a page)
+ *
+ * Called by the site's /api/subscribe route (NewsletterCTA + Footer forms).
+ * Digests are sent by scripts/send-weekly-digest.js. Like price-alerts, the
+ * verification_token is never returned by the API, only emailed. Pending
+ * subscribers are purged daily by scripts/cleanup-subscribers.js.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+require('dotenv').config({ path: path.join(__dirname, '../../../.env') });
+
+const { isValidEmail, sendMail } = require('../../../scripts/utils/mailer');
+const {
+  renderNoticePage,
+  renderSubscriberConfirmationEmail,
+  getSubscriberUnsubscribeUrl
+} = require('../../../scripts/utils/email-templates');
+const { resolveDevice } = require('../../../scripts/utils/devices');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const SOURCES = ['newsletter_cta', 'footer'];
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Directus-style error response
+ */
+function sendError(res, status, code, message) {
+  return res.status(status).json({ errors: [{ message, extensions: { code } }] });
+}
+
+/**
+ * HTML page for links clicked from an email
+ */
+function sendPage(res, status, title, message, action = null) {
+  return res.status(status).type('html').send(renderNoticePage(title, message, action));
+}
+
+/**
+ * Validate POST body → { email, device, source, token } or { error }
+ */
+function parseSubscribeRequest(body = {}) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const device = !body.device || body.device === 'all' ? null : resolveDevice(body.device);
+
+  if (!isValidEmail(email)) {
+    return { error: 'A valid email address is required' };
+  }
+  if (body.device && body.device !== 'all' && !device) {
+    return { error: `Unknown device "${body.device}"` };
+  }
+
+  return {
+    email,
+    device,
+    source: SOURCES.includes(body.source) ? body.source : null,
+    token: typeof body.token === 'string' ? body.token : null
+  };
+}
+
+// ============================================================================
+// ENDPOINT
+// ============================================================================
+
+module.exports = {
+  id: 'subscribers',
+  handler: (router, { services, getSchema, logger }) => {
+    const { ItemsService } = services;
+
+    // Internal (admin) services - the public role has no access to subscribers
+    async function getServices() {
+      const schema = await getSchema();
+      const options = { schema, accountability: null };
+
+      return {
+        subscribers: new ItemsService('subscribers', options),
+        deliveries: new ItemsService('email_deliveries', options)
+      };
+    }
+
+    async function findSubscriberByToken(subscribers, token) {
+      if (!token || typeof token !== 'string') {
+        return null;
+      }
+
+      const [subscriber] = await subscribers.readByQuery({
+        filter: { verification_token: { _eq: token } },
+        fields: ['id', 'status', 'device'],
+        limit: 1
+      });
+
+      return subscriber || null;
+    }
+
+    /**
+     * Record a delivery outcome (logging must never break the request)
+     */
+    async function recordDelivery(deliveries, result, subscriberId) {
+      try {
+        await deliveries.createOne({
+          kind: 'subscriber_confirmation',
+          status: result.ok ? 'sent' : 'failed',
+          recipient: result.to,
+          subject: result.subject,
+          transport: result.transport,
+          message_id: result.message_id,
+          error: result.error,
+          subscriber_id: subscriberId,
+          sent_at: result.sent_at
+        });
+      } catch (error) {
+        logger.warn(`[subscribers] Could not record delivery: ${error.message}`);
+      }
+    }
+
+    // Subscribe (new, pending or previously unsubscribed address)
+    router.post('/', async (req, res) => {
+      const request = parseSubscribeRequest(req.body);
+      if (request.error) {
+        return sendError(res, 400, 'INVALID_PAYLOAD', request.error);
+      }
+
+      try {
+        const { subscribers, deliveries } = await getServices();
+
+        const [existing] = await subscribers.readByQuery({
+          filter: { email: { _eq: request.email } },
+          fields: ['id', 'status', 'verification_token'],
+          limit: 1
+        });
+
+        const device = request.device ? request.device.id : 'all';
+
+        // Already confirmed - anyone can POST any address, so only the
+        // emailed token may switch the digest's device
+        if (existing && existing.status === 'active') {
+          if (request.token && request.token === existing.verification_token) {
+            await subscribers.updateOne(existing.id, { device });
+          }
+          return res.json({ data: { status: 'active' } });
+        }
+
+        const subscriber = {
+          email: request.email,
+          device,
+          source: request.source,
+          status: 'pending',
+          verification_token: crypto.randomUUID(),
+          verification_sent_at: new Date().toISOString(),
+          unsubscribed_at: null
+        };
+
+        if (existing) {
+          await subscribers.updateOne(existing.id, subscriber);
+          subscriber.id = existing.id;
+        } else {
+          subscriber.id = await subscribers.createOne(subscriber);
+        }
+
+        const email = renderSubscriberConfirmationEmail({ subscriber, device: request.device });
+        const result = await sendMail({ to: subscriber.email, ...email });
+        await recordDelivery(deliveries, result, subscriber.id);
+
+        if (!result.ok) {
+          logger.error(`[subscribers] Confirmation email failed via ${result.transport}: ${result.error}`);
+          return sendError(res, 502, 'SERVICE_UNAVAILABLE', 'Could not send the confirmation email, please try again');
+        }
+
+        return res.status(202).json({ data: { status: 'pending' } });
+
+      } catch (error) {
+        logger.error(`[subscribers] Subscribe failed: ${error.message}`);
+        return sendError(res, 500, 'INTERNAL_SERVER_ERROR', 'Could not subscribe');
+      }
+    });
+
+    // Double opt-in confirmation link
+    router.get('/confirm', async (req, res) => {
+      try {
+        const { subscribers } = await getServices();
+        const subscriber = await findSubscriberByToken(subscribers, req.query.token);
+
+        if (!subscriber || subscriber.status === 'unsubscribed') {
+          return sendPage(res, 404, 'Link expired', 'This confirmation link is no longer valid - please subscribe again.');
+        }
+
+        if (subscriber.status !== 'active') {
+          await subscribers.updateOne(subscriber.id, {
+            status: 'active',
+            confirmed_at: new Date().toISOString()
+          });
+        }
+
+        return sendPage(res, 200, '✅ Subscription confirmed', "Your first Weekly Handheld Gems email arrives on Wednesday.");
+
+      } catch (error) {
+        logger.error(`[subscribers] Confirm failed: ${error.message}`);
+        return sendPage(res, 500, 'Something went wrong', 'Could not confirm the subscription, please try the link again later.');
+      }
+    });
+
+    // Unsubscribe link from the digest - only asks, mail scanners follow GET links
+    router.get('/unsubscribe', async (req, res) => {
+      try {
+        const { subscribers } = await getServices();
+        const subscriber = await findSubscriberByToken(subscribers, req.query.token);
+
+        // Already unsubscribed - the link may be clicked twice
+        if (!subscriber || subscriber.status === 'unsubscribed') {
+          return sendPage(res, 200, 'Unsubscribed', "You're not subscribed to Weekly Handheld Gems emails.");
+        }
+
+        return sendPage(res, 200, 'Unsubscribe from Weekly Handheld Gems?', "You'll stop getting the weekly digest. Price alerts you set are not affected.", {
+          url: `${getSubscriberUnsubscribeUrl(req.query.token)}&format=html`,
+          label: 'Unsubscribe'
+        });
+
+      } catch (error) {
+        logger.error(`[subscribers] Unsubscribe page failed: ${error.message}`);
+        return sendPage(res, 500, 'Something went wrong', 'Could not load the subscription, please try the link again later.');
+      }
+    });
+
+    // Unsubscribe (the page's button, or RFC 8058 one-click from mail clients)
+    router.post('/unsubscribe', async (req, res) => {
+      const page = req.query.format === 'html';
+
+      try {
+        const { subscribers } = await getServices();
+        const subscriber = await findSubscriberByToken(subscribers, req.query.token);
+
+        // Already unsubscribed counts as success - the button may be clicked twice
+        if (subscriber && subscriber.status !== 'unsubscribed') {
+          await subscribers.updateOne(subscriber.id, {
+            status: 'unsubscribed',
+            unsubscribed_at: new Date().toISOString()
+          });
+        }
+
+        if (!page) {
+          return res.status(200).end();
+        }
+
+        return sendPage(res, 200, 'Unsubscribed', "You won't get Weekly Handheld Gems emails anymore. Price alerts you set are not affected.");
+
+      } catch (error) {
+        logger.error(`[subscribers] Unsubscribe failed: ${error.message}`);
+        return page
+          ? sendPage(res, 500, 'Something went wrong', 'Could not unsubscribe, please try the link again later.')
+          : res.status(500).end();
+      }
+    });
+  }
+};
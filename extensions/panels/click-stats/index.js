@@ -0,0 +1,246 @@
+/**
+ * Click stats panel - charts outbound deal clicks on a Directus dashboard
+ *
+ * Data: GET /click-stats (extensions/endpoints/click-stats), built nightly
+ * from the clicks collection by scripts/aggregate-clicks.js.
+ *
+ * Options: range (days), groupBy (day = time series, otherwise top N bars),
+ * metric (clicks or sessions), limit (bars for non-day groupings).
+ * Plain render functions - no build step needed.
+ */
+
+import { h, ref, computed, watch, onMounted } from 'vue';
+import { useApi } from '@directus/extensions-sdk';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date range ending yesterday (today's clicks are not aggregated yet)
+ */
+function getRange(days) {
+  const to = new Date(Date.now() - DAY_MS);
+  const from = new Date(to.getTime() - (days - 1) * DAY_MS);
+
+  return { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) };
+}
+
+/**
+ * One row per day of the range (days without clicks have no click_stats rows)
+ */
+function fillDays(rows, from, to) {
+  const byDay = new Map(rows.map(row => [row.day, row]));
+  const days = [];
+
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    const day = new Date(time).toISOString().slice(0, 10);
+    days.push(byDay.get(day) || { day, clicks: 0, sessions: 0 });
+  }
+
+  return days;
+}
+
+/**
+ * Bar label for a stats row
+ */
+function getLabel(row, groupBy) {
+  if (groupBy === 'game') {
+    return row.game ? row.game.title : 'Unknown game';
+  }
+
+  return row[groupBy] || 'unknown';
+}
+
+// ============================================================================
+// COMPONENT
+// ============================================================================
+
+const STYLES = {
+  panel: { display: 'flex', flexDirection: 'column', height: '100%', padding: '12px', boxSizing: 'border-box' },
+  message: { display: 'flex', alignItems: 'center', justifyContent: 'center', height: '100%', color: 'var(--theme--foreground-subdued)' },
+  summary: { marginBottom: '12px', color: 'var(--theme--foreground-subdued)' },
+  total: { fontSize: '20px', color: 'var(--theme--foreground)' },
+  columns: { display: 'flex', alignItems: 'flex-end', gap: '2px', flex: '1', minHeight: '0' },
+  column: { flex: '1', background: 'var(--theme--primary)', borderRadius: '2px 2px 0 0' },
+  list: { display: 'flex', flexDirection: 'column', gap: '6px', overflowY: 'auto' },
+  row: { display: 'flex', alignItems: 'center', gap: '8px' },
+  label: { width: '35%', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  track: { flex: '1', background: 'var(--theme--background-accent)', borderRadius: '2px', height: '12px' },
+  bar: { background: 'var(--theme--primary)', borderRadius: '2px', height: '100%' },
+  value: { width: '56px', textAlign: 'right', fontVariantNumeric: 'tabular-nums' }
+};
+
+const ClickStatsPanel = {
+  name: 'ClickStatsPanel',
+  props: {
+    showHeader: { type: Boolean, default: false },
+    range: { type: Number, default: 30 },
+    groupBy: { type: String, default: 'day' },
+    metric: { type: String, default: 'clicks' },
+    limit: { type: Number, default: 10 }
+  },
+  setup(props) {
+    const api = useApi();
+    const stats = ref(null);
+    const loading = ref(false);
+    const error = ref(null);
+
+    async function load() {
+      loading.value = true;
+      error.value = null;
+
+      try {
+        const { data } = await api.get('/click-stats', {
+          params: { ...getRange(props.range || 30), groupBy: props.groupBy }
+        });
+        stats.value = data.data;
+      } catch (err) {
+        error.value = err.response?.data?.errors?.[0]?.message || err.message;
+      } finally {
+        loading.value = false;
+      }
+    }
+
+    onMounted(load);
+    watch(() => [props.range, props.groupBy], load);
+
+    const bars = computed(() => {
+      if (!stats.value) return [];
+
+      const rows = props.groupBy === 'day'
+        ? fillDays(stats.value.rows, stats.value.from, stats.value.to)
+        : stats.value.rows.slice(0, props.limit || 10);
+      const max = Math.max(1, ...rows.map(row => row[props.metric]));
+
+      return rows.map(row => ({
+        label: getLabel(row, props.groupBy),
+        value: row[props.metric],
+        percent: (row[props.metric] / max) * 100
+      }));
+    });
+
+    return () => {
+      if (loading.value && !stats.value) {
+        return h('div', { class: 'click-stats-panel', style: STYLES.message }, 'Loading…');
+      }
+      if (error.value) {
+        return h('div', { class: 'click-stats-panel', style: { ...STYLES.message, color: 'var(--theme--danger)' } }, error.value);
+      }
+      if (bars.value.length === 0) {
+        return h('div', { class: 'click-stats-panel', style: STYLES.message }, 'No clicks in this period');
+      }
+
+      const total = stats.value.totals[props.metric];
+      const summary = h('div', { style: STYLES.summary }, [
+        h('strong', { style: STYLES.total }, total.toLocaleString()),
+        ` ${props.metric} · ${stats.value.from} → ${stats.value.to}`
+      ]);
+
+      // Time series: vertical bars, one per day
+      if (props.groupBy === 'day') {
+        return h('div', { class: 'click-stats-panel', style: STYLES.panel }, [
+          summary,
+          h('div', { style: STYLES.columns }, bars.value.map(bar =>
+            h('div', {
+              title: `${bar.label}: ${bar.value}`,
+              style: { ...STYLES.column, height: `${Math.max(bar.percent, 1)}%` }
+            })
+          ))
+        ]);
+      }
+
+      // Top N: horizontal bars with labels
+      return h('div', { class: 'click-stats-panel', style: STYLES.panel }, [
+        summary,
+        h('div', { style: STYLES.list }, bars.value.map(bar =>
+          h('div', { style: STYLES.row }, [
+            h('span', { style: STYLES.label, title: bar.label }, bar.label),
+            h('div', { style: STYLES.track }, [
+              h('div', { style: { ...STYLES.bar, width: `${Math.max(bar.percent, 1)}%` } })
+            ]),
+            h('span', { style: STYLES.value }, bar.value.toLocaleString())
+          ])
+        ))
+      ]);
+    };
+  }
+};
+
+// ============================================================================
+// PANEL
+// ============================================================================
+
+export default {
+  id: 'click-stats',
+  name: 'Deal Clicks',
+  icon: 'insights',
+  description: 'Outbound deal clicks by day, game, store, page or device',
+  component: ClickStatsPanel,
+  options: [
+    {
+      field: 'range',
+      name: 'Range',
+      type: 'integer',
+      meta: {
+        width: 'half',
+        interface: 'select-dropdown',
+        options: {
+          choices: [
+            { text: 'Last 7 days', value: 7 },
+            { text: 'Last 30 days', value: 30 },
+            { text: 'Last 90 days', value: 90 },
+            { text: 'Last 365 days', value: 365 }
+          ]
+        }
+      },
+      schema: { default_value: 30 }
+    },
+    {
+      field: 'groupBy',
+      name: 'Group by',
+      type: 'string',
+      meta: {
+        width: 'half',
+        interface: 'select-dropdown',
+        options: {
+          choices: [
+            { text: 'Day', value: 'day' },
+            { text: 'Game', value: 'game' },
+            { text: 'Store', value: 'store' },
+            { text: 'Source page', value: 'source_page' },
+            { text: 'Device', value: 'device' }
+          ]
+        }
+      },
+      schema: { default_value: 'day' }
+    },
+    {
+      field: 'metric',
+      name: 'Metric',
+      type: 'string',
+      meta: {
+        width: 'half',
+        interface: 'select-dropdown',
+        options: {
+          choices: [
+            { text: 'Clicks', value: 'clicks' },
+            { text: 'Sessions', value: 'sessions' }
+          ]
+        }
+      },
+      schema: { default_value: 'clicks' }
+    },
+    {
+      field: 'limit',
+      name: 'Bars (non-day groupings)',
+      type: 'integer',
+      meta: { width: 'half', interface: 'input' },
+      schema: { default_value: 10 }
+    }
+  ],
+  minWidth: 12,
+  minHeight: 8
+};
@@ -1,25 +1,14 @@
 import { useState, useEffect } from 'react';
 import { X } from 'lucide-react';
+import { DEVICES as REGISTERED_DEVICES } from '../lib/devices';
 
 const DEVICES = [
-  {
-    id: 'steam_deck',
-    name: 'Steam Deck',
-    icon: '🎮',
-    description: 'Valve\'s handheld gaming PC'
-  },
-  {
-    id: 'rog_ally',
-    name: 'ROG Ally',
-    icon: '🎯',
-    description: 'ASUS handheld with Windows'
-  },
-  {
-    id: 'legion_go',
-    name: 'Legion Go',
-    icon: '⚡',
-    description: 'Lenovo\'s detachable handheld'
-  },
+  ...REGISTERED_DEVICES.map(device => ({
+    id: device.id,
+    name: device.name,
+    icon: device.icon || '🎮',
+    description: device.description || `${device.manufacturer ?? ''} handheld`.trim()
+  })),
   {
     id: 'all',
     name: 'Show All Devices',
@@ -1,16 +1,13 @@
 import { useState, useEffect, useRef } from 'react';
 import { Search as SearchIcon, X } from 'lucide-react';
+import { isDeviceId } from '../lib/devices';
 
 interface SearchResult {
   id: string;
   title: string;
   slug: string;
   cover_image_url?: string;
-  device_performance?: {
-    steam_deck?: { status?: string };
-    rog_ally?: { status?: string };
-    legion_go?: { status?: string };
-  };
+  device_performance?: Record<string, { status?: string } | undefined>;
   best_deal?: {
     price: number;
     normal_price: number;
@@ -93,7 +90,7 @@ export default function Search({ device = 'all', isMobile = false }: SearchProps
 
     debounceRef.current = setTimeout(async () => {
       try {
-        const url = `/api/search?q=${encodeURIComponent(query)}&device=${device}&limit=8`;
+        const url = `/api/search?q=${encodeURIComponent(query)}&device=${device}&limit=8&sort=popularity`;
         console.log('📡 [Search.tsx] Fetching:', url); // DEBUG
 
         const response = await fetch(url);
@@ -173,14 +170,9 @@ export default function Search({ device = 'all', isMobile = false }: SearchProps
   const getDeviceStatus = (result: SearchResult) => {
     if (!result.device_performance || device === 'all') return null;
 
-    const deviceKey =
-      device === 'steam_deck' ? 'steam_deck' :
-        device === 'rog_ally' ? 'rog_ally' :
-          device === 'legion_go' ? 'legion_go' : null;
-
-    if (!deviceKey) return null;
+    if (!isDeviceId(device)) return null;
 
-    const status = result.device_performance[deviceKey]?.status;
+    const status = result.device_performance[device]?.status;
     return status;
   };
 
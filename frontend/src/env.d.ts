@@ -2,6 +2,7 @@
 
 declare namespace App {
   interface Locals {
-    device: 'all' | 'steam_deck' | 'rog_ally' | 'legion_go';
+    device: import('./lib/devices').DeviceFilter;
+    powerProfile: import('./lib/devices').PowerProfileId | null;
   }
 }
\ No newline at end of file
@@ -1,16 +1,32 @@
-import { directus, readItems, type Game, type Deal } from './directus';
-
-type DeviceType = 'all' | 'steam_deck' | 'rog_ally' | 'legion_go';
+import { directus, readItems, type Game, type Deal, type PriceHistory } from './directus';
+import { isDealExpired } from '../utils/time';
+import {
+  DEFAULT_DEVICE,
+  resolvePowerProfile,
+  type DeviceFilter,
+  type DeviceId,
+  type PowerProfile
+} from './devices';
+
+type DeviceType = DeviceFilter;
 
 /**
- * Filter out expired deals
+ * Filter out expired deals (no expires_at = no known end, always valid)
  */
 function filterExpiredDeals(deals: any[]): any[] {
-  const now = new Date();
-  return deals.filter(deal => {
-    if (!deal.expiry_date) return true; // No expiry = always valid
-    return new Date(deal.expiry_date) > now;
-  });
+  return deals.filter(deal => !isDealExpired(deal.expires_at));
+}
+
+/**
+ * Directus filter for deals that haven't expired
+ */
+export function notExpiredFilter() {
+  return {
+    _or: [
+      { expires_at: { _null: true } },
+      { expires_at: { _gt: new Date().toISOString() } }
+    ]
+  };
 }
 
 /**
@@ -24,7 +40,10 @@ export async function getDealOfTheDay(device: DeviceType = 'all') {
     const deals: any = await directus.request(
       readItems('deals', {
         filter: {
-          discount_percent: { _gte: 60 }  // Big discounts only
+          _and: [
+            { discount_percent: { _gte: 60 } },  // Big discounts only
+            notExpiredFilter()
+          ]
         } as any,
         sort: ['-discount_percent'],
         limit: 50,
@@ -37,7 +56,8 @@ export async function getDealOfTheDay(device: DeviceType = 'all') {
           'discount_percent',
           'url',
           'is_historical_low',
-          'expiry_date',
+          'expires_at',
+          'expires_source',
           { game_id: ['*'] }
         ] as any
       })
@@ -111,57 +131,98 @@ export async function getWeeklyGems(limit: number = 5) {
   }
 }
 
+// Deal fields for the device-aware sections
+const SECTION_DEAL_FIELDS = [
+  'id',
+  'game_id',
+  'store',
+  'price',
+  'normal_price',
+  'discount_percent',
+  'url',
+  'is_historical_low',
+  'expires_at',
+  'expires_source',
+  { game_id: ['*'] }
+];
+
+const SECTION_PAGE_SIZE = 50;
+const SECTION_MAX_PAGES = 10;  // Stop after 500 rows even if the section isn't full
+
+// Battery Saver threshold - matches BATTERY_SAVER_HOURS in scripts/utils/device-index.js
+const BATTERY_SAVER_HOURS = 5;
+
 /**
- * Get Deck Verified Deals (v3.0 - device-aware)
- * For specific device: excellent status
- * For 'all': verified/playable deck_status
+ * Device index token (games.device_statuses / battery_saver_profiles,
+ * maintained by scripts/estimate-battery.js) - comma-wrapped so a
+ * `_contains` never matches a longer device id
  */
-export async function getDeckVerifiedDeals(limit = 12, device: DeviceType = 'all') {
-  try {
+function deviceIndexToken(device: DeviceId, value: string): string {
+  return `,${device}:${value},`;
+}
+
+/**
+ * Page through deals matching `filter` until `limit` active deals pass `keep`
+ * The Directus filter does the selective work; `keep` re-checks
+ * device_performance in case the device index is a day behind.
+ */
+async function fetchSectionDeals(
+  filter: Record<string, any>,
+  sort: string[],
+  limit: number,
+  keep: (deal: any) => boolean = () => true
+): Promise<any[]> {
+  const results: any[] = [];
+
+  for (let page = 1; page <= SECTION_MAX_PAGES && results.length < limit; page++) {
     const deals: any = await directus.request(
       readItems('deals', {
-        filter: {
-          discount_percent: { _gt: 0 }
-        } as any,
-        sort: ['-discount_percent'],
-        limit: 100,
-        fields: [
-          'id',
-          'game_id',
-          'store',
-          'price',
-          'normal_price',
-          'discount_percent',
-          'url',
-          'is_historical_low',
-          'expiry_date',
-          { game_id: ['*'] }
-        ] as any
-      })
+        filter: { _and: [filter, notExpiredFilter()] },
+        sort,
+        limit: SECTION_PAGE_SIZE,
+        page,
+        fields: SECTION_DEAL_FIELDS
+      } as any)
     );
 
-    // Filter out expired deals FIRST
-    const activeDeals = filterExpiredDeals(deals);
+    results.push(...filterExpiredDeals(deals).filter(keep));
+
+    if (deals.length < SECTION_PAGE_SIZE) break;  // Last page
+  }
 
-    let filtered;
+  return results.slice(0, limit);
+}
 
+/**
+ * Get Deck Verified Deals (v3.0 - device-aware)
+ * For specific device: excellent status
+ * For 'all': verified/playable deck_status
+ */
+export async function getDeckVerifiedDeals(limit = 12, device: DeviceType = 'all') {
+  try {
     if (device === 'all') {
       // Show Deck verified/playable
-      filtered = activeDeals.filter((d: any) =>
-        d.game_id &&
-        d.game_id.deck_status &&
-        ['verified', 'playable'].includes(d.game_id.deck_status)
+      return await fetchSectionDeals(
+        {
+          discount_percent: { _gt: 0 },
+          game_id: { deck_status: { _in: ['verified', 'playable'] } }
+        },
+        ['-discount_percent'],
+        limit,
+        (d: any) => !!d.game_id && ['verified', 'playable'].includes(d.game_id.deck_status)
       );
-    } else {
-      // Show excellent performance on selected device
-      filtered = activeDeals.filter((d: any) => {
-        if (!d.game_id || !d.game_id.device_performance) return false;
-        const devicePerf = d.game_id.device_performance[device];
-        return devicePerf && devicePerf.status === 'excellent';
-      });
     }
 
-    return filtered.slice(0, limit);
+    // Show excellent performance on selected device
+    return await fetchSectionDeals(
+      {
+        discount_percent: { _gt: 0 },
+        game_id: { device_statuses: { _contains: deviceIndexToken(device, 'excellent') } }
+      },
+      ['-discount_percent'],
+      limit,
+      (d: any) => !!d.game_id && getDeviceStatus(d.game_id, device) === 'excellent'
+    );
   } catch (error) {
     console.error('Error fetching Deck Verified deals:', error);
     return [];
@@ -170,48 +231,35 @@ export async function getDeckVerifiedDeals(limit = 12, device: DeviceType = 'all
 
 /**
  * Get Battery Saver Deals (v3.0 - device-specific)
- * Games with 5+ hours battery on selected device
+ * Games with 5+ hours battery on selected device at the selected power profile
+ * (null = device default)
  */
-export async function getBatterySaverDeals(limit = 12, device: DeviceType = 'steam_deck') {
+export async function getBatterySaverDeals(
+  limit = 12,
+  device: DeviceType = DEFAULT_DEVICE,
+  profile: string | null = null
+) {
   try {
-    const deals: any = await directus.request(
-      readItems('deals', {
-        filter: {
-          discount_percent: { _gt: 0 }
-        } as any,
-        sort: ['-discount_percent'],
-        limit: 100,
-        fields: [
-          'id',
-          'game_id',
-          'store',
-          'price',
-          'normal_price',
-          'discount_percent',
-          'url',
-          'is_historical_low',
-          'expiry_date',
-          { game_id: ['*'] }
-        ] as any
-      })
+    // Default to the first registered device (Steam Deck) if 'all' selected
+    const targetDevice = device === 'all' ? DEFAULT_DEVICE : device;
+    const profileToken = resolvePowerProfile(targetDevice, profile)?.id || 'default';
+
+    return await fetchSectionDeals(
+      {
+        discount_percent: { _gt: 0 },
+        game_id: { battery_saver_profiles: { _contains: deviceIndexToken(targetDevice, profileToken) } }
+      },
+      ['-discount_percent'],
+      limit,
+      (d: any) => {
+        if (!d.game_id) return false;
+
+        const estimate = getProfileEstimate(d.game_id, targetDevice, profile);
+        if (!estimate) return false;
+
+        return estimate.battery_hours >= BATTERY_SAVER_HOURS;
+      }
     );
-
-    // Filter out expired deals FIRST
-    const activeDeals = filterExpiredDeals(deals);
-
-    // Default to Steam Deck if 'all' selected
-    const targetDevice = device === 'all' ? 'steam_deck' : device;
-
-    const batterySavers = activeDeals.filter((d: any) => {
-      if (!d.game_id || !d.game_id.device_performance) return false;
-
-      const devicePerf = d.game_id.device_performance[targetDevice];
-      if (!devicePerf || !devicePerf.battery_hours) return false;
-
-      return devicePerf.battery_hours >= 5.0;
-    });
-
-    return batterySavers.slice(0, limit);
   } catch (error) {
     console.error('Error fetching Battery Saver deals:', error);
     return [];
@@ -221,50 +269,46 @@ export async function getBatterySaverDeals(limit = 12, device: DeviceType = 'ste
 /**
  * Get Top Discount Deals (v3.0 - device-aware)
  * Highest discounts that work on selected device
+ * sortBy 'popularity' puts the most popular games (games.popularity_score) first
  */
-export async function getTopDiscountDeals(limit = 12, device: DeviceType = 'all') {
+export async function getTopDiscountDeals(
+  limit = 12,
+  device: DeviceType = 'all',
+  sortBy: 'discount' | 'popularity' = 'discount'
+) {
   try {
-    const deals: any = await directus.request(
-      readItems('deals', {
-        filter: {
-          discount_percent: { _gte: 50 }
-        } as any,
-        sort: ['-discount_percent'],
-        limit: 100,
-        fields: [
-          'id',
-          'game_id',
-          'store',
-          'price',
-          'normal_price',
-          'discount_percent',
-          'url',
-          'is_historical_low',
-          'expiry_date',
-          { game_id: ['*'] }
-        ] as any
-      })
-    );
-
-    // Filter out expired deals FIRST
-    const activeDeals = filterExpiredDeals(deals);
+    const sort = sortBy === 'popularity'
+      ? ['-game_id.popularity_score', '-discount_percent']
+      : ['-discount_percent'];
 
     if (device === 'all') {
-      return activeDeals.slice(0, limit);
+      return await fetchSectionDeals({ discount_percent: { _gte: 50 } }, sort, limit);
     }
 
-    // Filter by device compatibility
-    const compatible = activeDeals.filter((d: any) => {
-      if (!d.game_id || !d.game_id.device_performance) return true; // Include unknowns
-
-      const devicePerf = d.game_id.device_performance[device];
-      if (!devicePerf) return true;
-
-      // Exclude poor/untested
-      return !['poor', 'untested'].includes(devicePerf.status);
-    });
-
-    return compatible.slice(0, limit);
+    // Exclude poor/untested on the device, include unknowns (no index yet)
+    return await fetchSectionDeals(
+      {
+        discount_percent: { _gte: 50 },
+        _or: [
+          { game_id: { _null: true } },
+          { game_id: { device_statuses: { _null: true } } },
+          {
+            _and: [
+              { game_id: { device_statuses: { _ncontains: deviceIndexToken(device, 'poor') } } },
+              { game_id: { device_statuses: { _ncontains: deviceIndexToken(device, 'untested') } } }
+            ]
+          }
+        ]
+      },
+      sort,
+      limit,
+      (d: any) => {
+        const devicePerf = d.game_id?.device_performance?.[device];
+        if (!devicePerf) return true;  // Include unknowns
+
+        return !['poor', 'untested'].includes(devicePerf.status);
+      }
+    );
   } catch (error) {
     console.error('Error fetching Top Discount deals:', error);
     return [];
@@ -279,7 +323,7 @@ export async function getMissionStats() {
     const [deals, games] = await Promise.all([
       directus.request(
         readItems('deals', {
-          fields: ['normal_price', 'price', 'expiry_date'],
+          fields: ['normal_price', 'price', 'expires_at'],
           limit: -1
         })
       ),
@@ -291,14 +335,10 @@ export async function getMissionStats() {
       )
     ]);
 
-    const today = new Date();
     const weekAgo = new Date();
     weekAgo.setDate(weekAgo.getDate() - 7);
 
-    const activeDeals = (deals as any[]).filter((d: any) => {
-      if (!d.expiry_date) return true;
-      return new Date(d.expiry_date) > today;
-    }).length;
+    const activeDeals = filterExpiredDeals(deals as any[]);
 
     const newVerified = (games as any[]).filter((g: any) =>
       g.deck_status === 'verified' &&
@@ -306,12 +346,12 @@ export async function getMissionStats() {
       new Date(g.date_updated) >= weekAgo
     ).length;
 
-    const potentialSavings = (deals as any[]).reduce((sum: number, d: any) =>
+    const potentialSavings = activeDeals.reduce((sum: number, d: any) =>
       sum + (d.normal_price - d.price), 0
     );
 
     return {
-      activeDeals,
+      activeDeals: activeDeals.length,
       newVerified,
       potentialSavings: Math.round(potentialSavings)
     };
@@ -325,24 +365,153 @@ export async function getMissionStats() {
   }
 }
 
+/**
+ * Get price history for a game (oldest first)
+ * Optionally narrowed to a single store and/or a start date
+ */
+export async function getPriceHistory(
+  gameId: string,
+  options: { store?: string; since?: string | Date } = {}
+): Promise<PriceHistory[]> {
+  try {
+    const conditions: any[] = [{ game_id: { _eq: gameId } }];
+
+    if (options.store) {
+      conditions.push({ store: { _eq: options.store } });
+    }
+
+    if (options.since) {
+      conditions.push({ recorded_at: { _gte: new Date(options.since).toISOString() } });
+    }
+
+    const history: any = await directus.request(
+      readItems('price_history', {
+        filter: { _and: conditions } as any,
+        sort: ['recorded_at'],
+        limit: -1,
+        fields: ['id', 'store', 'price', 'normal_price', 'discount_percent', 'recorded_at'] as any
+      })
+    );
+
+    return history || [];
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    return [];
+  }
+}
+
+/**
+ * Get price history for many deals in one request (sparklines on deal grids)
+ * Returns a map keyed by `${game_id}:${store}`, oldest first - see priceHistoryKey()
+ */
+export async function getPriceHistoryForDeals(
+  deals: { game_id: string | { id: string } | null; store: string }[],
+  options: { since?: string | Date } = {}
+): Promise<Map<string, PriceHistory[]>> {
+  const byDeal = new Map<string, PriceHistory[]>();
+  const pairs = deals
+    .map(deal => ({
+      gameId: typeof deal.game_id === 'object' ? deal.game_id?.id : deal.game_id,
+      store: deal.store
+    }))
+    .filter(pair => pair.gameId && pair.store);
+
+  if (pairs.length === 0) return byDeal;
+
+  try {
+    const conditions: any[] = [
+      { game_id: { _in: [...new Set(pairs.map(pair => pair.gameId))] } },
+      { store: { _in: [...new Set(pairs.map(pair => pair.store))] } }
+    ];
+
+    if (options.since) {
+      conditions.push({ recorded_at: { _gte: new Date(options.since).toISOString() } });
+    }
+
+    const history: any = await directus.request(
+      readItems('price_history', {
+        filter: { _and: conditions } as any,
+        sort: ['recorded_at'],
+        limit: -1,
+        fields: ['id', 'game_id', 'store', 'price', 'normal_price', 'discount_percent', 'recorded_at'] as any
+      })
+    );
+
+    // game_id + store _in also matches other stores of the same games - keep requested pairs only
+    const wanted = new Set(pairs.map(pair => priceHistoryKey(pair.gameId as string, pair.store)));
+
+    for (const row of history || []) {
+      const key = priceHistoryKey(row.game_id, row.store);
+      if (!wanted.has(key)) continue;
+      if (!byDeal.has(key)) byDeal.set(key, []);
+      byDeal.get(key)!.push(row);
+    }
+  } catch (error) {
+    console.error('Error fetching price history for deals:', error);
+  }
+
+  return byDeal;
+}
+
+/**
+ * Lookup key for getPriceHistoryForDeals()
+ */
+export function priceHistoryKey(gameId: string, store: string): string {
+  return `${gameId}:${store}`;
+}
+
 /**
  * Helper: Get device-specific battery life
  */
 export function getDeviceBattery(
   game: Game,
-  device: 'steam_deck' | 'rog_ally' | 'legion_go'
+  device: DeviceId
 ): number | null {
   if (!game.device_performance) return null;
   const devicePerf = game.device_performance[device];
   return devicePerf?.battery_hours || null;
 }
 
+/**
+ * Helper: Get battery hours + FPS band at a power profile
+ * Entries without profile estimates (hand-tested) fall back to battery_hours
+ */
+export function getProfileEstimate(
+  game: Game,
+  device: DeviceId,
+  profile: string | null = null
+): { profile: PowerProfile | null; battery_hours: number; fps_min: number | null; fps_max: number | null } | null {
+  const devicePerf = game.device_performance?.[device];
+  if (!devicePerf) return null;
+
+  const resolved = resolvePowerProfile(device, profile);
+  const estimate = resolved ? devicePerf.profiles?.[resolved.id] : null;
+
+  if (estimate) {
+    return {
+      profile: resolved,
+      battery_hours: estimate.battery_hours,
+      fps_min: estimate.fps_min,
+      fps_max: estimate.fps_max
+    };
+  }
+
+  if (!devicePerf.battery_hours) return null;
+
+  return {
+    profile: resolvePowerProfile(device, devicePerf.power_profile),
+    battery_hours: devicePerf.battery_hours,
+    fps_min: null,
+    fps_max: null
+  };
+}
+
 /**
  * Helper: Get device performance status
  */
 export function getDeviceStatus(
   game: Game,
-  device: 'steam_deck' | 'rog_ally' | 'legion_go'
+  device: DeviceId
 ): string {
   if (!game.device_performance) return 'untested';
   const devicePerf = game.device_performance[device];
@@ -352,11 +521,13 @@ export function getDeviceStatus(
 /**
  * Search games by title
  * Device-aware: filters by compatibility status
+ * sortBy 'popularity' ranks equally relevant games by games.popularity_score
  */
 export async function searchGames(
   query: string,
   device: string = "all",
-  limit: number = 8
+  limit: number = 8,
+  sortBy: "title" | "popularity" = "title"
 ): Promise<any[]> {
   try {
     if (!query || query.trim().length < 2) {
@@ -379,9 +550,10 @@ export async function searchGames(
           "device_performance",
           "deck_status",
           "protondb_tier",
+          "popularity_score",
         ],
         limit: 50, // Fetch more, filter in JS
-        sort: ["title"],
+        sort: (sortBy === "popularity" ? ["-popularity_score", "title"] : ["title"]) as any,
       })
     );
 
@@ -391,7 +563,7 @@ export async function searchGames(
         const deals = await directus.request(
           readItems("deals", {
             filter: {
-              game_id: { _eq: game.id },
+              _and: [{ game_id: { _eq: game.id } }, notExpiredFilter()],
             },
             sort: ["price"],
             limit: 1,
@@ -419,7 +591,7 @@ export async function searchGames(
       });
     }
 
-    // Sort by relevance (exact match first, then alphabetical)
+    // Sort by relevance (exact match first, then popularity if asked, then alphabetical)
     const queryLower = query.toLowerCase();
     filtered.sort((a: any, b: any) => {
       const aTitle = a.title.toLowerCase();
@@ -437,6 +609,12 @@ export async function searchGames(
       if (aStarts && !bStarts) return -1;
       if (!aStarts && bStarts) return 1;
 
+      // Most popular
+      if (sortBy === "popularity") {
+        const byPopularity = (b.popularity_score || 0) - (a.popularity_score || 0);
+        if (byPopularity !== 0) return byPopularity;
+      }
+
       // Alphabetical
       return aTitle.localeCompare(bTitle);
     });
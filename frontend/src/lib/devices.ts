@@ -0,0 +1,81 @@
+// Device registry - mirror of the Directus `devices` collection
+// (generated by scripts/sync-devices.js, shared with the backend scripts)
+import registry from '../data/devices.json';
+
+// TDP preset tier, shared across devices so the selection survives a device switch
+export type PowerProfileId = 'eco' | 'balanced' | 'performance';
+
+export interface PowerProfile {
+  id: PowerProfileId;
+  label: string;   // Device's own name for the preset (Silent, Turbo, ...)
+  tdp_w: number;
+}
+
+export interface Device {
+  id: string;
+  name: string;
+  short_name: string | null;
+  manufacturer: string | null;
+  icon: string | null;
+  description: string | null;
+  os: 'steamos' | 'windows' | 'linux';
+  curator_code: string | null;  // curator_picks.tested_on value
+  battery_wh: number;
+  tdp_min_w: number | null;
+  tdp_max_w: number | null;
+  screen_width: number | null;
+  screen_height: number | null;
+  screen_size_in: number | null;
+  refresh_hz: number | null;
+  battery_baseline_hours: number;
+  battery_max_hours: number;
+  drain_low_hours: number;   // Estimated hours at/above which drain is 'low'
+  drain_high_hours: number;  // Estimated hours below which drain is 'high'
+  platform_draw_w: number | null;
+  default_power_profile: PowerProfileId | null;  // Profile battery_hours refers to
+  power_profiles: PowerProfile[] | null;
+}
+
+// Device key used in device_performance and the handheld_device cookie
+export type DeviceId = string;
+
+// Device selection, 'all' = no device filter
+export type DeviceFilter = 'all' | DeviceId;
+
+export const DEVICES: Device[] = registry.devices as Device[];
+
+export const DEFAULT_DEVICE: DeviceId = DEVICES[0].id;
+
+export function isDeviceId(value: string | null | undefined): value is DeviceId {
+  return !!value && DEVICES.some(device => device.id === value);
+}
+
+export function getDevice(id: string | null | undefined): Device | null {
+  return DEVICES.find(device => device.id === id) || null;
+}
+
+export const POWER_PROFILE_IDS: PowerProfileId[] = ['eco', 'balanced', 'performance'];
+
+export function isPowerProfileId(value: string | null | undefined): value is PowerProfileId {
+  return !!value && (POWER_PROFILE_IDS as string[]).includes(value);
+}
+
+export function getPowerProfiles(id: string | null | undefined): PowerProfile[] {
+  return getDevice(id)?.power_profiles || [];
+}
+
+// Requested profile if the device has it, otherwise the device's default
+export function resolvePowerProfile(
+  id: string | null | undefined,
+  profile: string | null | undefined
+): PowerProfile | null {
+  const profiles = getPowerProfiles(id);
+  return profiles.find(p => p.id === profile)
+    || profiles.find(p => p.id === getDevice(id)?.default_power_profile)
+    || null;
+}
+
+// curator_picks.tested_on ('deck', 'ally', ...) → device
+export function getDeviceByCuratorCode(code: string | null | undefined): Device | null {
+  return DEVICES.find(device => device.curator_code === code) || null;
+}
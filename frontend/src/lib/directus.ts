@@ -1,34 +1,57 @@
 import { createDirectus, rest, readItems, readItem } from '@directus/sdk';
+import type { DeviceId, PowerProfileId } from './devices';
 
 // Device Performance Interface (NEW v3.0)
-export interface DevicePerformance {
-  steam_deck?: {
-    status: 'excellent' | 'good' | 'playable' | 'poor' | 'untested' | 'estimated';
-    fps_avg?: number | null;
-    battery_hours?: number | null;
-    tested_settings?: string | null;
-    tested_date?: string | null;
-    notes?: string | null;
-    estimated?: boolean;
-  };
-  rog_ally?: {
-    status: 'excellent' | 'good' | 'playable' | 'poor' | 'untested' | 'estimated';
-    fps_avg?: number | null;
-    battery_hours?: number | null;
-    tested_settings?: string | null;
-    tested_date?: string | null;
-    notes?: string | null;
-    estimated?: boolean;
-  };
-  legion_go?: {
-    status: 'excellent' | 'good' | 'playable' | 'poor' | 'untested' | 'estimated';
-    fps_avg?: number | null;
-    battery_hours?: number | null;
-    tested_settings?: string | null;
-    tested_date?: string | null;
-    notes?: string | null;
-    estimated?: boolean;
-  };
+// Estimate for one TDP preset (estimate-battery.js)
+export interface PowerProfileEstimate {
+  tdp_w: number;
+  battery_hours: number;
+  fps_min: number;
+  fps_max: number;
+}
+
+// How an estimate was built (estimate-battery.js)
+export interface EstimateModifier {
+  feature: string;               // e.g. 'genre:indie'
+  label: string;                 // e.g. 'Genre indie'
+  source: 'genre' | 'release_year' | 'deck_status' | 'protondb_tier';
+  input: string | number | null; // Game value that triggered it
+  value: number;                 // Hours added/removed
+}
+
+export interface EstimateBreakdown {
+  model_version: number;
+  baseline: { hours: number; source: 'registry' | 'calibrated' };
+  modifiers: EstimateModifier[];
+  missing: string[];             // Game fields the estimate had to do without
+  raw_hours: number;
+  clamp: { min: number; max: number; applied: 'min' | 'max' | null };
+  hours: number;
+}
+
+export interface DevicePerformanceEntry {
+  status: 'excellent' | 'good' | 'playable' | 'poor' | 'untested' | 'estimated';
+  fps_avg?: number | null;
+  battery_hours?: number | null;  // At power_profile (device default)
+  power_profile?: PowerProfileId | null;
+  profiles?: Partial<Record<PowerProfileId, PowerProfileEstimate>> | null;
+  tested_settings?: string | null;
+  tested_date?: string | null;
+  notes?: string | null;
+  breakdown?: EstimateBreakdown | null;
+  fingerprint?: string | null;    // Hash of the inputs the estimate used
+  model_version?: number | null;  // Battery model version the estimate used
+  estimated?: boolean;
+}
+
+// Keyed by device id from the registry (lib/devices)
+export type DevicePerformance = Partial<Record<DeviceId, DevicePerformanceEntry>>;
+
+// Steam Deck Verified test result (synced from Valve)
+export interface DeckCompatNote {
+  code: string;  // e.g. 'small_text', 'launcher', 'keyboard'
+  result: 'pass' | 'warning' | 'fail' | 'info';
+  text: string;
 }
 
 // Game Interface (UPDATED v3.0)
@@ -41,7 +64,14 @@ export interface Game {
 
   // Compatibility
   deck_status: 'verified' | 'playable' | 'unsupported' | 'unknown';
+  deck_compat_notes?: DeckCompatNote[] | null;
+  deck_status_synced_at?: string | null;
   protondb_tier: 'platinum' | 'gold' | 'silver' | 'bronze' | 'borked' | 'unknown';
+  protondb_trending_tier?: Game['protondb_tier'] | null;  // Recent reports - shows regressions
+  protondb_confidence?: string | null;
+  protondb_score?: number | null;
+  protondb_report_count?: number | null;
+  protondb_synced_at?: string | null;
   controller_support: 'full' | 'partial' | 'none' | 'unknown';
 
   // Technical
@@ -55,6 +85,9 @@ export interface Game {
   metacritic_score: number | null;
   steam_positive_percent: number | null;
   steam_total_reviews: number | null;  // Directus field name
+  quality_rejection_reason?: string | null;  // Set by Steam sync (e.g. low_review_score)
+  popularity_score?: number;  // 0-1000, scripts/compute-popularity.js
+  last_deal_date?: string | null;  // Last day a discounted deal was seen
 
 
   // NEW v3.0 Fields
@@ -62,6 +95,8 @@ export interface Game {
   avoid_if: string[] | null;  // Warning tags
   data_reliability: 'hand_tested' | 'community_verified' | 'estimated_api' | 'stale_tested' | null;
   device_performance: DevicePerformance | null;
+  device_statuses?: string | null;  // Device index: ',steam_deck:excellent,...' (scripts/estimate-battery.js)
+  battery_saver_profiles?: string | null;  // Device index: ',steam_deck:eco,...' at 5h+ battery
 
   // Legacy (keep for backwards compatibility but optional)
   manual_quality_override?: boolean | null;
@@ -84,11 +119,23 @@ export interface Deal {
   is_historical_low: boolean;
   cheapest_price_ever: number | null;
   last_checked: string;
-  expires_at: string | null;  // Legacy field
-  expiry_date: string | null;  // NEW: Replaces expires_at
+  expires_at: string | null;  // Sale end (null = unknown), scripts/fetch-cheapshark.js
+  expires_source?: 'store' | 'event' | null;  // Store-reported sale end or active event end
   date_created?: string;
 }
 
+// Price History Interface (append-only ledger)
+export interface PriceHistory {
+  id: string;
+  game_id: string | Game;
+  store: Deal['store'];
+  price: number;
+  normal_price: number | null;
+  discount_percent: number | null;
+  source: string | null;
+  recorded_at: string;
+}
+
 // Collection Interface (unchanged)
 export interface Collection {
   id: string;
@@ -126,7 +173,7 @@ export interface CuratorPick {
   battery_hours: number | null;
   controls_rating: number | null;
   verdict: 'buy' | 'wait' | 'skip';
-  tested_on: 'deck' | 'ally' | 'legion';
+  tested_on: string;  // Device curator_code (deck, ally, legion...)
   published_at: string | null;
   status: 'draft' | 'published';
 
@@ -146,9 +193,19 @@ export interface PriceAlert {
   id: string;
   game_id: string | Game;
   email: string;
-  target_price: number;
+  alert_type: 'target_price' | 'new_low' | 'percent_off' | 'event_sale';
+  target_price: number | null;  // Required for target_price, optional cap otherwise
+  target_discount_percent: number | null;
+  event_id: string | Event | null;
+  rearm_policy: 'once' | 'after_cooldown' | 'on_lower_price' | 'after_reset';
+  cooldown_hours: number;
+  last_notified_price: number | null;
+  armed: boolean;
   current_price: number | null;
-  device_context: string | null;
+  device_context: string | null;  // Device registry id or 'any' (legacy: curator code)
+  min_device_status: 'playable' | 'good' | 'excellent' | null;
+  min_battery_hours: number | null;
+  historical_low_only: boolean;
   alert_sent: boolean;
   alert_sent_at: string | null;
   verified: boolean;
@@ -157,18 +214,34 @@ export interface PriceAlert {
   date_created?: string;
 }
 
+// Newsletter Subscriber Interface (Weekly Handheld Gems digest)
+export interface Subscriber {
+  id: string;
+  email: string;
+  status: 'pending' | 'active' | 'unsubscribed';
+  device: string;  // Device registry id or 'all'
+  source: 'newsletter_cta' | 'footer' | null;
+  verification_token: string | null;
+  confirmed_at: string | null;
+  unsubscribed_at: string | null;
+  last_digest_at: string | null;
+  created_at?: string;
+}
+
 // Define the schema structure
 interface Schema {
   games: Game[];
   deals: Deal[];
+  price_history: PriceHistory[];
   collections: Collection[];
   events: Event[];
   curator_picks: CuratorPick[];
   price_alerts: PriceAlert[];
+  subscribers: Subscriber[];
 }
 
 // Get API URL from environment
-const DIRECTUS_URL = import.meta.env.PUBLIC_DIRECTUS_URL || 'http://localhost:8055';
+export const DIRECTUS_URL = import.meta.env.PUBLIC_DIRECTUS_URL || 'http://localhost:8055';
 
 // Create Directus client
 export const directus = createDirectus<Schema>(DIRECTUS_URL).with(rest());
@@ -1,4 +1,5 @@
-import type { Game } from './directus';
+import { DIRECTUS_URL, type Game } from './directus';
+import { getDevice, type DeviceId } from './devices';
 
 /**
  * Format price to USD string
@@ -120,7 +121,7 @@ export function formatBatteryHours(hours: number): string {
  */
 export function getDeviceBattery(
   game: Game,
-  device: 'steam_deck' | 'rog_ally' | 'legion_go'
+  device: DeviceId
 ): number | null {
   if (!game.device_performance) return null;
 
@@ -135,7 +136,7 @@ export function getDeviceBattery(
  */
 export function getDeviceStatus(
   game: Game,
-  device: 'steam_deck' | 'rog_ally' | 'legion_go'
+  device: DeviceId
 ): string {
   if (!game.device_performance) return 'untested';
 
@@ -241,11 +242,18 @@ export function getRarityGlowClass(percent: number): string {
 }
 
 export function getDeviceName(device: string): string {
-  const names: Record<string, string> = {
-    all: 'All Devices',
-    steam_deck: 'Steam Deck',
-    rog_ally: 'ROG Ally',
-    legion_go: 'Legion Go'
-  };
-  return names[device] || 'All Devices';
-}
\ No newline at end of file
+  return getDevice(device)?.name || 'All Devices';
+}
+
+/**
+ * Outbound deal link through the click-tracking redirect (Directus /go endpoint)
+ * @example getDealLink(deal, 'home', 'steam_deck') => "https://api.../go/<deal id>?source=home&device=steam_deck"
+ */
+export function getDealLink(
+  deal: { id?: string; url?: string | null },
+  source: 'home' | 'browse' | 'game' | 'sale' | 'collection' | 'search' | 'other' = 'other',
+  device: string = 'all'
+): string {
+  if (!deal.id) return deal.url || '#';
+  return `${DIRECTUS_URL}/go/${encodeURIComponent(deal.id)}?source=${source}&device=${encodeURIComponent(device)}`;
+}
@@ -0,0 +1,58 @@
+// Weekly Handheld Gems signup - shared by NewsletterCTA and Footer forms
+// Posts to /api/subscribe and shows the outcome in the form's [data-newsletter-status] element.
+
+const MESSAGES: Record<string, string> = {
+  pending: 'Almost there! Check your inbox to confirm your subscription.',
+  active: "You're already subscribed - we've updated your device preference."
+};
+
+/**
+ * Wire a signup form (safe to call more than once per form)
+ * Form fields: email, optional device; data-source names the form.
+ */
+export function bindNewsletterForm(form: HTMLFormElement) {
+  if (form.dataset.bound) return;
+  form.dataset.bound = 'true';
+
+  const status = form.parentElement?.querySelector<HTMLElement>('[data-newsletter-status]');
+  const button = form.querySelector<HTMLButtonElement>('button[type="submit"]');
+
+  const showStatus = (message: string, ok: boolean) => {
+    if (!status) return;
+    status.textContent = message;
+    status.classList.remove('hidden', 'text-green-400', 'text-red-400');
+    status.classList.add(ok ? 'text-green-400' : 'text-red-400');
+  };
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const formData = new FormData(form);
+    if (button) button.disabled = true;
+
+    try {
+      const response = await fetch('/api/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: formData.get('email'),
+          device: formData.get('device') || 'all',
+          source: form.dataset.source
+        })
+      });
+      const result = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        showStatus(result.error || 'Could not subscribe, please try again.', false);
+        return;
+      }
+
+      showStatus(MESSAGES[result.status] || MESSAGES.pending, true);
+      form.reset();
+    } catch {
+      showStatus('Could not subscribe, please check your connection and try again.', false);
+    } finally {
+      if (button) button.disabled = false;
+    }
+  });
+}
@@ -1,16 +1,23 @@
 import { defineMiddleware } from 'astro:middleware';
+import { isDeviceId, isPowerProfileId } from './lib/devices';
 
 export const onRequest = defineMiddleware(async (context, next) => {
   // Get device from cookie or default to 'all'
   const deviceCookie = context.cookies.get('handheld_device');
-  const selectedDevice = deviceCookie?.value || 'all';
+  // Unknown/retired device ids fall back to 'all'
+  const selectedDevice = isDeviceId(deviceCookie?.value) ? deviceCookie!.value : 'all';
 
   // DEBUG LOG
   console.log('[MIDDLEWARE] Device cookie:', deviceCookie);
   console.log('[MIDDLEWARE] Selected device:', selectedDevice);
 
+  // Power profile (TDP preset) - unset = each device's default
+  const profileCookie = context.cookies.get('handheld_power_profile');
+  const selectedProfile = isPowerProfileId(profileCookie?.value) ? profileCookie!.value : null;
+
   // Make device available to all pages via locals
-  context.locals.device = selectedDevice as 'all' | 'steam_deck' | 'rog_ally' | 'legion_go';
+  context.locals.device = selectedDevice;
+  context.locals.powerProfile = selectedProfile;
 
   return next();
 });
\ No newline at end of file
@@ -1,5 +1,6 @@
 import type { APIRoute } from 'astro';
 import { directus, readItems } from '../../lib/directus';
+import { notExpiredFilter } from '../../lib/api';
 
 export const prerender = false; // ← KRYTYCZNE!
 
@@ -7,6 +8,8 @@ export const GET: APIRoute = async ({ url }) => {
   const query = url.searchParams.get('q');
   const device = url.searchParams.get('device') || 'all';
   const limit = parseInt(url.searchParams.get('limit') || '8');
+  // sort=popularity puts the most popular games first (default: alphabetical)
+  const sort = url.searchParams.get('sort') === 'popularity' ? ['-popularity_score', 'title'] : ['title'];
 
   console.log('🔍 Search API called - query:', query, 'device:', device); // DEBUG
 
@@ -37,7 +40,7 @@ export const GET: APIRoute = async ({ url }) => {
           'device_performance'
         ],
         limit: limit,
-        sort: ['title']
+        sort: sort as any
       })
     );
 
@@ -48,7 +51,7 @@ export const GET: APIRoute = async ({ url }) => {
       games.map(async (game: any) => {
         const deals = await directus.request(
           readItems('deals', {
-            filter: { game_id: { _eq: game.id } },
+            filter: { _and: [{ game_id: { _eq: game.id } }, notExpiredFilter()] } as any,
             sort: ['price'],
             limit: 1
           })
@@ -0,0 +1,59 @@
+import type { APIRoute } from 'astro';
+import { DIRECTUS_URL } from '../../lib/directus';
+
+export const prerender = false;
+
+/**
+ * Newsletter signup (NewsletterCTA + Footer forms)
+ * Proxies to the Directus subscribers endpoint, which emails the
+ * double opt-in confirmation link.
+ */
+export const POST: APIRoute = async ({ request }) => {
+  let body: any;
+
+  try {
+    body = await request.json();
+  } catch {
+    return new Response(JSON.stringify({ error: 'Invalid request' }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  try {
+    const response = await fetch(`${DIRECTUS_URL}/subscribers`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        email: body.email,
+        device: body.device || 'all',
+        source: body.source,
+        token: body.token  // Required to change an active subscription
+      })
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      return new Response(
+        JSON.stringify({ error: result.errors?.[0]?.message || 'Could not subscribe' }),
+        {
+          status: response.status,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
+    }
+
+    return new Response(JSON.stringify({ status: result.data?.status }), {
+      status: response.status,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+  } catch (error) {
+    console.error('❌ Subscribe API error:', error);
+    return new Response(JSON.stringify({ error: 'Could not subscribe, please try again' }), {
+      status: 502,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+};
@@ -1,5 +1,6 @@
 /**
  * Time utility functions for deal expiration handling
+ * Every helper takes deals.expires_at (null = no known end)
  */
 
 /**
@@ -69,6 +70,15 @@ export function formatExpiryDate(expiryDate: string | Date | null): string | nul
     day: 'numeric',
     hour: 'numeric',
     minute: '2-digit',
-    hour12: true
+    hour12: true,
+    timeZoneName: 'short'
   });
+}
+
+/**
+ * Tooltip prefix for an expiry by deals.expires_source
+ * Event ends are the event's last day, not a store-confirmed end
+ */
+export function getExpiryLabel(source: string | null | undefined): string {
+  return source === 'event' ? 'Sale event ends' : 'Deal expires';
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * CheapShark adapter
+ * Aggregated deals for Steam, GOG, GMG, Humble and Fanatical via /deals
+ */
+
+const { StoreAdapter, parsePrice } = require('./store-adapter');
+
+const CHEAPSHARK_BASE_URL = process.env.CHEAPSHARK_BASE_URL || 'https://www.cheapshark.com/api/1.0';
+
+// Store ID mapping (CheapShark → Our database)
+const STORE_MAPPING = {
+  '1': 'steam',
+  '7': 'gog',
+  '3': 'gmg',
+  '11': 'humble',
+  '15': 'fanatical'
+  // Epic not in mapping - CheapShark has it but we filter it out for now
+};
+
+// Supported stores (filter deals to these only)
+const SUPPORTED_STORES = Object.keys(STORE_MAPPING);
+
+class CheapSharkAdapter extends StoreAdapter {
+  get storeId() {
+    return 'cheapshark';
+  }
+
+  get stores() {
+    return Object.values(STORE_MAPPING);
+  }
+
+  // CheapShark caps pageSize at 60
+  get pageSize() {
+    return 60;
+  }
+
+  buildRequest(page) {
+    return {
+      url: `${CHEAPSHARK_BASE_URL}/deals`,
+      params: {
+        storeID: SUPPORTED_STORES.join(','),
+        pageNumber: page,
+        pageSize: this.pageSize,
+        sortBy: 'DealRating', // Best deals first
+        desc: 1,
+        onSale: 1
+      }
+    };
+  }
+
+  parseResponse(body, headers) {
+    const totalPages = parseInt(headers['x-total-page-count'], 10);
+
+    return {
+      items: Array.isArray(body) ? body : [],
+      totalPages: Number.isNaN(totalPages) ? null : totalPages
+    };
+  }
+
+  normalize(raw) {
+    const store = STORE_MAPPING[raw.storeID];
+
+    if (!store) {
+      return null; // Unsupported store (e.g. Epic)
+    }
+
+    const price = parsePrice(raw.salePrice);
+
+    return {
+      source: this.storeId,
+      store,
+      externalId: raw.dealID,
+      title: raw.title,
+      steamAppId: raw.steamAppID || null,
+      thumb: raw.thumb || null,
+      price,
+      normalPrice: parsePrice(raw.normalPrice),
+      discountPercent: Math.round(parsePrice(raw.savings) || 0),
+      cheapestPrice: parsePrice(raw.cheapestPrice) ?? price,
+      url: `https://www.cheapshark.com/redirect?dealID=${raw.dealID}`,
+      saleEnd: null // CheapShark doesn't publish sale ends
+    };
+  }
+}
+
+module.exports = { CheapSharkAdapter, STORE_MAPPING, SUPPORTED_STORES };
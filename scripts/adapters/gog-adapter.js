@@ -0,0 +1,73 @@
+/**
+ * GOG adapter
+ * Discounted games straight from the GOG catalogue API (no CheapShark lag)
+ */
+
+const { StoreAdapter, parsePrice, calculateDiscount } = require('./store-adapter');
+
+const GOG_CATALOG_URL = process.env.GOG_CATALOG_URL || 'https://catalog.gog.com/v1/catalog';
+const GOG_COUNTRY = process.env.GOG_COUNTRY || 'US';
+const GOG_CURRENCY = process.env.GOG_CURRENCY || 'USD';
+
+class GogAdapter extends StoreAdapter {
+  get storeId() {
+    return 'gog';
+  }
+
+  get stores() {
+    return ['gog'];
+  }
+
+  get pageSize() {
+    return 48;
+  }
+
+  buildRequest(page) {
+    return {
+      url: GOG_CATALOG_URL,
+      params: {
+        limit: this.pageSize,
+        page: page + 1, // GOG pages are 1-based
+        order: 'desc:discount',
+        discounted: 'eq:true',
+        productType: 'in:game,pack',
+        countryCode: GOG_COUNTRY,
+        currencyCode: GOG_CURRENCY
+      }
+    };
+  }
+
+  parseResponse(body) {
+    return {
+      items: (body && body.products) || [],
+      totalPages: body && Number.isInteger(body.pages) ? body.pages : null
+    };
+  }
+
+  normalize(raw) {
+    const priceInfo = raw.price || {};
+    const price = parsePrice(priceInfo.finalMoney ? priceInfo.finalMoney.amount : priceInfo.final);
+    const normalPrice = parsePrice(priceInfo.baseMoney ? priceInfo.baseMoney.amount : priceInfo.base);
+
+    if (price === null || !raw.title) {
+      return null;
+    }
+
+    return {
+      source: this.storeId,
+      store: 'gog',
+      externalId: String(raw.id),
+      title: raw.title,
+      steamAppId: null, // GOG doesn't expose Steam IDs - matched by title/slug
+      thumb: raw.coverHorizontal || null,
+      price,
+      normalPrice,
+      discountPercent: calculateDiscount(price, normalPrice),
+      cheapestPrice: null,
+      url: raw.storeLink || `https://www.gog.com/en/game/${raw.slug}`,
+      saleEnd: null // Not in the catalog listing
+    };
+  }
+}
+
+module.exports = { GogAdapter };
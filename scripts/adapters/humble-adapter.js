@@ -0,0 +1,76 @@
+/**
+ * Humble Store adapter
+ * On-sale games from the Humble Store search API
+ */
+
+const { StoreAdapter, parsePrice, parseSaleEnd, calculateDiscount } = require('./store-adapter');
+
+const HUMBLE_SEARCH_URL = process.env.HUMBLE_SEARCH_URL || 'https://www.humblebundle.com/store/api/search';
+
+/**
+ * Humble returns money as { amount, currency } (older responses: [amount, currency])
+ */
+function parseMoney(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return parsePrice(value[0]);
+  return parsePrice(value.amount);
+}
+
+class HumbleAdapter extends StoreAdapter {
+  get storeId() {
+    return 'humble';
+  }
+
+  get stores() {
+    return ['humble'];
+  }
+
+  get pageSize() {
+    return 20;
+  }
+
+  buildRequest(page) {
+    return {
+      url: HUMBLE_SEARCH_URL,
+      params: {
+        sort: 'discount',
+        filter: 'onsale',
+        request: 1,
+        page
+      }
+    };
+  }
+
+  parseResponse(body) {
+    return {
+      items: (body && body.results) || [],
+      totalPages: body && Number.isInteger(body.num_pages) ? body.num_pages : null
+    };
+  }
+
+  normalize(raw) {
+    const price = parseMoney(raw.current_price);
+    const normalPrice = parseMoney(raw.full_price);
+
+    if (price === null || !raw.human_name) {
+      return null;
+    }
+
+    return {
+      source: this.storeId,
+      store: 'humble',
+      externalId: raw.machine_name,
+      title: raw.human_name,
+      steamAppId: null,
+      thumb: raw.featured_image_small || null,
+      price,
+      normalPrice,
+      discountPercent: calculateDiscount(price, normalPrice),
+      cheapestPrice: null,
+      url: `https://www.humblebundle.com/store/${raw.human_url}`,
+      saleEnd: parseSaleEnd(raw.sale_end) // Unix seconds
+    };
+  }
+}
+
+module.exports = { HumbleAdapter };
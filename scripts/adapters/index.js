@@ -0,0 +1,79 @@
+/**
+ * Store adapter registry
+ *
+ * Enable sources with DEAL_SOURCES (comma separated, default "cheapshark"):
+ *   DEAL_SOURCES=cheapshark,gog,humble,feed
+ *
+ * Set DEAL_FIXTURES_DIR to replay recorded responses (adapters/fixtures/<name>.json)
+ * instead of calling the live APIs.
+ *
+ * Deals and price history are keyed by game + store, so two sources may not
+ * cover the same store: "gog" alongside "cheapshark" (which includes GOG) is
+ * refused. Pin the feed to one store with DEAL_FEED_STORE to combine it.
+ */
+
+const path = require('path');
+const { CheapSharkAdapter } = require('./cheapshark-adapter');
+const { GogAdapter } = require('./gog-adapter');
+const { HumbleAdapter } = require('./humble-adapter');
+const { JsonFeedAdapter } = require('./json-feed-adapter');
+
+const ADAPTERS = {
+  cheapshark: CheapSharkAdapter,
+  gog: GogAdapter,
+  humble: HumbleAdapter,
+  feed: JsonFeedAdapter
+};
+
+/**
+ * Create adapter instance by name
+ */
+function createAdapter(name, options = {}) {
+  const Adapter = ADAPTERS[name];
+
+  if (!Adapter) {
+    throw new Error(`Unknown deal source "${name}" (available: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+
+  return new Adapter(options);
+}
+
+/**
+ * Fixture options for an adapter when DEAL_FIXTURES_DIR is set
+ */
+function fixtureOptions(name, dir = process.env.DEAL_FIXTURES_DIR) {
+  return dir ? { fixture: path.join(dir, `${name}.json`) } : {};
+}
+
+/**
+ * Throw when two adapters write deals for the same store
+ * (they would overwrite each other's prices and price history)
+ */
+function assertDistinctStores(adapters) {
+  const owners = {};
+
+  for (const adapter of adapters) {
+    for (const store of adapter.stores) {
+      if (owners[store]) {
+        throw new Error(`Deal sources "${owners[store]}" and "${adapter.storeId}" both cover ${store} - enable only one of them in DEAL_SOURCES`);
+      }
+      owners[store] = adapter.storeId;
+    }
+  }
+}
+
+/**
+ * Create adapters enabled via DEAL_SOURCES
+ */
+function getEnabledAdapters(sources = process.env.DEAL_SOURCES || 'cheapshark') {
+  const adapters = sources
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => createAdapter(name, fixtureOptions(name)));
+
+  assertDistinctStores(adapters);
+  return adapters;
+}
+
+module.exports = { ADAPTERS, createAdapter, getEnabledAdapters };
@@ -0,0 +1,75 @@
+/**
+ * Generic JSON feed adapter
+ * For partner/affiliate feeds that publish a flat list of deals.
+ *
+ * Accepts either an array or { deals: [...] } with items like:
+ * { id, title, store, price, normal_price, discount_percent, url, steam_app_id, thumb, sale_end }
+ * (sale_end: ISO date or unix seconds)
+ *
+ * Configure via options or env: DEAL_FEED_URL, DEAL_FEED_ID, DEAL_FEED_STORE
+ * (with DEAL_FEED_STORE set, items for other stores are dropped)
+ */
+
+const { StoreAdapter, parsePrice, parseSaleEnd, calculateDiscount } = require('./store-adapter');
+
+const VALID_STORES = ['steam', 'gog', 'epic', 'humble', 'gmg', 'fanatical'];
+
+class JsonFeedAdapter extends StoreAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.url = options.url || process.env.DEAL_FEED_URL;
+    this.feedId = options.id || process.env.DEAL_FEED_ID || 'feed';
+    this.defaultStore = options.store || process.env.DEAL_FEED_STORE || null;
+  }
+
+  get storeId() {
+    return this.feedId;
+  }
+
+  get stores() {
+    return this.defaultStore ? [this.defaultStore] : VALID_STORES;
+  }
+
+  buildRequest() {
+    if (!this.url) {
+      throw new Error('JSON feed adapter needs DEAL_FEED_URL');
+    }
+
+    return { url: this.url };
+  }
+
+  // Feeds are a single document - always one page
+  parseResponse(body) {
+    const items = Array.isArray(body) ? body : (body && body.deals) || [];
+    return { items, totalPages: 1 };
+  }
+
+  normalize(raw) {
+    const store = raw.store || this.defaultStore;
+    const price = parsePrice(raw.price);
+    const normalPrice = parsePrice(raw.normal_price);
+
+    if (!this.stores.includes(store) || price === null || !raw.title || !raw.url) {
+      return null;
+    }
+
+    return {
+      source: this.storeId,
+      store,
+      externalId: raw.id ? String(raw.id) : raw.url,
+      title: raw.title,
+      steamAppId: raw.steam_app_id ? String(raw.steam_app_id) : null,
+      thumb: raw.thumb || null,
+      price,
+      normalPrice,
+      discountPercent: raw.discount_percent !== undefined
+        ? Math.round(parsePrice(raw.discount_percent))
+        : calculateDiscount(price, normalPrice),
+      cheapestPrice: parsePrice(raw.cheapest_price),
+      url: raw.url,
+      saleEnd: parseSaleEnd(raw.sale_end)
+    };
+  }
+}
+
+module.exports = { JsonFeedAdapter };
@@ -0,0 +1,205 @@
+/**
+ * Store adapter base class
+ *
+ * Every deal source implements:
+ * - storeId                  Unique adapter id (cursor name, price history source)
+ * - stores                   Stores it writes deals for (one source per store, see adapters/index.js)
+ * - buildRequest(page)       HTTP request for one page → { url, params, headers }
+ * - parseResponse(body, hdr) Raw response → { items, totalPages }
+ * - normalize(raw)           Raw item → normalized deal (or null to skip)
+ *
+ * listDeals({ page }) ties these together and returns
+ * { deals, fetched, totalPages, hasMore } or { rateLimited: true }.
+ *
+ * Normalized deal (what findOrCreateGame / processDeal consume):
+ * {
+ *   source, store, externalId, title, steamAppId, thumb,
+ *   price, normalPrice, discountPercent, cheapestPrice, url,
+ *   saleEnd  (ISO timestamp the sale ends, null when the source doesn't say)
+ * }
+ *
+ * Pass { fixture: '/path/to/recorded.json' } to read recorded responses
+ * instead of hitting the network (see adapters/fixtures).
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { sleep } = require('../utils/rate-limiter');
+
+const MAX_RETRIES = 3;
+const DEFAULT_RETRY_AFTER = 60; // Seconds to wait on 429 without Retry-After header
+const MAX_RETRY_AFTER = 300;    // Longer waits give up - the sync-state cursor resumes next run
+
+class StoreAdapter {
+  constructor(options = {}) {
+    this.options = options;
+    this.fixture = options.fixture || null;
+    this.recording = null;
+  }
+
+  get storeId() {
+    throw new Error(`${this.constructor.name} must define storeId`);
+  }
+
+  get pageSize() {
+    return 50;
+  }
+
+  get stores() {
+    throw new Error(`${this.constructor.name} must define stores`);
+  }
+
+  buildRequest(page) {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  parseResponse(body, headers) {
+    throw new Error(`${this.constructor.name} must implement parseResponse()`);
+  }
+
+  normalize(raw) {
+    throw new Error(`${this.constructor.name} must implement normalize()`);
+  }
+
+  /**
+   * Fetch one page of deals and normalize it
+   */
+  async listDeals({ page = 0 } = {}) {
+    const response = this.fixture
+      ? this.readFixturePage(page)
+      : await this.fetchPage(page);
+
+    if (response.rateLimited) {
+      return { rateLimited: true };
+    }
+
+    const { items, totalPages } = this.parseResponse(response.body, response.headers || {});
+    const deals = items.map(item => this.normalize(item)).filter(Boolean);
+
+    const hasMore = totalPages !== null && totalPages !== undefined
+      ? page + 1 < totalPages
+      : items.length >= this.pageSize;
+
+    return {
+      deals,
+      fetched: items.length,
+      totalPages: totalPages === undefined ? null : totalPages,
+      hasMore
+    };
+  }
+
+  /**
+   * HTTP fetch with retry (honours Retry-After on 429 up to MAX_RETRY_AFTER)
+   */
+  async fetchPage(page, retries = MAX_RETRIES) {
+    const request = this.buildRequest(page);
+
+    try {
+      const response = await axios.get(request.url, {
+        params: request.params,
+        headers: {
+          'User-Agent': 'HandheldDeals/1.0 (Deal Fetcher)',
+          ...(request.headers || {})
+        },
+        timeout: 10000
+      });
+
+      return { body: response.data, headers: response.headers };
+
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      if (retries > 0) {
+        const retryAfter = status === 429
+          ? parseRetryAfter(error.response.headers['retry-after'])
+          : 2;
+
+        if (retryAfter > MAX_RETRY_AFTER) {
+          console.log(`  ⚠️  ${this.storeId} rate limit (429) on page ${page}, Retry-After ${retryAfter}s exceeds ${MAX_RETRY_AFTER}s - giving up for this run`);
+          return { rateLimited: true };
+        }
+
+        console.log(`  ⚠️  ${this.storeId} ${status === 429 ? 'rate limit (429)' : 'error'} on page ${page}, retrying in ${retryAfter}s... (${MAX_RETRIES - retries + 1}/${MAX_RETRIES})`);
+        await sleep(retryAfter * 1000);
+        return this.fetchPage(page, retries - 1);
+      }
+
+      if (status === 429) {
+        return { rateLimited: true };
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Read a recorded response page from fixture file
+   * Fixture format: { "pages": [{ "headers": {...}, "body": <raw response> }, ...], "expected": [...] }
+   * (expected deals are checked by scripts/test-store-adapters.js)
+   */
+  readFixturePage(page) {
+    if (!this.recording) {
+      this.recording = JSON.parse(fs.readFileSync(this.fixture, 'utf8'));
+    }
+
+    const recorded = this.recording.pages[page];
+
+    if (!recorded) {
+      return { body: null, headers: {} };
+    }
+
+    return { body: recorded.body, headers: recorded.headers || {} };
+  }
+}
+
+/**
+ * Seconds to wait from a Retry-After header - delay in seconds or an HTTP date
+ * (DEFAULT_RETRY_AFTER when missing or unparseable)
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return DEFAULT_RETRY_AFTER;
+
+  if (/^\s*\d+\s*$/.test(String(value))) {
+    return parseInt(value, 10);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return DEFAULT_RETRY_AFTER;
+
+  return Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+/**
+ * Parse a price that may be a number, "4.99" or "$4.99"
+ */
+function parsePrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const parsed = parseFloat(String(value).replace(/[^0-9.]/g, ''));
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Parse a sale end (unix seconds, milliseconds or date string) → ISO timestamp or null
+ */
+function parseSaleEnd(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const numeric = typeof value === 'number' || /^\d+$/.test(String(value));
+  const time = numeric
+    ? Number(value) * (Number(value) < 1e12 ? 1000 : 1)
+    : Date.parse(value);
+
+  return Number.isNaN(time) || time <= 0 ? null : new Date(time).toISOString();
+}
+
+/**
+ * Calculate discount percent from sale + normal price
+ */
+function calculateDiscount(price, normalPrice) {
+  if (!normalPrice || normalPrice <= 0 || price === null) return 0;
+  return Math.max(0, Math.round((1 - price / normalPrice) * 100));
+}
+
+module.exports = { StoreAdapter, parsePrice, parseSaleEnd, parseRetryAfter, calculateDiscount, MAX_RETRY_AFTER };
@@ -0,0 +1,182 @@
+/**
+ * HANDHELD DEALS - AGGREGATE CLICKS SCRIPT
+ *
+ * Rolls up outbound deal clicks (written by extensions/endpoints/go) into
+ * the click_stats collection read by the click-stats endpoint and dashboard panel.
+ *
+ * Logic:
+ * - One click_stats row per UTC day, game, store, source_page and device
+ *   with the click count and the number of distinct sessions
+ * - Each run rebuilds the last CLICK_STATS_DAYS full days (late clicks are picked up),
+ *   so re-running is safe: a day's rows are replaced, never added to
+ * - Backfill with --days=N
+ *
+ * Schedule: Daily at 1:00 AM
+ * Cron: 0 1 (star) (star) (star)
+ *
+ * Usage: node scripts/aggregate-clicks.js [--days=30]
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, aggregate, createItems, deleteItems, authentication } = require('@directus/sdk');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Full days rebuilt per run (yesterday + the day before by default)
+const DAYS_ARG = process.argv.find(arg => arg.startsWith('--days='));
+const DAYS = parseInt(DAYS_ARG ? DAYS_ARG.split('=')[1] : (process.env.CLICK_STATS_DAYS || '2'));
+
+const GROUP_FIELDS = ['game_id', 'store', 'source_page', 'device'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Full UTC days to rebuild, oldest first → ['2025-01-30', '2025-01-31']
+ */
+function getDaysToAggregate(days, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  return Array.from({ length: days }, (_, i) =>
+    new Date(today - (days - i) * DAY_MS).toISOString().slice(0, 10)
+  );
+}
+
+/**
+ * click_stats rows for one day
+ */
+async function aggregateDay(day, aggregatedAt) {
+  const start = `${day}T00:00:00.000Z`;
+  const end = new Date(new Date(start).getTime() + DAY_MS).toISOString();
+
+  const groups = await directus.request(
+    aggregate('clicks', {
+      aggregate: { count: ['id'], countDistinct: ['session_id'] },
+      groupBy: GROUP_FIELDS,
+      query: {
+        filter: {
+          _and: [
+            { clicked_at: { _gte: start } },
+            { clicked_at: { _lt: end } }
+          ]
+        },
+        limit: -1
+      }
+    })
+  );
+
+  return groups.map(group => ({
+    day,
+    game_id: group.game_id || null,
+    store: group.store || null,
+    source_page: group.source_page || null,
+    device: group.device || null,
+    clicks: parseInt(group.count && group.count.id, 10) || 0,
+    sessions: parseInt(group.countDistinct && group.countDistinct.session_id, 10) || 0,
+    aggregated_at: aggregatedAt
+  }));
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function aggregateClicks() {
+  console.log('📊 AGGREGATE CLICKS STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+
+  try {
+    // Login
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    const aggregatedAt = new Date().toISOString();
+    const days = getDaysToAggregate(DAYS);
+
+    console.log(`📅 Rebuilding ${days.length} days: ${days[0]} → ${days[days.length - 1]}\n`);
+
+    let totalClicks = 0;
+    let totalRows = 0;
+    let errors = 0;
+
+    for (const day of days) {
+      try {
+        const rows = await aggregateDay(day, aggregatedAt);
+        const clicks = rows.reduce((sum, row) => sum + row.clicks, 0);
+
+        // Replace the day's roll-up
+        await directus.request(
+          deleteItems('click_stats', { filter: { day: { _eq: day } } })
+        );
+
+        if (rows.length > 0) {
+          await directus.request(createItems('click_stats', rows));
+        }
+
+        console.log(`  ✅ ${day}: ${clicks} clicks in ${rows.length} rows`);
+        totalClicks += clicks;
+        totalRows += rows.length;
+
+      } catch (error) {
+        console.error(`  ❌ ${day}: ${error.message}`);
+        errors++;
+      }
+    }
+
+    // Summary
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 CLICK AGGREGATION SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`📅 Days rebuilt: ${days.length - errors}/${days.length}`);
+    console.log(`🖱️  Clicks: ${totalClicks}`);
+    console.log(`📦 click_stats rows: ${totalRows}`);
+    console.log(`❌ Errors: ${errors}`);
+    console.log(`📅 Timestamp: ${new Date().toISOString()}`);
+    console.log('='.repeat(60) + '\n');
+
+    // Failed days are rebuilt by the next run (within CLICK_STATS_DAYS)
+    if (errors > 0) {
+      console.log(`⚠️  Aggregation finished with ${errors} failed days`);
+    } else {
+      console.log('✅ Aggregation complete!');
+    }
+
+  } catch (error) {
+    // Rethrow for logJob - this runs inside the cron scheduler's process
+    console.error('❌ Fatal error:', error.message);
+    throw error;
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  aggregateClicks()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { aggregateClicks, getDaysToAggregate };
@@ -0,0 +1,385 @@
+/**
+ * HANDHELD DEALS - BATTERY MODEL CALIBRATION SCRIPT
+ *
+ * Fits the battery estimation model against real measurements.
+ *
+ * Training data:
+ * - curator_picks.battery_hours (device from tested_on)
+ * - Hand-tested device_performance entries (estimated: false)
+ *
+ * Method:
+ * - Per device: least squares over genre, release year, deck_status and ProtonDB tier
+ * - Ridge penalty towards the current model, so features with few
+ *   measurements stay close to their previous values
+ * - Writes models/battery-model.json with an incremented version
+ * - Reports estimation error (MAE/RMSE) before and after calibration
+ *
+ * Usage:
+ *   node scripts/calibrate-battery.js            # Fit + write model
+ *   node scripts/calibrate-battery.js --dry-run  # Report only
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, readItems, staticToken } = require('@directus/sdk');
+const {
+  DEVICES,
+  FEATURES,
+  MODEL_PATH,
+  loadBatteryModel,
+  saveBatteryModel,
+  extractFeatures,
+  predictHours
+} = require('./utils/battery-model');
+const { getDeviceByCuratorCode } = require('./utils/devices');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || process.env.PUBLIC_URL || 'http://localhost:8055';
+const ADMIN_TOKEN = process.env.DIRECTUS_ADMIN_TOKEN;
+
+// Validate token
+if (!ADMIN_TOKEN) {
+  console.error('❌ Error: DIRECTUS_ADMIN_TOKEN not found in .env file!');
+  console.error('Please add your admin token to .env:');
+  console.error('DIRECTUS_ADMIN_TOKEN=your_token_here');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Fitting
+const MIN_SAMPLES_PER_DEVICE = 5;  // Fewer measurements = keep current coefficients
+const RIDGE_LAMBDA = 2;            // Pull towards current modifiers (≈ 2 measurements' weight)
+const INTERCEPT_LAMBDA = 0.1;      // Baseline moves freely
+
+const GAME_FIELDS = ['id', 'title', 'genre', 'release_year', 'deck_status', 'protondb_tier'];
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(staticToken(ADMIN_TOKEN))
+  .with(rest());
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Collect measurements: [{ device, game, hours, source }]
+ */
+async function loadMeasurements() {
+  const [picks, games] = await Promise.all([
+    directus.request(
+      readItems('curator_picks', {
+        filter: {
+          _and: [
+            { battery_hours: { _nnull: true } },
+            { tested_on: { _nnull: true } }
+          ]
+        },
+        fields: ['id', 'battery_hours', 'tested_on', { game_id: GAME_FIELDS }],
+        limit: -1
+      })
+    ),
+    directus.request(
+      readItems('games', {
+        filter: { device_performance: { _nnull: true } },
+        fields: [...GAME_FIELDS, 'device_performance'],
+        limit: -1
+      })
+    )
+  ]);
+
+  const measurements = [];
+  const seen = new Set();
+
+  // Same game + device + hours from both sources counts once
+  const add = (device, game, hours, source) => {
+    const key = `${game.id}:${device}:${hours}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      measurements.push({ device, game, hours, source });
+    }
+  };
+
+  for (const pick of picks) {
+    // curator_picks.tested_on holds the registry's curator_code (deck, ally, legion)
+    const registered = getDeviceByCuratorCode(pick.tested_on);
+    const device = registered ? registered.id : null;
+    const hours = parseFloat(pick.battery_hours);
+
+    if (device && pick.game_id && typeof pick.game_id === 'object' && hours > 0) {
+      add(device, pick.game_id, hours, 'curator_pick');
+    }
+  }
+
+  for (const game of games) {
+    for (const device of DEVICES) {
+      const entry = game.device_performance[device];
+      const hours = entry ? parseFloat(entry.battery_hours) : NaN;
+
+      if (entry && entry.estimated === false && hours > 0) {
+        add(device, game, hours, 'hand_tested');
+      }
+    }
+  }
+
+  return measurements;
+}
+
+/**
+ * Solve A·x = b (Gaussian elimination with partial pivoting)
+ */
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) {
+        pivot = row;
+      }
+    }
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let k = col; k <= n; k++) {
+        M[row][k] -= factor * M[col][k];
+      }
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = M[row][n];
+    for (let k = row + 1; k < n; k++) {
+      sum -= M[row][k] * x[k];
+    }
+    x[row] = sum / M[row][row];
+  }
+
+  return x;
+}
+
+/**
+ * Ridge least squares towards prior coefficients
+ * minimize Σ(y - x·β)² + Σ λ_j (β_j - prior_j)²  →  (XᵀX + Λ)β = Xᵀy + Λ·prior
+ */
+function fitDevice(samples, params) {
+  const prior = [params.intercept, ...FEATURES.map(feature => params.modifiers[feature] || 0)];
+  const lambdas = [INTERCEPT_LAMBDA, ...FEATURES.map(() => RIDGE_LAMBDA)];
+  const size = prior.length;
+
+  const XtX = Array.from({ length: size }, () => new Array(size).fill(0));
+  const Xty = new Array(size).fill(0);
+
+  for (const sample of samples) {
+    const active = new Set(extractFeatures(sample.game));
+    const x = [1, ...FEATURES.map(feature => (active.has(feature) ? 1 : 0))];
+
+    for (let i = 0; i < size; i++) {
+      if (x[i] === 0) continue;
+      Xty[i] += x[i] * sample.hours;
+      for (let j = 0; j < size; j++) {
+        XtX[i][j] += x[i] * x[j];
+      }
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    XtX[i][i] += lambdas[i];
+    Xty[i] += lambdas[i] * prior[i];
+  }
+
+  const beta = solveLinearSystem(XtX, Xty);
+  const round = value => Math.round(value * 100) / 100;
+  const modifiers = {};
+
+  FEATURES.forEach((feature, i) => {
+    const value = round(beta[i + 1]);
+    if (value !== 0) {
+      modifiers[feature] = value;
+    }
+  });
+
+  return {
+    ...params,
+    intercept: round(beta[0]),
+    modifiers
+  };
+}
+
+/**
+ * Estimation error of a model on measurements ({ mae, rmse, bias } in hours)
+ */
+function measureError(samples, device, model) {
+  if (samples.length === 0) {
+    return null;
+  }
+
+  let absSum = 0;
+  let sqSum = 0;
+  let biasSum = 0;
+
+  for (const sample of samples) {
+    const error = predictHours(sample.game, device, model).hours - sample.hours;
+    absSum += Math.abs(error);
+    sqSum += error * error;
+    biasSum += error;
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    mae: round(absSum / samples.length),
+    rmse: round(Math.sqrt(sqSum / samples.length)),
+    bias: round(biasSum / samples.length)
+  };
+}
+
+/**
+ * Biggest coefficient moves between two device models
+ */
+function getCoefficientChanges(before, after, limit = 5) {
+  const changes = [{ feature: 'baseline', from: before.intercept, to: after.intercept }];
+
+  for (const feature of FEATURES) {
+    changes.push({
+      feature,
+      from: before.modifiers[feature] || 0,
+      to: after.modifiers[feature] || 0
+    });
+  }
+
+  return changes
+    .filter(change => change.from !== change.to)
+    .sort((a, b) => Math.abs(b.to - b.from) - Math.abs(a.to - a.from))
+    .slice(0, limit);
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function calibrateBatteryModel() {
+  console.log('🧮 BATTERY MODEL CALIBRATION STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}`);
+  if (DRY_RUN) {
+    console.log('🔍 DRY RUN - model file will not be written');
+  }
+
+  try {
+    const currentModel = loadBatteryModel();
+    console.log(`📦 Current model: v${currentModel.version}${currentModel.fitted_at ? ` (fitted ${currentModel.fitted_at})` : ' (built-in)'}\n`);
+
+    console.log('📥 Fetching measurements (curator picks + hand-tested entries)...');
+    const measurements = await loadMeasurements();
+    console.log(`✅ Found ${measurements.length} measurements\n`);
+
+    const fittedModel = {
+      version: currentModel.version + 1,
+      fitted_at: new Date().toISOString(),
+      ridge_lambda: RIDGE_LAMBDA,
+      devices: {}
+    };
+
+    const report = [];
+
+    for (const device of DEVICES) {
+      const samples = measurements.filter(m => m.device === device);
+      const params = currentModel.devices[device];
+
+      const fitted = samples.length >= MIN_SAMPLES_PER_DEVICE
+        ? fitDevice(samples, params)
+        : params;
+
+      const errorBefore = measureError(samples, device, currentModel);
+      const errorAfter = measureError(samples, device, { devices: { [device]: fitted } });
+
+      fittedModel.devices[device] = {
+        intercept: fitted.intercept,
+        clamp: fitted.clamp,
+        modifiers: fitted.modifiers,
+        samples: samples.length,
+        error_before: errorBefore,
+        error_after: errorAfter
+      };
+
+      report.push({
+        device,
+        samples,
+        fitted: samples.length >= MIN_SAMPLES_PER_DEVICE,
+        errorBefore,
+        errorAfter,
+        changes: getCoefficientChanges(params, fitted)
+      });
+    }
+
+    // Report
+    console.log('='.repeat(60));
+    console.log('📊 CALIBRATION REPORT (error in hours)');
+    console.log('='.repeat(60));
+
+    for (const entry of report) {
+      const curator = entry.samples.filter(s => s.source === 'curator_pick').length;
+      console.log(`\n🎮 ${entry.device}: ${entry.samples.length} measurements (${curator} curator picks, ${entry.samples.length - curator} hand-tested)`);
+
+      if (!entry.fitted) {
+        console.log(`   ⏭️  Not enough data (< ${MIN_SAMPLES_PER_DEVICE}), keeping current coefficients`);
+      }
+
+      if (entry.errorBefore) {
+        console.log(`   Before: MAE ${entry.errorBefore.mae}h, RMSE ${entry.errorBefore.rmse}h, bias ${entry.errorBefore.bias > 0 ? '+' : ''}${entry.errorBefore.bias}h`);
+        console.log(`   After:  MAE ${entry.errorAfter.mae}h, RMSE ${entry.errorAfter.rmse}h, bias ${entry.errorAfter.bias > 0 ? '+' : ''}${entry.errorAfter.bias}h`);
+      }
+
+      for (const change of entry.changes) {
+        console.log(`   • ${change.feature}: ${change.from} → ${change.to}`);
+      }
+    }
+
+    console.log('\n' + '='.repeat(60) + '\n');
+
+    if (measurements.length === 0) {
+      console.log('⚠️  No measurements yet - model unchanged');
+      return;
+    }
+
+    if (DRY_RUN) {
+      console.log(`🔍 Dry run - would write model v${fittedModel.version} to ${MODEL_PATH}`);
+      return;
+    }
+
+    saveBatteryModel(fittedModel);
+    console.log(`💾 Wrote model v${fittedModel.version} to ${MODEL_PATH}`);
+    console.log('ℹ️  estimate-battery.js re-estimates every estimated entry with this model on its next run');
+
+    console.log('\n✅ Battery model calibration complete!');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  calibrateBatteryModel()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { calibrateBatteryModel, fitDevice, measureError };
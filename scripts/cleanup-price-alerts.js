@@ -0,0 +1,142 @@
+/**
+ * HANDHELD DEALS - CLEANUP PRICE ALERTS SCRIPT
+ *
+ * Removes price alerts that will never fire.
+ *
+ * Logic:
+ * - Delete unverified alerts older than PRICE_ALERT_VERIFY_HOURS (double opt-in never confirmed)
+ * - Delete alerts where expires_at < now
+ * - Log count for analytics
+ *
+ * Delivery records in email_deliveries are kept (price_alert_id is set to null).
+ *
+ * Schedule: Daily at 5:15 AM
+ * Cron: 15 5 (star) (star) (star)
+ *
+ * Usage: node scripts/cleanup-price-alerts.js
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, readItems, deleteItems, authentication } = require('@directus/sdk');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Time to click the confirmation link before an unverified alert is purged
+const VERIFY_HOURS = parseInt(process.env.PRICE_ALERT_VERIFY_HOURS || '48');
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function cleanupPriceAlerts() {
+  console.log('🧹 CLEANUP PRICE ALERTS STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+
+  try {
+    // Login
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    const now = new Date().toISOString();
+    const verifyCutoff = new Date(Date.now() - VERIFY_HOURS * 60 * 60 * 1000).toISOString();
+
+    // Find unverified alerts past the confirmation window, and expired alerts
+    console.log(`📥 Fetching alerts unverified for ${VERIFY_HOURS}h+ or expired...`);
+
+    const staleAlerts = await directus.request(
+      readItems('price_alerts', {
+        filter: {
+          _or: [
+            {
+              _and: [
+                {
+                  _or: [
+                    { verified: { _eq: false } },      // Never confirmed
+                    { verified: { _null: true } }
+                  ]
+                },
+                { created_at: { _lt: verifyCutoff } }  // Confirmation window passed
+              ]
+            },
+            {
+              _and: [
+                { expires_at: { _nnull: true } },      // Has expiration date
+                { expires_at: { _lt: now } }           // Expired
+              ]
+            }
+          ]
+        },
+        fields: ['id', 'verified', 'alert_sent', 'created_at', 'expires_at'],
+        limit: -1
+      })
+    );
+
+    console.log(`✅ Found ${staleAlerts.length} alerts to remove\n`);
+
+    if (staleAlerts.length === 0) {
+      console.log('ℹ️  No stale price alerts to delete');
+      console.log('✅ Cleanup complete!\n');
+      return;
+    }
+
+    const unverified = staleAlerts.filter(alert => alert.verified !== true).length;
+    const expired = staleAlerts.length - unverified;
+    const expiredSent = staleAlerts.filter(alert => alert.verified === true && alert.alert_sent).length;
+
+    // Delete stale alerts
+    console.log('🗑️  Deleting stale price alerts...\n');
+
+    await directus.request(
+      deleteItems('price_alerts', staleAlerts.map(alert => alert.id))
+    );
+
+    console.log(`✅ Deleted ${staleAlerts.length} price alerts\n`);
+
+    // Summary
+    console.log('='.repeat(60));
+    console.log('📊 CLEANUP SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`🗑️  Total deleted: ${staleAlerts.length} alerts`);
+    console.log(`✉️  Never confirmed: ${unverified} alerts`);
+    console.log(`⌛ Expired: ${expired} alerts (${expiredSent} already triggered)`);
+    console.log(`📅 Timestamp: ${new Date().toISOString()}`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log('✅ Cleanup complete!');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  cleanupPriceAlerts()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { cleanupPriceAlerts };
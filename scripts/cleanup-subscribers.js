@@ -0,0 +1,140 @@
+/**
+ * HANDHELD DEALS - CLEANUP SUBSCRIBERS SCRIPT
+ *
+ * Removes weekly digest signups that were never confirmed.
+ *
+ * Logic:
+ * - Delete pending subscribers whose last confirmation email (verification_sent_at,
+ *   or created_at for older rows) is more than SUBSCRIBER_VERIFY_HOURS old
+ * - Active and unsubscribed subscribers are kept (unsubscribed = opt-out record)
+ * - Log count for analytics
+ *
+ * Delivery records in email_deliveries are kept (subscriber_id is set to null).
+ *
+ * Schedule: Daily at 5:30 AM
+ * Cron: 30 5 (star) (star) (star)
+ *
+ * Usage: node scripts/cleanup-subscribers.js
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, readItems, deleteItems, authentication } = require('@directus/sdk');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Time to click the confirmation link before a pending subscriber is purged
+const VERIFY_HOURS = parseInt(process.env.SUBSCRIBER_VERIFY_HOURS || '48');
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function cleanupSubscribers() {
+  console.log('🧹 CLEANUP SUBSCRIBERS STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+
+  try {
+    // Login
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    const verifyCutoff = new Date(Date.now() - VERIFY_HOURS * 60 * 60 * 1000).toISOString();
+
+    // Find pending subscribers past the confirmation window
+    console.log(`📥 Fetching subscribers pending for ${VERIFY_HOURS}h+...`);
+
+    const staleSubscribers = await directus.request(
+      readItems('subscribers', {
+        filter: {
+          _and: [
+            { status: { _eq: 'pending' } },                    // Never confirmed
+            {
+              _or: [
+                { verification_sent_at: { _lt: verifyCutoff } },  // Confirmation window passed
+                {
+                  _and: [
+                    { verification_sent_at: { _null: true } },   // Signed up before it was tracked
+                    { created_at: { _lt: verifyCutoff } }
+                  ]
+                }
+              ]
+            }
+          ]
+        },
+        fields: ['id', 'source', 'created_at', 'verification_sent_at'],
+        limit: -1
+      })
+    );
+
+    console.log(`✅ Found ${staleSubscribers.length} subscribers to remove\n`);
+
+    if (staleSubscribers.length === 0) {
+      console.log('ℹ️  No stale pending subscribers to delete');
+      console.log('✅ Cleanup complete!\n');
+      return;
+    }
+
+    // Delete stale subscribers
+    console.log('🗑️  Deleting stale pending subscribers...\n');
+
+    await directus.request(
+      deleteItems('subscribers', staleSubscribers.map(subscriber => subscriber.id))
+    );
+
+    console.log(`✅ Deleted ${staleSubscribers.length} subscribers\n`);
+
+    const bySource = {};
+    for (const subscriber of staleSubscribers) {
+      const source = subscriber.source || 'unknown';
+      bySource[source] = (bySource[source] || 0) + 1;
+    }
+
+    // Summary
+    console.log('='.repeat(60));
+    console.log('📊 CLEANUP SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`🗑️  Total deleted: ${staleSubscribers.length} pending subscribers`);
+    for (const [source, count] of Object.entries(bySource)) {
+      console.log(`   ${source}: ${count}`);
+    }
+    console.log(`📅 Timestamp: ${new Date().toISOString()}`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log('✅ Cleanup complete!');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  cleanupSubscribers()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { cleanupSubscribers };
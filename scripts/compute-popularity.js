@@ -0,0 +1,254 @@
+/**
+ * HANDHELD DEALS - COMPUTE POPULARITY SCRIPT
+ *
+ * Recomputes games.popularity_score (0-1000) from recent activity
+ * (utils/popularity): decayed outbound clicks (click_stats), Steam review
+ * count, published curator picks and deal recency (last_deal_date).
+ *
+ * Also maintains games.last_deal_date: the latest day a discounted deal was
+ * checked (fetch-cheapshark.js sets it as deals come in, this backfills it).
+ *
+ * Only games whose score or last_deal_date changed are written.
+ *
+ * Schedule: Daily at 1:30 AM (after aggregate-clicks.js)
+ * Cron: 30 1 (star) (star) (star)
+ *
+ * Usage: node scripts/compute-popularity.js
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, readItems, updateItemsBatch, aggregate, authentication } = require('@directus/sdk');
+const { computePopularityScore, CLICK_HALF_LIFE_DAYS } = require('./utils/popularity');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Clicks older than 6 half-lives weigh < 2% - not worth loading
+const CLICK_WINDOW_DAYS = CLICK_HALF_LIFE_DAYS * 6;
+
+const WRITE_CHUNK_SIZE = 100; // Items per updateItemsBatch request
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// FETCH FUNCTIONS
+// ============================================================================
+
+/**
+ * Daily clicks per game within the window (Map game_id → [{ day, clicks }])
+ */
+async function fetchClicksByGame(now) {
+  const since = new Date(now.getTime() - CLICK_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const rows = await directus.request(
+    aggregate('click_stats', {
+      aggregate: { sum: ['clicks'] },
+      groupBy: ['game_id', 'day'],
+      query: {
+        filter: { day: { _gte: since } },
+        limit: -1
+      }
+    })
+  );
+
+  const clicks = new Map();
+  for (const row of rows) {
+    if (!row.game_id) continue;
+    if (!clicks.has(row.game_id)) clicks.set(row.game_id, []);
+    clicks.get(row.game_id).push({ day: row.day, clicks: row.sum && row.sum.clicks });
+  }
+
+  return clicks;
+}
+
+/**
+ * Published curator picks per game (Map game_id → [{ published_at }])
+ */
+async function fetchPicksByGame() {
+  const rows = await directus.request(
+    readItems('curator_picks', {
+      filter: { status: { _eq: 'published' } },
+      fields: ['game_id', 'published_at'],
+      limit: -1
+    })
+  );
+
+  const picks = new Map();
+  for (const row of rows) {
+    if (!row.game_id) continue;
+    if (!picks.has(row.game_id)) picks.set(row.game_id, []);
+    picks.get(row.game_id).push(row);
+  }
+
+  return picks;
+}
+
+/**
+ * Latest day a discounted deal was checked, per game (Map game_id → 'YYYY-MM-DD')
+ */
+async function fetchLastDealDates() {
+  const rows = await directus.request(
+    aggregate('deals', {
+      aggregate: { max: ['last_checked'] },
+      groupBy: ['game_id'],
+      query: {
+        filter: { discount_percent: { _gt: 0 } },
+        limit: -1
+      }
+    })
+  );
+
+  return new Map(rows
+    .filter(row => row.game_id && row.max && row.max.last_checked)
+    .map(row => [row.game_id, new Date(row.max.last_checked).toISOString().slice(0, 10)]));
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Later of two 'YYYY-MM-DD' dates (either may be null)
+ */
+function latestDate(a, b) {
+  if (!a) return b || null;
+  if (!b) return a;
+  return a > b ? a : b;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function computePopularity() {
+  console.log('📈 COMPUTE POPULARITY STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+
+  try {
+    // Login
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    const now = new Date();
+
+    // Load games + activity
+    console.log('📥 Fetching games, clicks, curator picks and deal activity...');
+
+    const [games, clicksByGame, picksByGame, lastDealDates] = await Promise.all([
+      directus.request(
+        readItems('games', {
+          fields: ['id', 'title', 'steam_total_reviews', 'last_deal_date', 'popularity_score'],
+          limit: -1
+        })
+      ),
+      fetchClicksByGame(now),
+      fetchPicksByGame(),
+      fetchLastDealDates()
+    ]);
+
+    console.log(`✅ ${games.length} games, ${clicksByGame.size} with clicks, ${picksByGame.size} with curator picks, ${lastDealDates.size} with discounted deals\n`);
+
+    // Score
+    console.log('⚙️  Scoring games...\n');
+
+    const updates = [];
+    const scored = [];
+    let dealDatesSet = 0;
+
+    for (const game of games) {
+      const lastDealDate = latestDate(game.last_deal_date, lastDealDates.get(game.id));
+      const score = computePopularityScore(
+        { ...game, last_deal_date: lastDealDate },
+        { clicks: clicksByGame.get(game.id), picks: picksByGame.get(game.id) },
+        now
+      );
+
+      scored.push({ title: game.title, score });
+
+      const changes = {};
+      if (score !== game.popularity_score) {
+        changes.popularity_score = score;
+      }
+      if (lastDealDate !== (game.last_deal_date || null)) {
+        changes.last_deal_date = lastDealDate;
+        dealDatesSet++;
+      }
+
+      if (Object.keys(changes).length > 0) {
+        updates.push({ id: game.id, ...changes });
+      }
+    }
+
+    // Write changed games
+    let written = 0;
+    let errors = 0;
+
+    for (const batch of chunk(updates, WRITE_CHUNK_SIZE)) {
+      try {
+        await directus.request(updateItemsBatch('games', batch));
+        written += batch.length;
+      } catch (error) {
+        console.error(`  ❌ Failed to update ${batch.length} games:`, error.message);
+        errors += batch.length;
+      }
+    }
+
+    const top = scored.sort((a, b) => b.score - a.score).slice(0, 5);
+
+    // Summary
+    console.log('='.repeat(60));
+    console.log('📊 POPULARITY SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`🎮 Games scored: ${games.length}`);
+    console.log(`✏️  Updated: ${written} games (${dealDatesSet} last_deal_date changes)`);
+    console.log(`❌ Errors: ${errors}`);
+    if (top.length > 0) {
+      console.log('🏆 Most popular:');
+      top.forEach((game, i) => console.log(`   ${i + 1}. ${game.title} (${game.score})`));
+    }
+    console.log(`📅 Timestamp: ${new Date().toISOString()}`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log('✅ Popularity complete!');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  computePopularity()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { computePopularity };
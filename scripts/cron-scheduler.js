@@ -21,10 +21,17 @@ const { pingHealthcheck } = require('./utils/healthcheck-ping');
 const { fetchCheapSharkDeals } = require('./fetch-cheapshark');
 const { syncSteamData } = require('./sync-steam-data');
 const { syncProtonDB } = require('./sync-protondb');
+const { syncDeckVerified } = require('./sync-deck-verified');
+const { runBatteryEstimation } = require('./estimate-battery');
 const { cleanupOldDeals } = require('./cleanup-old-deals');
 const { updateEventStatus } = require('./update-event-status');
 const { processPriceAlerts } = require('./process-price-alerts');
 const { cleanupPreferences } = require('./cleanup-preferences');
+const { cleanupPriceAlerts } = require('./cleanup-price-alerts');
+const { cleanupSubscribers } = require('./cleanup-subscribers');
+const { sendWeeklyDigest } = require('./send-weekly-digest');
+const { aggregateClicks } = require('./aggregate-clicks');
+const { computePopularity } = require('./compute-popularity');
 const { flagStaleReviews } = require('./flag-stale-reviews');
 const { downgradeStaleData } = require('./downgrade-stale-data');
 
@@ -135,12 +142,36 @@ cron.schedule('0 */6 * * *', logJob('protondb', syncProtonDB, process.env.HEALTH
 // DAILY JOBS
 // ============================================================================
 
+// Click aggregation (yesterday's clicks → click_stats) - Daily at 1 AM
+cron.schedule('0 1 * * *', logJob('aggregate-clicks', aggregateClicks, process.env.HEALTHCHECK_AGGREGATE_CLICKS), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
+// Popularity scores (needs yesterday's click_stats) - Daily at 1:30 AM
+cron.schedule('30 1 * * *', logJob('popularity', computePopularity, process.env.HEALTHCHECK_POPULARITY), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
 // Steam sync - Daily at 2 AM
 cron.schedule('0 2 * * *', logJob('steam', syncSteamData, process.env.HEALTHCHECK_STEAM), {
   scheduled: true,
   timezone: "Europe/Warsaw"
 });
 
+// Deck Verified sync - Daily at 3 AM
+cron.schedule('0 3 * * *', logJob('deck-verified', syncDeckVerified, process.env.HEALTHCHECK_DECK_VERIFIED), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
+// Battery estimates - Daily at 3:30 AM (after Steam + Deck Verified, only changed inputs)
+cron.schedule('30 3 * * *', logJob('battery', runBatteryEstimation, process.env.HEALTHCHECK_BATTERY), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
 // Deal cleanup - Daily at 4 AM
 cron.schedule('0 4 * * *', logJob('cleanup-deals', cleanupOldDeals, process.env.HEALTHCHECK_CLEANUP_DEALS), {
   scheduled: true,
@@ -153,6 +184,18 @@ cron.schedule('0 5 * * *', logJob('cleanup-preferences', cleanupPreferences, pro
   timezone: "Europe/Warsaw"
 });
 
+// Price alert cleanup (unconfirmed + expired) - Daily at 5:15 AM
+cron.schedule('15 5 * * *', logJob('cleanup-price-alerts', cleanupPriceAlerts, process.env.HEALTHCHECK_CLEANUP_ALERTS), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
+// Subscriber cleanup (unconfirmed digest signups) - Daily at 5:30 AM
+cron.schedule('30 5 * * *', logJob('cleanup-subscribers', cleanupSubscribers, process.env.HEALTHCHECK_CLEANUP_SUBSCRIBERS), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
 // WEEKLY JOBS
 // ============================================================================
 
@@ -168,6 +211,12 @@ cron.schedule('0 4 * * 1', logJob('stale-reviews', flagStaleReviews, process.env
   timezone: "Europe/Warsaw"
 });
 
+// Weekly Handheld Gems digest - Wednesday at 9 AM
+cron.schedule('0 9 * * 3', logJob('weekly-digest', sendWeeklyDigest, process.env.HEALTHCHECK_WEEKLY_DIGEST), {
+  scheduled: true,
+  timezone: "Europe/Warsaw"
+});
+
 // ============================================================================
 // STATUS & KEEP ALIVE
 // ============================================================================
@@ -185,13 +234,22 @@ console.log('   EVERY 6 HOURS:');
 console.log('   • :00 - ProtonDB sync');
 console.log('');
 console.log('   DAILY:');
+console.log('   • 1 AM - Click aggregation');
+console.log('   • 1:30 AM - Popularity scores');
 console.log('   • 2 AM - Steam metadata sync');
+console.log('   • 3 AM - Deck Verified sync');
+console.log('   • 3:30 AM - Battery estimates');
 console.log('   • 4 AM - Deal cleanup');
 console.log('   • 5 AM - Preferences cleanup');
+console.log('   • 5:15 AM - Price alert cleanup');
+console.log('   • 5:30 AM - Subscriber cleanup');
 console.log('');
 console.log('   WEEKLY (Monday):');
 console.log('   • 3 AM - Stale data downgrade');
 console.log('   • 4 AM - Stale reviews flagging');
+console.log('');
+console.log('   WEEKLY (Wednesday):');
+console.log('   • 9 AM - Weekly digest email');
 console.log('\n' + '='.repeat(80));
 console.log('\n⏰ Scheduler is running... Press Ctrl+C to stop\n');
 console.log(`📁 Logs directory: ${logsDir}\n`);
@@ -1,5 +1,7 @@
 require('dotenv').config();
 const { createDirectus, rest, readItems, updateItem, staticToken } = require('@directus/sdk');
+const { DEVICE_IDS, getDevice } = require('./utils/devices');
+const { buildDeviceIndex } = require('./utils/device-index');
 
 const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
 const ADMIN_TOKEN = process.env.DIRECTUS_ADMIN_TOKEN;
@@ -13,18 +15,12 @@ const directus = createDirectus(DIRECTUS_URL)
   .with(staticToken(ADMIN_TOKEN))
   .with(rest());
 
-const DEVICE_BASE_HOURS = {
-  steam_deck: 4.0,
-  rog_ally: 3.5,
-  legion_go: 3.8
-};
-
 function estimateBatteryForDevice(game, device) {
   console.log(`\n  Estimating for ${device}...`);
   console.log(`    - game.genre:`, game.genre);
   console.log(`    - game.release_year:`, game.release_year);
 
-  let hours = DEVICE_BASE_HOURS[device];
+  let hours = getDevice(device).battery_baseline_hours;
   console.log(`    - Base hours:`, hours);
 
   // Try release year modifier
@@ -55,9 +51,7 @@ function estimateAllDevices(game) {
   console.log(`\nEstimating for game: ${game.title}`);
 
   const devicePerformance = {};
-  const devices = ['steam_deck', 'rog_ally', 'legion_go'];
-
-  for (const device of devices) {
+  for (const device of DEVICE_IDS) {
     devicePerformance[device] = estimateBatteryForDevice(game, device);
   }
 
@@ -89,7 +83,8 @@ async function testOne() {
     // Try update
     await directus.request(
       updateItem('games', game.id, {
-        device_performance: devicePerformance
+        device_performance: devicePerformance,
+        ...buildDeviceIndex(devicePerformance)
       })
     );
 
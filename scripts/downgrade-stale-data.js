@@ -17,6 +17,7 @@
 
 require('dotenv').config();
 const { createDirectus, rest, readItems, updateItem, authentication } = require('@directus/sdk');
+const { DEVICE_IDS } = require('./utils/devices');
 
 // ============================================================================
 // CONFIGURATION
@@ -47,9 +48,7 @@ const directus = createDirectus(DIRECTUS_URL)
 function isDeviceDataStale(devicePerformance, cutoffDate) {
   if (!devicePerformance) return false;
 
-  const devices = ['steam_deck', 'rog_ally', 'legion_go'];
-
-  for (const device of devices) {
+  for (const device of DEVICE_IDS) {
     const deviceData = devicePerformance[device];
 
     if (deviceData && deviceData.tested_date) {
@@ -70,10 +69,9 @@ function isDeviceDataStale(devicePerformance, cutoffDate) {
 function getOldestTestedDate(devicePerformance) {
   if (!devicePerformance) return null;
 
-  const devices = ['steam_deck', 'rog_ally', 'legion_go'];
   let oldestDate = null;
 
-  for (const device of devices) {
+  for (const device of DEVICE_IDS) {
     const deviceData = devicePerformance[device];
 
     if (deviceData && deviceData.tested_date) {
@@ -1,22 +1,49 @@
 /**
  * HANDHELD DEALS - BATTERY LIFE ESTIMATION SCRIPT
  * 
- * Estimates battery life for games across three handheld devices:
- * - Steam Deck (40Whr battery, 4.0h baseline)
- * - ROG Ally (smaller battery, 3.5h baseline)
- * - Legion Go (larger battery, 3.8h baseline)
+ * Estimates battery life for games across every handheld in the device
+ * registry (utils/devices): Steam Deck, ROG Ally, Legion Go, ...
  * 
  * Algorithm uses device-specific modifiers based on:
- * - Genre (indie/AAA/action/puzzle)
+ * - Genre (indie/AAA/action/puzzle) - every matching genre counts
  * - Release year (older = less demanding)
  * - Optimization (Deck Verified, ProtonDB tier)
  * - Device-specific TDP characteristics
  * 
+ * Each device gets one estimate per power profile (TDP preset from the
+ * registry) with expected hours and FPS band; battery_hours is the
+ * device's default profile.
+ * 
+ * Modifiers come from the battery model (utils/battery-model): the fitted
+ * models/battery-model.json when present, otherwise the built-in defaults.
+ * Fit a new model with: node scripts/calibrate-battery.js
+ * 
+ * Each estimate stores a fingerprint of its inputs (game fields + device
+ * registry values) and the model version. An estimate is redone when either
+ * changes - e.g. after sync-steam-data fills in genres, sync-protondb upgrades
+ * a tier or a new model is calibrated. Hand-tested entries (estimated: false)
+ * are never overwritten.
+ * 
+ * Also keeps the device index columns (utils/device-index: device_statuses,
+ * battery_saver_profiles) in step with device_performance - including
+ * hand-tested edits - so the site can filter deals by device in Directus.
+ * 
  * Usage: node scripts/estimate-battery.js
  */
 
 require('dotenv').config();
 const { createDirectus, rest, readItems, updateItem, staticToken } = require('@directus/sdk');
+const {
+  DEVICES,
+  loadBatteryModel,
+  predictHours,
+  explainPrediction,
+  getEstimateFingerprint,
+  getDrainCategory,
+  estimatePowerProfiles
+} = require('./utils/battery-model');
+const { getDevice } = require('./utils/devices');
+const { buildDeviceIndex } = require('./utils/device-index');
 
 // ============================================================================
 // CONFIGURATION
@@ -33,63 +60,6 @@ if (!ADMIN_TOKEN) {
   process.exit(1);
 }
 
-// Device-specific base battery hours
-const DEVICE_BASE_HOURS = {
-  steam_deck: 4.0,  // 40Whr battery, balanced performance
-  rog_ally: 3.5,    // Smaller battery, higher TDP
-  legion_go: 3.8    // Larger battery than Ally
-};
-
-// Device-specific clamp ranges (min, max)
-const DEVICE_CLAMPS = {
-  steam_deck: { min: 1.5, max: 8.0 },
-  rog_ally: { min: 1.5, max: 6.0 },   // Shorter due to smaller battery
-  legion_go: { min: 1.5, max: 7.0 }
-};
-
-// Genre modifiers (apply to all devices)
-const GENRE_MODIFIERS = {
-  // Positive modifiers (less demanding)
-  indie: 2.0,
-  '2d': 2.0,
-  puzzle: 1.5,
-  'turn-based': 1.0,
-  roguelike: 1.0,
-  strategy: 0.8,
-
-  // Negative modifiers (more demanding)
-  aaa: -1.5,
-  action: -1.0,
-  fps: -1.0,
-  racing: -0.8,
-  rpg: -0.5,
-  simulation: -0.3
-};
-
-// Device-specific additional modifiers
-const DEVICE_SPECIFIC_MODIFIERS = {
-  rog_ally: {
-    action: -0.5,  // Higher TDP under load
-    fps: -0.5
-  },
-  legion_go: {
-    // Larger battery advantage
-    all: 0.3
-  }
-};
-
-// Release year modifiers
-const RELEASE_YEAR_MODIFIER = {
-  pre2020: 0.5,   // Older, less demanding
-  recent: -0.5    // 2023+, more demanding
-};
-
-// Optimization modifiers
-const OPTIMIZATION_MODIFIERS = {
-  deck_verified: 0.5,      // Valve optimized (Steam Deck only)
-  protondb_platinum: 0.3   // Community-proven efficient
-};
-
 // ============================================================================
 // DIRECTUS CLIENT
 // ============================================================================
@@ -105,105 +75,33 @@ const directus = createDirectus(DIRECTUS_URL)
 /**
  * Estimate battery life for a specific device
  * @param {Object} game - Game object from Directus
- * @param {string} device - Device identifier (steam_deck, rog_ally, legion_go)
- * @returns {Object} - { hours, category, estimated: true }
+ * @param {string} device - Device id from the registry (steam_deck, rog_ally, ...)
+ * @returns {Object} - { hours, category, profiles, breakdown, estimated: true }
  */
 function estimateBatteryForDevice(game, device) {
-  // Start with device base hours
-  let hours = DEVICE_BASE_HOURS[device];
+  // Baseline + every matching modifier, clamped to the device range
+  const prediction = predictHours(game, device);
+  const breakdown = explainPrediction(game, prediction);
+  let hours = prediction.hours;
 
-  // Track applied modifiers for notes
-  const appliedModifiers = [];
+  // Applied modifiers for the human readable notes
+  const appliedModifiers = breakdown.modifiers.map(({ label, value }) =>
+    `${label}: ${value > 0 ? '+' : ''}${value}h`
+  );
 
-  // -------------------------
-  // 1. GENRE MODIFIERS
-  // -------------------------
-  if (game.genre && Array.isArray(game.genre) && game.genre.length > 0) {
-    const genres = game.genre.map(g => String(g).toLowerCase());
-
-    for (const [genreKey, modifier] of Object.entries(GENRE_MODIFIERS)) {
-      if (genres.some(g => g.includes(genreKey))) {
-        hours += modifier;
-        appliedModifiers.push(`Genre ${genreKey}: ${modifier > 0 ? '+' : ''}${modifier}h`);
-        break; // Apply only first matching genre modifier
-      }
-    }
-  } else {
+  if (breakdown.missing.includes('genre')) {
     // No genre data - use baseline only
     appliedModifiers.push(`No genre data - baseline only`);
   }
 
   // -------------------------
-  // 2. DEVICE-SPECIFIC MODIFIERS
+  // CATEGORIZE
   // -------------------------
-  if (device === 'rog_ally' && game.genre && Array.isArray(game.genre) && game.genre.length > 0) {
-    const genres = game.genre.map(g => String(g).toLowerCase());
-    const deviceMods = DEVICE_SPECIFIC_MODIFIERS.rog_ally;
-
-    for (const [genreKey, modifier] of Object.entries(deviceMods)) {
-      if (genres.some(g => g.includes(genreKey))) {
-        hours += modifier;
-        appliedModifiers.push(`ROG Ally ${genreKey}: ${modifier}h`);
-      }
-    }
-  }
+  // Drain category relative to the device's baseline (Deck: 5h+ low, under 3h high)
+  const category = getDrainCategory(hours, device);
 
-  if (device === 'legion_go') {
-    hours += DEVICE_SPECIFIC_MODIFIERS.legion_go.all;
-    appliedModifiers.push(`Legion Go battery: +0.3h`);
-  }
-
-  // -------------------------
-  // 3. RELEASE YEAR MODIFIER
-  // -------------------------
-  if (game.release_year) {
-    if (game.release_year < 2020) {
-      hours += RELEASE_YEAR_MODIFIER.pre2020;
-      appliedModifiers.push(`Pre-2020: +0.5h`);
-    } else if (game.release_year >= 2023) {
-      hours += RELEASE_YEAR_MODIFIER.recent;
-      appliedModifiers.push(`2023+ release: -0.5h`);
-    }
-  }
-
-  // -------------------------
-  // 4. OPTIMIZATION MODIFIERS
-  // -------------------------
-  // Deck Verified (Steam Deck only)
-  if (device === 'steam_deck' && game.deck_status === 'verified') {
-    hours += OPTIMIZATION_MODIFIERS.deck_verified;
-    appliedModifiers.push(`Deck Verified: +0.5h`);
-  }
-
-  // ProtonDB Platinum (all devices)
-  if (game.protondb_tier === 'platinum') {
-    hours += OPTIMIZATION_MODIFIERS.protondb_platinum;
-    appliedModifiers.push(`ProtonDB Platinum: +0.3h`);
-  }
-
-  // -------------------------
-  // 5. CLAMP TO DEVICE RANGE
-  // -------------------------
-  const clamp = DEVICE_CLAMPS[device];
-  hours = Math.max(clamp.min, Math.min(clamp.max, hours));
-
-  // -------------------------
-  // 6. CATEGORIZE
-  // -------------------------
-  let category;
-  if (device === 'steam_deck') {
-    if (hours >= 5) category = 'low';
-    else if (hours >= 3) category = 'medium';
-    else category = 'high';
-  } else if (device === 'rog_ally') {
-    if (hours >= 4) category = 'low';
-    else if (hours >= 2.5) category = 'medium';
-    else category = 'high';
-  } else { // legion_go
-    if (hours >= 4.5) category = 'low';
-    else if (hours >= 3) category = 'medium';
-    else category = 'high';
-  }
+  // Hours + FPS band per TDP preset (null if the device has no profiles)
+  const profiles = estimatePowerProfiles(hours, device);
 
   // Round to 1 decimal place
   hours = Math.round(hours * 10) / 10;
@@ -211,79 +109,147 @@ function estimateBatteryForDevice(game, device) {
   return {
     hours,
     category,
+    profiles,
+    breakdown,
     estimated: true,
     notes: `Estimated based on: ${appliedModifiers.join(', ') || 'baseline only'}`
   };
 }
 
 /**
- * Estimate battery for all three devices
+ * Build the device_performance entry for one device
+ * @param {Object} game - Game object from Directus
+ * @param {string} device - Device id from the registry
+ * @returns {Object} - Estimated device_performance entry
+ */
+function buildEstimateEntry(game, device) {
+  const estimate = estimateBatteryForDevice(game, device);
+
+  return {
+    status: 'untested',
+    fps_avg: null,
+    battery_hours: estimate.hours,
+    power_profile: getDevice(device).default_power_profile || null,
+    profiles: estimate.profiles,
+    tested_settings: null,
+    tested_date: null,
+    notes: estimate.notes,
+    breakdown: estimate.breakdown,
+    fingerprint: getEstimateFingerprint(game, device),
+    model_version: loadBatteryModel().version,
+    estimated: true
+  };
+}
+
+/**
+ * Estimate battery for all registered devices
  * @param {Object} game - Game object from Directus
  * @returns {Object} - device_performance object with all devices
  */
 function estimateAllDevices(game) {
-  const devices = ['steam_deck', 'rog_ally', 'legion_go'];
   const devicePerformance = {};
 
-  for (const device of devices) {
-    const estimate = estimateBatteryForDevice(game, device);
-
-    devicePerformance[device] = {
-      status: 'untested',
-      fps_avg: null,
-      battery_hours: estimate.hours,
-      tested_settings: null,
-      tested_date: null,
-      notes: estimate.notes,
-      estimated: true
-    };
+  for (const device of DEVICES) {
+    devicePerformance[device] = buildEstimateEntry(game, device);
   }
 
   return devicePerformance;
 }
 
+/**
+ * Why a device entry needs (re-)estimation
+ * @returns {string|null} - 'missing' | 'inputs' | 'model', null = up to date or hand-tested
+ */
+function getEstimateReason(game, device, model) {
+  const entry = game.device_performance && game.device_performance[device];
+
+  if (!entry) return 'missing';
+
+  // Hand-tested data always wins
+  if (entry.estimated === false) return null;
+
+  if (entry.battery_hours === null || entry.battery_hours === undefined) return 'missing';
+  if (entry.fingerprint !== getEstimateFingerprint(game, device)) return 'inputs';
+  if (entry.model_version !== model.version) return 'model';
+
+  return null;
+}
+
+/**
+ * Whether the stored device index columns differ from `index`
+ */
+function isIndexStale(game, index) {
+  return Object.keys(index).some(field => (game[field] || null) !== index[field]);
+}
+
 // ============================================================================
 // MAIN SCRIPT
 // ============================================================================
 
 async function runBatteryEstimation() {
   console.log('🔋 BATTERY ESTIMATION SCRIPT STARTING...\n');
-  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}`);
+
+  const model = loadBatteryModel();
+  console.log(`🧮 Battery model: v${model.version}${model.fitted_at ? ` (fitted ${model.fitted_at})` : ' (built-in)'}\n`);
 
   try {
     // Fetch all games
     console.log('📥 Fetching games from database...');
     const games = await directus.request(
       readItems('games', {
-        fields: ['id', 'title', 'genre', 'release_year', 'deck_status', 'protondb_tier', 'device_performance'],
+        fields: [
+          'id', 'title', 'genre', 'release_year', 'deck_status', 'protondb_tier', 'device_performance',
+          'device_statuses', 'battery_saver_profiles'
+        ],
         limit: -1 // Get all games
       })
     );
 
     console.log(`✅ Found ${games.length} games\n`);
 
-    // Filter games that need estimation
-    // (device_performance is null, empty, or missing battery_hours for any device)
-    const gamesToProcess = games.filter(game => {
-      if (!game.device_performance) return true;
+    // Work out which device entries are out of date
+    const reasonCounts = { missing: 0, inputs: 0, model: 0 };
+    let handTested = 0;
+    let indexOnly = 0;
 
-      const dp = game.device_performance;
-      const devices = ['steam_deck', 'rog_ally', 'legion_go'];
+    const gamesToProcess = [];
 
-      for (const device of devices) {
-        if (!dp[device] || dp[device].battery_hours === null || dp[device].battery_hours === undefined) {
-          return true;
+    for (const game of games) {
+      const staleDevices = [];
+
+      for (const device of DEVICES) {
+        const entry = game.device_performance && game.device_performance[device];
+        if (entry && entry.estimated === false) {
+          handTested++;
+        }
+
+        const reason = getEstimateReason(game, device, model);
+        if (reason) {
+          reasonCounts[reason]++;
+          staleDevices.push(device);
         }
       }
 
-      return false;
-    });
+      if (staleDevices.length > 0) {
+        gamesToProcess.push({ game, staleDevices });
+      } else if (isIndexStale(game, buildDeviceIndex(game.device_performance))) {
+        // Estimates are current but device_performance changed elsewhere
+        gamesToProcess.push({ game, staleDevices });
+        indexOnly++;
+      }
+    }
 
     console.log(`🎯 ${gamesToProcess.length} games need battery estimation`);
-    console.log(`⏭️  ${games.length - gamesToProcess.length} games already have estimates\n`);
+    console.log(`   🆕 ${reasonCounts.missing} missing estimates`);
+    console.log(`   🔄 ${reasonCounts.inputs} with changed inputs`);
+    console.log(`   🧮 ${reasonCounts.model} from an older model`);
+    console.log(`   🔒 ${handTested} hand-tested entries left untouched`);
+    console.log(`   🗂️  ${indexOnly} games with only an outdated device index`);
+    console.log(`⏭️  ${games.length - gamesToProcess.length} games already up to date\n`);
 
     if (gamesToProcess.length === 0) {
-      console.log('✅ All games already have battery estimates!');
+      console.log('✅ All battery estimates are up to date!');
       return;
     }
 
@@ -293,18 +259,29 @@ async function runBatteryEstimation() {
 
     console.log('⚙️  Processing games...\n');
 
-    for (const game of gamesToProcess) {
+    for (const { game, staleDevices } of gamesToProcess) {
       try {
-        // Estimate for all devices
-        const devicePerformance = estimateAllDevices(game);
+        // Only stale devices are re-estimated, everything else is kept as is
+        const devicePerformance = { ...(game.device_performance || {}) };
+
+        for (const device of staleDevices) {
+          devicePerformance[device] = buildEstimateEntry(game, device);
+        }
+
+        const updates = {};
+        if (staleDevices.length > 0) {
+          updates.device_performance = devicePerformance;
+        }
+
+        const index = buildDeviceIndex(devicePerformance);
+        if (isIndexStale(game, index)) {
+          Object.assign(updates, index);
+        }
 
         // Update game in Directus
-        await directus.request(
-          updateItem('games', game.id, {
-            device_performance: devicePerformance
-          })
-        );
+        await directus.request(updateItem('games', game.id, updates));
 
+        game.device_performance = devicePerformance;
         processed++;
 
         // Log progress every 10 games
@@ -327,17 +304,21 @@ async function runBatteryEstimation() {
     console.log(`📈 Success rate: ${((processed / gamesToProcess.length) * 100).toFixed(1)}%`);
     console.log('='.repeat(60) + '\n');
 
-    // Sample results
-    if (processed > 0) {
+    // Sample results (re-estimated games only)
+    const samples = gamesToProcess.filter(({ staleDevices }) => staleDevices.length > 0).slice(0, 5);
+
+    if (processed > 0 && samples.length > 0) {
       console.log('🔍 SAMPLE RESULTS (first 5 games):');
-      const samples = gamesToProcess.slice(0, 5);
 
-      for (const game of samples) {
-        const dp = estimateAllDevices(game);
+      for (const { game, staleDevices } of samples) {
+        const dp = game.device_performance;
         console.log(`\n📌 ${game.title}`);
-        console.log(`   Steam Deck: ~${dp.steam_deck.battery_hours}h`);
-        console.log(`   ROG Ally:   ~${dp.rog_ally.battery_hours}h`);
-        console.log(`   Legion Go:  ~${dp.legion_go.battery_hours}h`);
+        for (const device of staleDevices) {
+          const profiles = Object.values(dp[device].profiles || {})
+            .map(profile => `${profile.tdp_w}W ${profile.battery_hours}h`)
+            .join(', ');
+          console.log(`   ${getDevice(device).name}: ~${dp[device].battery_hours}h${profiles ? ` (${profiles})` : ''}`);
+        }
       }
     }
 
@@ -364,6 +345,8 @@ if (require.main === module) {
 
 // Export for testing
 module.exports = {
+  runBatteryEstimation,
   estimateBatteryForDevice,
-  estimateAllDevices
+  estimateAllDevices,
+  getEstimateReason
 };
\ No newline at end of file
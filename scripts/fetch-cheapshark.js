@@ -1,23 +1,39 @@
 /**
  * HANDHELD DEALS - CHEAPSHARK DEAL FETCHER
  * 
- * Fetches top deals from CheapShark API and populates database.
+ * Crawls the full CheapShark deal catalogue (plus any other enabled
+ * deal sources) and populates database.
  * 
  * Features:
- * - Fetch top 100 deals sorted by discount/rating
+ * - Pluggable store adapters (scripts/adapters): CheapShark, GOG, Humble, JSON feed
+ * - Paginated crawl of every page for each enabled source (DEAL_SOURCES)
+ * - Resumable cursor per source (run id + page) survives crashes and 429s
+ * - Configurable page budget per run
  * - Filter by supported stores (Steam, GOG, Humble, GMG, Fanatical)
  * - Quality filter (v3.0): Steam reviews ≥60%, controller support required
+ * - Rejection log (quality_rejections) + curator whitelist via manual_quality_override
+ * - Bulk pre-load of games/deals, chunked createItems/updateItemsBatch writes
  * - Auto-create games if they don't exist
  * - Update or create deal records
- * - Historical low detection
+ * - Historical low detection (CheapShark + our own price history)
+ * - Append-only price history ledger (one row per observed price change)
+ * - games.last_deal_date set to the day a discounted deal was last seen
+ * - deals.expires_at from the store's sale end, else the end of an active event
+ *   featuring the game (utils/deal-expiry)
+ * - Shared Steam client (cached appdetails/appreviews, throttled, retried)
  * - Rate limiting (respectful API usage)
  * 
  * Usage: node scripts/fetch-cheapshark.js
  */
 
 require('dotenv').config();
-const axios = require('axios');
-const { createDirectus, rest, readItems, createItem, updateItem, authentication } = require('@directus/sdk');
+const crypto = require('crypto');
+const { createDirectus, rest, readItems, createItems, updateItemsBatch, aggregate, authentication } = require('@directus/sdk');
+const { readState, writeState, clearState } = require('./utils/sync-state');
+const { getEnabledAdapters } = require('./adapters');
+const { fetchReviewSummary, getReviewFailures, REVIEW_THRESHOLDS } = require('./utils/steam-reviews');
+const { getAppDetails, getCacheStats } = require('./utils/steam-client');
+const { resolveDealExpiry } = require('./utils/deal-expiry');
 
 // ============================================================================
 // CONFIGURATION
@@ -26,26 +42,17 @@ const { createDirectus, rest, readItems, createItem, updateItem, authentication
 const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-const CHEAPSHARK_BASE_URL = process.env.CHEAPSHARK_BASE_URL || 'https://www.cheapshark.com/api/1.0';
-const STEAM_STORE_API = process.env.STEAM_STORE_API || 'https://store.steampowered.com/api';
-
-// Store ID mapping (CheapShark → Our database)
-const STORE_MAPPING = {
-  '1': 'steam',
-  '7': 'gog',
-  '3': 'gmg',
-  '11': 'humble',
-  '15': 'fanatical'
-  // Epic not in mapping - CheapShark has it but we filter it out for now
-};
 
-// Supported stores (filter deals to these only)
-const SUPPORTED_STORES = ['1', '7', '3', '11', '15'];
+// Catalogue crawl (budget applies to each enabled deal source)
+const PAGE_BUDGET = parseInt(process.env.CHEAPSHARK_PAGE_BUDGET || '10', 10); // Pages per run
+
+// Directus batch writes
+const WRITE_CHUNK_SIZE = 100; // Items per createItems/updateItemsBatch request
 
 // Quality filter thresholds (NEW v3.0)
 const QUALITY_THRESHOLDS = {
-  minReviewScore: 60,        // Minimum 60% positive reviews
-  minReviewCount: 50,        // Minimum 50 total reviews
+  minReviewScore: REVIEW_THRESHOLDS.minPositivePercent,  // Minimum 60% positive reviews
+  minReviewCount: REVIEW_THRESHOLDS.minTotalReviews,     // Minimum 50 total reviews
   requireController: true    // Must have controller support
 };
 
@@ -76,68 +83,31 @@ function slugify(text) {
     .replace(/-+$/, '');            // Trim - from end
 }
 
-/**
- * Sleep for specified milliseconds
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-/**
- * Fetch Steam app details for quality check
- */
-async function fetchSteamAppDetails(steamAppId) {
-  try {
-    const response = await axios.get(`${STEAM_STORE_API}/appdetails`, {
-      params: {
-        appids: steamAppId
-      }
-    });
-
-    const data = response.data[steamAppId];
-
-    if (!data || !data.success) {
-      return null;
-    }
-
-    return data.data;
-
-  } catch (error) {
-    console.error(`    ⚠️  Could not fetch Steam data for app ${steamAppId}:`, error.message);
-    return null;
-  }
-}
-
 /**
  * Check if game passes quality filter (NEW v3.0)
  */
 async function checkGameQuality(deal) {
   // If no Steam app ID, skip quality check (can't verify)
-  if (!deal.steamAppID) {
+  if (!deal.steamAppId) {
     console.log(`    ⏭️  No Steam app ID, skipping quality check`);
     return { pass: true, reason: 'no_steam_id' };
   }
 
   // Fetch Steam data
-  console.log(`    🔍 Checking quality for Steam app ${deal.steamAppID}...`);
-  const steamData = await fetchSteamAppDetails(deal.steamAppID);
+  console.log(`    🔍 Checking quality for Steam app ${deal.steamAppId}...`);
+  const steamData = await getAppDetails(deal.steamAppId);
 
   if (!steamData) {
     console.log(`    ⚠️  Could not fetch Steam data, allowing through`);
     return { pass: true, reason: 'steam_data_unavailable' };
   }
 
-  // Extract review data
-  let reviewScore = null;
-  let reviewCount = 0;
-
-  if (steamData.recommendations && steamData.recommendations.total) {
-    reviewCount = steamData.recommendations.total;
-  }
-
-  // Steam doesn't provide percentage directly, estimate from description
-  // or use positive_ratings if available
-  // For now, we'll be lenient if we can't get exact percentage
+  // Review summary (appdetails has no positive %, appreviews does)
+  const reviews = await fetchReviewSummary(deal.steamAppId);
+  const reviewScore = reviews ? reviews.positive_percent : null;
+  const reviewCount = reviews
+    ? reviews.total_reviews
+    : (steamData.recommendations && steamData.recommendations.total) || 0;
 
   // Check controller support
   const hasControllerSupport = steamData.controller_support &&
@@ -162,16 +132,22 @@ async function checkGameQuality(deal) {
     failures.push('multiplayer_only');
   }
 
-  if (reviewCount > 0 && reviewCount < QUALITY_THRESHOLDS.minReviewCount) {
-    failures.push(`insufficient_reviews (${reviewCount} < ${QUALITY_THRESHOLDS.minReviewCount})`);
-  }
+  // Fall back to appdetails' recommendation count when appreviews is unavailable
+  const reviewSummary = reviews || (reviewCount > 0 ? { total_reviews: reviewCount, positive_percent: null } : null);
+
+  failures.push(...getReviewFailures(reviewSummary, {
+    minPositivePercent: QUALITY_THRESHOLDS.minReviewScore,
+    minTotalReviews: QUALITY_THRESHOLDS.minReviewCount
+  }));
 
   // If any failures, reject
   if (failures.length > 0) {
     return {
       pass: false,
       reason: failures.join(', '),
+      failures,
       steamData: {
+        reviewScore,
         reviewCount,
         hasControllerSupport,
         isMultiplayerOnly
@@ -183,6 +159,7 @@ async function checkGameQuality(deal) {
     pass: true,
     reason: 'passed_all_checks',
     steamData: {
+      reviewScore,
       reviewCount,
       hasControllerSupport
     }
@@ -190,248 +167,716 @@ async function checkGameQuality(deal) {
 }
 
 /**
- * Find or create game in database
+ * Curator decision for a deal, if any
+ * Returns 'include', 'exclude' or null (use the quality algorithm).
+ * Existing games use manual_quality_override; games that were never created
+ * can be whitelisted from the quality_rejections queue.
  */
-async function findOrCreateGame(deal) {
-  const title = deal.title;
-  const steamAppId = deal.steamAppID || null;
-  const slug = slugify(title);  // ← WAŻNE: generuj slug PRZED wyszukiwaniem
+function getQualityOverride(deal, index) {
+  const game = findGame(deal, index);
 
-  console.log(`  📌 Processing game: ${title}`);
+  if (game && game.manual_quality_override === true) return 'include';
+  if (game && game.manual_quality_override === false) return 'exclude';
 
-  try {
-    let existingGames = [];
-
-    // 1. Try by Steam app ID
-    if (steamAppId) {
-      existingGames = await directus.request(
-        readItems('games', {
-          filter: { steam_app_id: { _eq: steamAppId } },
-          limit: 1
-        })
-      );
-    }
+  const rejection = deal.steamAppId && index.rejectionsBySteamId.get(String(deal.steamAppId));
 
-    // 2. Try by exact title
-    if (existingGames.length === 0) {
-      existingGames = await directus.request(
-        readItems('games', {
-          filter: { title: { _eq: title } },
-          limit: 1
-        })
-      );
-    }
+  if (rejection && rejection.status === 'whitelisted') return 'include';
+
+  return null;
+}
+
+/**
+ * Queue a quality rejection for the rejection log
+ * One row per Steam app - repeat rejections bump last_seen_at / times_seen.
+ */
+function recordRejection(rejections, deal, qualityCheck, index) {
+  const steamAppId = String(deal.steamAppId);
+  const now = new Date().toISOString();
+  const existing = index.rejectionsBySteamId.get(steamAppId);
+  const game = findGame(deal, index);
+
+  const entry = {
+    game_title: deal.title,
+    steam_app_id: parseInt(steamAppId, 10),
+    game_id: game && game.id ? game.id : null,
+    reasons: qualityCheck.failures || [qualityCheck.reason],
+    steam_snapshot: qualityCheck.steamData || null,
+    source: deal.source,
+    last_seen_at: now
+  };
 
-    // 3. Try by slug ← КРИТИЧЕСКИЙ FIX!
-    if (existingGames.length === 0) {
-      existingGames = await directus.request(
-        readItems('games', {
-          filter: { slug: { _eq: slug } },
-          limit: 1
-        })
-      );
+  if (existing) {
+    if (!existing.id) {
+      return; // Already queued for creation in this run
     }
+    existing.times_seen = (existing.times_seen || 1) + 1;
+    rejections.updates.set(steamAppId, { id: existing.id, ...entry, times_seen: existing.times_seen });
+  } else {
+    const created = { ...entry, status: 'pending', times_seen: 1, first_seen_at: now };
+    index.rejectionsBySteamId.set(steamAppId, created);
+    rejections.creates.push(created);
+  }
+}
 
-    // If found, return
-    if (existingGames.length > 0) {
-      console.log(`    ✓ Game already exists (ID: ${existingGames[0].id})`);
-      return existingGames[0];
+/**
+ * Write queued rejections to the quality_rejections collection
+ */
+async function writeRejections(rejections, index) {
+  const updates = [...rejections.updates.values()];
+
+  if (rejections.creates.length > 0) {
+    const { results } = await writeInChunks('quality rejections', rejections.creates, batch =>
+      createItems('quality_rejections', batch)
+    );
+    for (const rejection of results) {
+      index.rejectionsBySteamId.set(String(rejection.steam_app_id), rejection);
     }
+  }
 
-    // Create new
-    console.log(`    ➕ Creating new game...`);
-    const newGame = await directus.request(
-      createItem('games', {
-        title,
-        slug,
-        steam_app_id: steamAppId,
-        cover_image_url: deal.thumb || null,
-        deck_status: 'unknown',
-        protondb_tier: 'unknown',
-        data_reliability: 'estimated_api'
-      })
+  if (updates.length > 0) {
+    await writeInChunks('quality rejections', updates, batch =>
+      updateItemsBatch('quality_rejections', batch)
     );
+  }
+
+  rejections.creates = [];
+  rejections.updates.clear();
+}
 
-    console.log(`    ✅ Game created (ID: ${newGame.id})`);
-    return newGame;
+/**
+ * Split array into chunks of given size
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
 
-  } catch (error) {
-    console.error(`    ❌ Error in findOrCreateGame:`, error.message);
-    if (error.errors && error.errors[0]) {
-      console.error(`       Directus error:`, error.errors[0].message);
+/**
+ * Build deal lookup key (one deal per game + store)
+ */
+function dealKey(gameId, storeName) {
+  return `${gameId}:${storeName}`;
+}
+
+/**
+ * Pre-load existing games, deals, price history stats and active events in bulk
+ * Replaces per-deal readItems lookups with in-memory maps
+ */
+async function loadCatalogueIndex() {
+  console.log('📚 Pre-loading existing games, deals, price history, quality rejections and active events...');
+
+  const [games, deals, historyStats, rejections, activeEvents] = await Promise.all([
+    directus.request(
+      readItems('games', {
+        fields: ['id', 'title', 'slug', 'steam_app_id', 'manual_quality_override', 'last_deal_date'],
+        limit: -1
+      })
+    ),
+    directus.request(
+      readItems('deals', {
+        fields: ['id', 'game_id', 'store', 'price', 'expires_at', 'expires_source'],
+        limit: -1
+      })
+    ),
+    directus.request(
+      aggregate('price_history', {
+        aggregate: { min: ['price'] },
+        groupBy: ['game_id', 'store'],
+        query: { limit: -1 }
+      })
+    ),
+    directus.request(
+      readItems('quality_rejections', {
+        fields: ['id', 'steam_app_id', 'status', 'times_seen'],
+        limit: -1
+      })
+    ),
+    directus.request(
+      readItems('events', {
+        filter: { status: { _eq: 'active' } },
+        fields: ['id', 'title', 'end_date', 'games.games_id'],
+        limit: -1
+      })
+    )
+  ]);
+
+  const index = {
+    gamesBySteamId: new Map(),
+    gamesByTitle: new Map(),
+    gamesBySlug: new Map(),
+    dealsByKey: new Map(),
+    historyKeys: new Set(),
+    lowestByGame: new Map(),
+    rejectionsBySteamId: new Map(),
+    activeEvents
+  };
+
+  for (const game of games) {
+    indexGame(index, game);
+  }
+
+  for (const deal of deals) {
+    index.dealsByKey.set(dealKey(deal.game_id, deal.store), deal);
+  }
+
+  for (const row of historyStats) {
+    const minPrice = parseFloat(row.min.price);
+    const currentLow = index.lowestByGame.get(row.game_id);
+
+    index.historyKeys.add(dealKey(row.game_id, row.store));
+    if (currentLow === undefined || minPrice < currentLow) {
+      index.lowestByGame.set(row.game_id, minPrice);
     }
-    throw error;
   }
+
+  for (const rejection of rejections) {
+    index.rejectionsBySteamId.set(String(rejection.steam_app_id), rejection);
+  }
+
+  console.log(`✅ Loaded ${games.length} games, ${deals.length} deals, ${historyStats.length} price histories, ${rejections.length} quality rejections, ${activeEvents.length} active events\n`);
+  return index;
 }
 
 /**
- * Create or update deal in database
+ * Add game to in-memory lookups
  */
-async function processDeal(deal, game) {
-  const storeId = deal.storeID;
-  const storeName = STORE_MAPPING[storeId];
+function indexGame(index, game) {
+  if (game.steam_app_id) {
+    index.gamesBySteamId.set(String(game.steam_app_id), game);
+  }
+  if (game.title) {
+    index.gamesByTitle.set(game.title, game);
+  }
+  if (game.slug) {
+    index.gamesBySlug.set(game.slug, game);
+  }
+}
 
-  if (!storeName) {
-    console.log(`    ⏭️  Unknown store ID ${storeId}, skipping deal`);
-    return null;
+/**
+ * Remove game from in-memory lookups (its creation failed - retried when seen again)
+ */
+function unindexGame(index, game) {
+  for (const [map, key] of [
+    [index.gamesBySteamId, game.steam_app_id ? String(game.steam_app_id) : null],
+    [index.gamesByTitle, game.title],
+    [index.gamesBySlug, game.slug]
+  ]) {
+    if (key && map.get(key) === game) {
+      map.delete(key);
+    }
   }
+}
 
-  console.log(`    💰 Processing ${storeName} deal...`);
+/**
+ * Find game in index (1. Steam app ID, 2. exact title, 3. slug)
+ */
+function findGame(deal, index) {
+  const steamAppId = deal.steamAppId || null;
+  const slug = slugify(deal.title);  // ← WAŻNE: generuj slug PRZED wyszukiwaniem
+
+  return (steamAppId && index.gamesBySteamId.get(String(steamAppId))) ||
+    index.gamesByTitle.get(deal.title) ||
+    index.gamesBySlug.get(slug) ||
+    null;
+}
 
-  try {
-    // Check if deal already exists for this game + store
-    const existingDeals = await directus.request(
-      readItems('deals', {
-        filter: {
-          _and: [
-            { game_id: { _eq: game.id } },
-            { store: { _eq: storeName } }
-          ]
-        },
-        limit: 1
-      })
+/**
+ * Find game in index, or queue it for creation
+ * Queued games are indexed immediately so duplicates in the same batch resolve to one record.
+ * `deal` is a normalized deal from any store adapter.
+ */
+function findOrCreateGame(deal, index, newGames) {
+  const title = deal.title;
+  const steamAppId = deal.steamAppId || null;
+  const slug = slugify(title);
+
+  const existing = findGame(deal, index);
+
+  if (existing) {
+    return existing;
+  }
+
+  console.log(`  ➕ Queueing new game: ${title}`);
+
+  const newGame = {
+    title,
+    slug,
+    steam_app_id: steamAppId,
+    cover_image_url: deal.thumb || null,
+    steam_positive_percent: deal.reviews ? deal.reviews.reviewScore : null,
+    steam_total_reviews: deal.reviews ? deal.reviews.reviewCount || null : null,
+    manual_quality_override: deal.whitelisted ? true : null, // Curator whitelisted it from the rejection log
+    deck_status: 'unknown',
+    protondb_tier: 'unknown',
+    data_reliability: 'estimated_api'
+  };
+
+  indexGame(index, newGame);
+  newGames.push(newGame);
+  return newGame;
+}
+
+/**
+ * Build deal payload and decide whether it is a create or an update
+ */
+function processDeal(deal, game, index) {
+  const storeName = deal.store;
+  const salePrice = deal.price;
+
+  // Historical low detection
+  // A source's own low (e.g. CheapShark's cheapestPrice) only covers what that
+  // source has seen, so also compare against the lowest price in our own ledger
+  const sourceLow = deal.cheapestPrice ?? salePrice;
+  const recordedLow = index.lowestByGame.get(game.id);
+  const cheapestPrice = recordedLow !== undefined ? Math.min(sourceLow, recordedLow) : sourceLow;
+  const isHistoricalLow = salePrice - cheapestPrice < 0.01; // 1 cent tolerance
+
+  const dealData = {
+    game_id: game.id,
+    store: storeName,
+    price: salePrice,
+    normal_price: deal.normalPrice,
+    discount_percent: deal.discountPercent,
+    url: deal.url,
+    is_historical_low: isHistoricalLow,
+    cheapest_price_ever: Math.min(cheapestPrice, salePrice),
+    last_checked: new Date().toISOString()
+  };
+
+  const key = dealKey(game.id, storeName);
+  const existingDeal = index.dealsByKey.get(key);
+
+  // Sale end: store-reported, else active event end
+  Object.assign(dealData, resolveDealExpiry(deal.saleEnd, game.id, existingDeal, index.activeEvents));
+
+  // Append to price history when price changed (or first time we see this game + store)
+  const priceChanged = !existingDeal || !index.historyKeys.has(key) ||
+    Math.abs(parseFloat(existingDeal.price) - salePrice) >= 0.01;
+
+  // Game on sale today (written once per game per day)
+  const today = dealData.last_checked.slice(0, 10);
+  const lastDealDate = deal.discountPercent > 0 && game.last_deal_date !== today ? today : null;
+
+  return {
+    key,
+    source: deal.source,
+    dealData,
+    existingId: existingDeal ? existingDeal.id : null,
+    priceChanged,
+    lastDealDate
+  };
+}
+
+/**
+ * Run a Directus write in chunks
+ * Returns { written, failed, results, writtenItems } - a failed chunk does not stop the remaining ones.
+ * writtenItems are the input items of the chunks that succeeded.
+ */
+async function writeInChunks(label, items, writeFn) {
+  let written = 0;
+  let failed = 0;
+  const results = [];
+  const writtenItems = [];
+
+  for (const batch of chunk(items, WRITE_CHUNK_SIZE)) {
+    try {
+      const result = await directus.request(writeFn(batch));
+      results.push(...(result || []));
+      writtenItems.push(...batch);
+      written += batch.length;
+    } catch (error) {
+      failed += batch.length;
+      console.error(`  ❌ Failed to write ${batch.length} ${label}:`, error.message);
+      if (error.errors && error.errors[0]) {
+        console.error(`     Directus error:`, error.errors[0].message);
+      }
+    }
+  }
+
+  return { written, failed, results, writtenItems };
+}
+
+/**
+ * Write a batch of quality-checked deals
+ * 1. Create missing games, 2. create/update deals, 3. append price history,
+ * 4. mark games on sale (last_deal_date)
+ */
+async function processDealBatch(deals, index) {
+  const stats = { created: 0, updated: 0, gamesCreated: 0, historyRecorded: 0, gamesOnSale: 0, errors: 0 };
+
+  // 1. Resolve games (queue missing ones)
+  const newGames = [];
+  const resolved = deals.map(deal => ({ deal, game: findOrCreateGame(deal, index, newGames) }));
+
+  if (newGames.length > 0) {
+    console.log(`  🎮 Creating ${newGames.length} new games...`);
+    const { written, failed, results } = await writeInChunks('games', newGames, batch =>
+      createItems('games', batch)
     );
 
-    const salePrice = parseFloat(deal.salePrice);
-    const normalPrice = parseFloat(deal.normalPrice);
-    const savings = parseFloat(deal.savings);
-    const dealUrl = `https://www.cheapshark.com/redirect?dealID=${deal.dealID}`;
-
-    // Historical low detection
-    const cheapestPrice = parseFloat(deal.cheapestPrice || deal.salePrice);
-    const isHistoricalLow = Math.abs(salePrice - cheapestPrice) < 0.01; // 1 cent tolerance
-
-    const dealData = {
-      game_id: game.id,
-      store: storeName,
-      price: salePrice,
-      normal_price: normalPrice,
-      discount_percent: Math.round(savings),
-      url: dealUrl,
-      is_historical_low: isHistoricalLow,
-      cheapest_price_ever: cheapestPrice,
-      last_checked: new Date().toISOString()
-    };
+    // Attach created ids to the queued objects, drop failed ones from the index
+    // so a later page queues them again instead of skipping their deals
+    const createdBySlug = new Map(results.map(game => [game.slug, game]));
+    for (const game of newGames) {
+      const created = createdBySlug.get(game.slug);
+      if (created) {
+        game.id = created.id;
+      } else {
+        unindexGame(index, game);
+      }
+    }
+
+    stats.gamesCreated = written;
+    stats.errors += failed;
+  }
 
-    // Update or create
-    if (existingDeals.length > 0) {
-      // Update existing deal
-      await directus.request(
-        updateItem('deals', existingDeals[0].id, dealData)
-      );
-      console.log(`    ✓ Deal updated (${storeName}: $${salePrice})`);
+  // 2. Build deal payloads (one per game + store)
+  const creates = [];
+  const updates = [];
+  const pending = []; // Deal results awaiting their write
+  const seenKeys = new Set();
+
+  for (const { deal, game } of resolved) {
+    if (!game.id) {
+      continue; // Game creation failed, already counted
+    }
+
+    const result = processDeal(deal, game, index);
+
+    if (!result || seenKeys.has(result.key)) {
+      continue;
+    }
+    seenKeys.add(result.key);
+
+    if (result.existingId) {
+      updates.push({ id: result.existingId, ...result.dealData });
     } else {
-      // Create new deal
-      await directus.request(
-        createItem('deals', dealData)
-      );
-      console.log(`    ✅ Deal created (${storeName}: $${salePrice})`);
+      creates.push(result.dealData);
     }
 
-    return dealData;
+    pending.push({ result, game });
+  }
+
+  // 3. Write deals - only written deals reach the index, price history and last_deal_date
+  const writtenKeys = new Set();
 
-  } catch (error) {
-    console.error(`    ❌ Error creating/updating deal:`, error.message);
-    if (error.errors && error.errors[0]) {
-      console.error(`       Reason:`, error.errors[0].message);
+  if (creates.length > 0) {
+    const { written, failed, results } = await writeInChunks('deals', creates, batch =>
+      createItems('deals', batch)
+    );
+    for (const deal of results) {
+      const key = dealKey(deal.game_id, deal.store);
+      index.dealsByKey.set(key, deal);
+      writtenKeys.add(key);
     }
-    throw error; // Re-throw to be caught by main loop
+    stats.created = written;
+    stats.errors += failed;
   }
-}
 
-// ============================================================================
-// MAIN SCRIPT
-// ============================================================================
+  if (updates.length > 0) {
+    const { written, failed, writtenItems } = await writeInChunks('deals', updates, batch =>
+      updateItemsBatch('deals', batch)
+    );
+    for (const deal of writtenItems) {
+      const key = dealKey(deal.game_id, deal.store);
+      index.dealsByKey.set(key, deal);
+      writtenKeys.add(key);
+    }
+    stats.updated = written;
+    stats.errors += failed;
+  }
 
-async function fetchCheapSharkDeals() {
-  console.log('🦈 CHEAPSHARK DEAL FETCHER STARTING...\n');
-  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}`);
-  console.log(`🌐 CheapShark API: ${CHEAPSHARK_BASE_URL}\n`);
+  const history = [];
+  const gamesOnSale = new Map(); // game id → { game, date }
 
-  try {
-    // Login to Directus
-    console.log('🔐 Logging in to Directus...');
-    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
-    console.log('✅ Logged in successfully!\n');
+  for (const { result, game } of pending) {
+    if (!writtenKeys.has(result.key)) {
+      continue; // Deal write failed - retried (with its price change) next run
+    }
 
-    // Fetch deals from CheapShark
-    console.log('📥 Fetching top deals from CheapShark...');
+    if (result.lastDealDate) {
+      gamesOnSale.set(game.id, { game, date: result.lastDealDate });
+    }
 
-    const response = await axios.get(`${CHEAPSHARK_BASE_URL}/deals`, {
-      params: {
-        pageSize: 100,
-        sortBy: 'DealRating', // Best deals first
-        desc: 1,
-        onSale: 1
-      }
-    });
+    if (result.priceChanged) {
+      history.push({
+        game_id: result.dealData.game_id,
+        store: result.dealData.store,
+        price: result.dealData.price,
+        normal_price: result.dealData.normal_price,
+        discount_percent: result.dealData.discount_percent,
+        source: result.source,
+        recorded_at: result.dealData.last_checked
+      });
+    }
+  }
 
-    const allDeals = response.data;
-    console.log(`✅ Fetched ${allDeals.length} deals from CheapShark\n`);
+  // 4. Append price history (never overwritten)
+  if (history.length > 0) {
+    const { written, writtenItems } = await writeInChunks('price history entries', history, batch =>
+      createItems('price_history', batch)
+    );
+    for (const entry of writtenItems) {
+      const currentLow = index.lowestByGame.get(entry.game_id);
+      index.historyKeys.add(dealKey(entry.game_id, entry.store));
+      if (currentLow === undefined || entry.price < currentLow) {
+        index.lowestByGame.set(entry.game_id, entry.price);
+      }
+    }
+    stats.historyRecorded = written;
+  }
 
-    // Filter to supported stores only
-    const supportedDeals = allDeals.filter(deal =>
-      SUPPORTED_STORES.includes(deal.storeID)
+  // 5. Mark games on sale (feeds popularity deal recency)
+  if (gamesOnSale.size > 0) {
+    const updates = [...gamesOnSale.values()].map(({ game, date }) => ({ id: game.id, last_deal_date: date }));
+    const { written, writtenItems } = await writeInChunks('games', updates, batch =>
+      updateItemsBatch('games', batch)
     );
+    for (const { id, last_deal_date } of writtenItems) {
+      gamesOnSale.get(id).game.last_deal_date = last_deal_date;
+    }
+    stats.gamesOnSale = written;
+  }
+
+  console.log(`  💾 Wrote ${stats.created} new deals, ${stats.updated} updated, ${stats.historyRecorded} price changes, ${stats.gamesOnSale} games on sale\n`);
+  return stats;
+}
+
+/**
+ * Cursor state name for a deal source
+ */
+function cursorName(adapter) {
+  return `${adapter.storeId}-crawl`;
+}
+
+/**
+ * Load resume cursor, or start a new crawl run
+ */
+function loadCursor(adapter) {
+  const cursor = readState(cursorName(adapter));
+
+  if (cursor && cursor.run_id && Number.isInteger(cursor.page)) {
+    return { ...cursor, resumed: true };
+  }
+
+  return {
+    run_id: crypto.randomUUID(),
+    page: 0,
+    total_pages: null,
+    started_at: new Date().toISOString(),
+    resumed: false
+  };
+}
+
+/**
+ * Persist resume cursor
+ */
+function saveCursor(adapter, cursor) {
+  writeState(cursorName(adapter), {
+    run_id: cursor.run_id,
+    page: cursor.page,
+    total_pages: cursor.total_pages,
+    started_at: cursor.started_at
+  });
+}
+
+/**
+ * Crawl one deal source up to the page budget
+ * Every adapter yields normalized deals, so they all share the same pipeline.
+ */
+async function crawlSource(adapter, index) {
+  const stats = {
+    source: adapter.storeId,
+    runId: null,
+    pagesFetched: 0,
+    nextPage: null,
+    fetched: 0,
+    created: 0,
+    updated: 0,
+    gamesCreated: 0,
+    historyRecorded: 0,
+    qualityFiltered: 0,
+    whitelisted: 0,
+    errors: 0
+  };
+
+  console.log(`\n🛒 Deal source: ${adapter.storeId}`);
+
+  // Resume cursor
+  const cursor = loadCursor(adapter);
+  stats.runId = cursor.run_id;
+
+  if (cursor.resumed) {
+    console.log(`⏯️  Resuming crawl ${cursor.run_id} at page ${cursor.page}${cursor.total_pages ? ` of ${cursor.total_pages}` : ''}`);
+  } else {
+    console.log(`🆕 Starting new crawl ${cursor.run_id}`);
+    saveCursor(adapter, cursor);
+  }
+  console.log(`📄 Page budget: ${PAGE_BUDGET} pages (${adapter.pageSize} deals/page)\n`);
+
+  let crawlComplete = false;
+  let rateLimited = false;
+
+  while (stats.pagesFetched < PAGE_BUDGET) {
+    const pageNumber = cursor.page;
 
-    console.log(`🎯 ${supportedDeals.length} deals from supported stores`);
-    console.log(`⏭️  ${allDeals.length - supportedDeals.length} deals filtered (unsupported stores)\n`);
+    console.log(`📥 Fetching page ${pageNumber}${cursor.total_pages ? `/${cursor.total_pages - 1}` : ''} from ${adapter.storeId}...`);
+    const page = await adapter.listDeals({ page: pageNumber });
 
-    // Process deals
-    let processed = 0;
-    let created = 0;
-    let updated = 0;
-    let qualityFiltered = 0;
-    let errors = 0;
+    if (page.rateLimited) {
+      rateLimited = true;
+      console.log(`🛑 Still rate limited, stopping - will resume at page ${pageNumber} next run\n`);
+      break;
+    }
+
+    stats.pagesFetched++;
+    stats.fetched += page.fetched;
+
+    if (page.totalPages !== null) {
+      cursor.total_pages = page.totalPages;
+    }
 
-    console.log('⚙️  Processing deals...\n');
+    // Adapters drop deals from unsupported stores during normalize()
+    console.log(`✅ Fetched ${page.fetched} deals (${page.deals.length} from supported stores)\n`);
+    console.log('⚙️  Quality checking deals...\n');
 
-    for (const deal of supportedDeals) {
+    const passedDeals = [];
+    const rejections = { creates: [], updates: new Map() };
+
+    for (const deal of page.deals) {
       try {
+        // Curator decision beats the algorithm
+        const override = getQualityOverride(deal, index);
+
+        if (override === 'include') {
+          stats.whitelisted++;
+          console.log(`  ⭐ Whitelisted by curator: ${deal.title}`);
+          passedDeals.push({ ...deal, whitelisted: true });
+          continue;
+        }
+
+        if (override === 'exclude') {
+          stats.qualityFiltered++;
+          console.log(`  ❌ Quality filter: ${deal.title}`);
+          console.log(`    Reason: manual_exclude\n`);
+          continue;
+        }
+
         // Quality check (NEW v3.0)
         const qualityCheck = await checkGameQuality(deal);
 
         if (!qualityCheck.pass) {
-          qualityFiltered++;
+          stats.qualityFiltered++;
           console.log(`  ❌ Quality filter: ${deal.title}`);
           console.log(`    Reason: ${qualityCheck.reason}\n`);
+          recordRejection(rejections, deal, qualityCheck, index);
           continue; // Skip this deal
         }
 
-        // Find or create game
-        const game = await findOrCreateGame(deal);
+        // Carry review data so new games are created with it
+        // (Steam requests are throttled + cached in utils/steam-client)
+        passedDeals.push(qualityCheck.steamData ? { ...deal, reviews: qualityCheck.steamData } : deal);
 
-        // Process deal
-        const dealData = await processDeal(deal, game);
+      } catch (error) {
+        stats.errors++;
+        console.error(`  ❌ Error checking deal "${deal.title}":`, error.message);
+      }
+    }
 
-        if (dealData) {
-          processed++;
-          // Track if it was update vs create (simplified)
-          updated++;
-        }
+    // Batch write games, deals and price history for this page
+    const batchStats = await processDealBatch(passedDeals, index);
+    await writeRejections(rejections, index);
 
-        // Progress indicator
-        if (processed % 10 === 0) {
-          console.log(`  ⏳ Progress: ${processed} processed, ${qualityFiltered} filtered...\n`);
-        }
+    stats.created += batchStats.created;
+    stats.updated += batchStats.updated;
+    stats.gamesCreated += batchStats.gamesCreated;
+    stats.historyRecorded += batchStats.historyRecorded;
+    stats.errors += batchStats.errors;
 
-        // Rate limiting - 100ms between requests
-        await sleep(500);
+    // Advance cursor only after the whole page is processed
+    cursor.page = pageNumber + 1;
 
+    if (!page.hasMore) {
+      crawlComplete = true;
+      break;
+    }
+
+    saveCursor(adapter, cursor);
+  }
+
+  if (crawlComplete) {
+    clearState(cursorName(adapter));
+    console.log(`🏁 Crawl ${cursor.run_id} complete - next run starts from page 0\n`);
+  } else if (!rateLimited) {
+    console.log(`⏸️  Page budget reached - will resume at page ${cursor.page} next run\n`);
+  }
+
+  stats.nextPage = crawlComplete ? 'done' : cursor.page;
+  return stats;
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function fetchCheapSharkDeals() {
+  console.log('🦈 CHEAPSHARK DEAL FETCHER STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}`);
+
+  try {
+    const adapters = getEnabledAdapters();
+    console.log(`🛒 Deal sources: ${adapters.map(adapter => adapter.storeId).join(', ')}\n`);
+
+    // Login to Directus
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    // Pre-load existing catalogue (replaces per-deal lookups)
+    const index = await loadCatalogueIndex();
+
+    const results = [];
+
+    for (const adapter of adapters) {
+      try {
+        results.push(await crawlSource(adapter, index));
       } catch (error) {
-        errors++;
-        console.error(`  ❌ Error processing deal "${deal.title}":`, error.message);
+        // One broken source shouldn't block the others
+        console.error(`❌ Deal source ${adapter.storeId} failed:`, error.message);
+        results.push({ source: adapter.storeId, failed: true, errors: 1 });
       }
     }
 
     // Summary
+    const total = key => results.reduce((sum, result) => sum + (result[key] || 0), 0);
+    const fetched = total('fetched');
+    const processed = total('created') + total('updated');
+
     console.log('\n' + '='.repeat(60));
     console.log('📊 CHEAPSHARK FETCH SUMMARY');
     console.log('='.repeat(60));
+    for (const result of results) {
+      if (result.failed) {
+        console.log(`🛒 ${result.source}: ❌ failed`);
+        continue;
+      }
+      console.log(`🛒 ${result.source}: run ${result.runId}, ${result.pagesFetched} pages (next page: ${result.nextPage}), ${result.fetched} deals`);
+    }
+    console.log(`📥 Deals fetched: ${fetched}`);
     console.log(`✅ Successfully processed: ${processed} deals`);
-    console.log(`🎯 Quality filtered: ${qualityFiltered} deals`);
-    console.log(`❌ Errors: ${errors} deals`);
-    console.log(`📈 Success rate: ${((processed / supportedDeals.length) * 100).toFixed(1)}%`);
+    console.log(`   ➕ Created: ${total('created')} deals`);
+    console.log(`   🔄 Updated: ${total('updated')} deals`);
+    console.log(`🎮 New games: ${total('gamesCreated')}`);
+    console.log(`📈 Price changes recorded: ${total('historyRecorded')}`);
+    console.log(`🎯 Quality filtered: ${total('qualityFiltered')} deals (see quality_rejections)`);
+    console.log(`⭐ Whitelisted by curators: ${total('whitelisted')} deals`);
+    const steamCache = getCacheStats();
+    console.log(`📦 Steam cache: ${steamCache.hits} hits, ${steamCache.revalidated} revalidated, ${steamCache.fetched} fetched, ${steamCache.errors} errors`);
+    console.log(`❌ Errors: ${total('errors')} deals`);
+    console.log(`📈 Success rate: ${fetched > 0 ? ((processed / fetched) * 100).toFixed(1) : '0.0'}%`);
     console.log('='.repeat(60) + '\n');
 
     console.log('✅ CheapShark fetch complete!');
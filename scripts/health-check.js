@@ -49,12 +49,36 @@ const JOBS = {
     alertThreshold: 720,    // Alert if no run in 12 hours
     critical: false
   },
+  'aggregate-clicks': {
+    name: 'Click Aggregation',
+    interval: 1440,         // Runs daily
+    alertThreshold: 2160,   // Alert if no run in 36 hours
+    critical: false
+  },
+  'popularity': {
+    name: 'Popularity Scores',
+    interval: 1440,         // Runs daily
+    alertThreshold: 2160,   // Alert if no run in 36 hours
+    critical: false
+  },
   'steam': {
     name: 'Steam Sync',
     interval: 1440,         // Runs daily
     alertThreshold: 2160,   // Alert if no run in 36 hours
     critical: true
   },
+  'deck-verified': {
+    name: 'Deck Verified Sync',
+    interval: 1440,         // Runs daily
+    alertThreshold: 2160,   // Alert if no run in 36 hours
+    critical: false
+  },
+  'battery': {
+    name: 'Battery Estimation',
+    interval: 1440,         // Runs daily
+    alertThreshold: 2160,   // Alert if no run in 36 hours
+    critical: false
+  },
   'cleanup-deals': {
     name: 'Deal Cleanup',
     interval: 1440,         // Runs daily
@@ -67,6 +91,18 @@ const JOBS = {
     alertThreshold: 2160,   // Alert if no run in 36 hours
     critical: false
   },
+  'cleanup-price-alerts': {
+    name: 'Price Alert Cleanup',
+    interval: 1440,         // Runs daily
+    alertThreshold: 2160,   // Alert if no run in 36 hours
+    critical: false
+  },
+  'cleanup-subscribers': {
+    name: 'Subscriber Cleanup',
+    interval: 1440,         // Runs daily
+    alertThreshold: 2160,   // Alert if no run in 36 hours
+    critical: false
+  },
   'stale-data': {
     name: 'Stale Data Downgrade',
     interval: 10080,        // Runs weekly
@@ -78,6 +114,12 @@ const JOBS = {
     interval: 10080,        // Runs weekly
     alertThreshold: 20160,  // Alert if no run in 2 weeks
     critical: false
+  },
+  'weekly-digest': {
+    name: 'Weekly Digest',
+    interval: 10080,        // Runs weekly
+    alertThreshold: 20160,  // Alert if no run in 2 weeks
+    critical: false
   }
 };
 
@@ -1,14 +1,21 @@
 /**
  * HANDHELD DEALS - PROCESS PRICE ALERTS SCRIPT
  * 
- * Checks price alerts and sends email notifications when target price is reached.
+ * Checks price alerts and sends email notifications when they trigger.
  * 
  * Features:
- * - Check verified alerts where alert_sent = false
- * - Compare current best deal price with target price
- * - Verify device compatibility if specified
- * - Send email notification (TODO: email service integration)
- * - Mark alert as sent
+ * - Check verified, unexpired alerts where alert_sent = false
+ *   (unverified/expired alerts are purged by cleanup-price-alerts.js)
+ * - Evaluate the alert's rules against the current best deal (utils/alert-rules):
+ *   alert type (target price, every new low, discount >= X%, any sale during an event),
+ *   minimum status and battery hours on device_context, optional historical low only
+ * - Recurring alerts: cooldown_hours between notifications, rearm_policy decides
+ *   when a sent alert may fire again (once, after cooldown, lower price, after reset)
+ * - One email per address per run: several triggered alerts are sent as a digest
+ *   (utils/mailer - SMTP, HTTP API or .eml file drop) saying which rules were
+ *   satisfied, with one-click unsubscribe links
+ * - Record every send in email_deliveries (one row per alert)
+ * - Update the alert after sending (failed sends are retried next run)
  * 
  * Schedule: Hourly at 15 minutes past
  * Cron: 15 (star) / 1 (star) (star) (star)
@@ -17,7 +24,10 @@
  */
 
 require('dotenv').config();
-const { createDirectus, rest, readItems, updateItem, authentication } = require('@directus/sdk');
+const { createDirectus, rest, readItems, updateItem, createItem, authentication } = require('@directus/sdk');
+const { MAIL_TRANSPORT, MAIL_DROP_DIR, sendMail } = require('./utils/mailer');
+const { renderPriceAlertDigestEmail } = require('./utils/email-templates');
+const { evaluateAlert, getRearmBlock, getNotifiedChanges, getRearmChanges } = require('./utils/alert-rules');
 
 // ============================================================================
 // CONFIGURATION
@@ -27,9 +37,12 @@ const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
 
-// Email service configuration (TODO: configure email provider)
-const EMAIL_ENABLED = process.env.EMAIL_ENABLED === 'true' || false;
-const EMAIL_FROM = process.env.EMAIL_FROM || 'alerts@handhelddeals.com';
+const ALERT_FIELDS = [
+  'id', 'game_id', 'email', 'verification_token',
+  'alert_type', 'target_price', 'target_discount_percent', 'event_id',
+  'device_context', 'min_device_status', 'min_battery_hours', 'historical_low_only',
+  'rearm_policy', 'cooldown_hours', 'alert_sent', 'alert_sent_at', 'last_notified_price', 'armed'
+];
 
 // ============================================================================
 // DIRECTUS CLIENT
@@ -44,46 +57,70 @@ const directus = createDirectus(DIRECTUS_URL)
 // ============================================================================
 
 /**
- * Send price alert email (placeholder - integrate with email service)
+ * Send one email for all alerts of an address triggered in this run
+ * @param {Array} items - [{ alert, game, deal, evaluation }]
+ * @returns {Promise<Object>} - Delivery result from the mailer ({ ok, error, ... })
  */
-async function sendPriceAlertEmail(alert, game, deal, deviceContext) {
-  // TODO: Integrate with email service (SendGrid, Mailgun, AWS SES, etc.)
-
-  const emailData = {
-    to: alert.email,
-    from: EMAIL_FROM,
-    subject: `🎮 Price Alert: ${game.title} is now $${deal.price}!`,
-    html: `
-      <h2>Your price alert has been triggered!</h2>
-      <p><strong>${game.title}</strong> is now available at your target price!</p>
-      
-      <ul>
-        <li><strong>Current Price:</strong> $${deal.price}</li>
-        <li><strong>Your Target:</strong> $${alert.target_price}</li>
-        <li><strong>Discount:</strong> ${deal.discount_percent}% off</li>
-        <li><strong>Store:</strong> ${deal.store}</li>
-        ${deal.is_historical_low ? '<li><strong>🔥 Historical Low!</strong></li>' : ''}
-      </ul>
-      
-      ${deviceContext ? `<p><strong>Your Device:</strong> ${deviceContext}</p>` : ''}
-      
-      <p><a href="${deal.url}">Get this deal now!</a></p>
-      
-      <p><small>This is an automated alert from Handheld Deals.</small></p>
-    `
-  };
-
-  if (EMAIL_ENABLED) {
-    // TODO: Send actual email
-    console.log('    📧 Email would be sent:', emailData);
-    return true;
+async function sendPriceAlertEmail(email, items) {
+  const message = renderPriceAlertDigestEmail(items.map(({ alert, game, deal, evaluation }) => ({
+    alert,
+    game,
+    deal,
+    device: evaluation.device ? evaluation.device.name : null,
+    rules: evaluation.rules
+  })));
+
+  const result = await sendMail({ to: email, ...message });
+
+  if (result.ok) {
+    console.log(`    📧 Sent via ${result.transport}: ${message.subject}`);
   } else {
-    console.log('    ℹ️  EMAIL DISABLED - Would send to:', alert.email);
-    console.log(`       Subject: ${emailData.subject}`);
-    return true; // Simulate success
+    console.error(`    ❌ Send failed via ${result.transport}: ${result.error}`);
+  }
+
+  return result;
+}
+
+/**
+ * Record a delivery outcome (logging must never break alert processing)
+ */
+async function recordDelivery(result, alert) {
+  try {
+    await directus.request(
+      createItem('email_deliveries', {
+        kind: 'price_alert',
+        status: result.ok ? 'sent' : 'failed',
+        recipient: result.to,
+        subject: result.subject,
+        transport: result.transport,
+        message_id: result.message_id,
+        error: result.error,
+        price_alert_id: alert.id,
+        sent_at: result.sent_at
+      })
+    );
+  } catch (error) {
+    console.error(`    ⚠️  Could not record delivery: ${error.message}`);
   }
 }
 
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Active events with their featured games (event_sale alerts)
+ */
+async function fetchActiveEvents() {
+  return directus.request(
+    readItems('events', {
+      filter: { status: { _eq: 'active' } },
+      fields: ['id', 'title', 'end_date', 'games.games_id'],
+      limit: -1
+    })
+  );
+}
+
 // ============================================================================
 // MAIN SCRIPT
 // ============================================================================
@@ -91,7 +128,13 @@ async function sendPriceAlertEmail(alert, game, deal, deviceContext) {
 async function processPriceAlerts() {
   console.log('📧 PROCESS PRICE ALERTS STARTING...\n');
   console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}`);
-  console.log(`📧 Email enabled: ${EMAIL_ENABLED}\n`);
+  console.log(`📧 Mail transport: ${MAIL_TRANSPORT || 'not set'}`);
+  if (!MAIL_TRANSPORT) {
+    console.log('⚠️  MAIL_TRANSPORT not set - every send fails and nothing is marked sent (set smtp, http or file)');
+  } else if (MAIL_TRANSPORT === 'file') {
+    console.log(`⚠️  File drop - emails are written to ${MAIL_DROP_DIR}, not delivered (set MAIL_TRANSPORT=smtp or http)`);
+  }
+  console.log('');
 
   try {
     // Login
@@ -99,18 +142,26 @@ async function processPriceAlerts() {
     await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
     console.log('✅ Logged in successfully!\n');
 
-    // Fetch active alerts (verified and not yet sent)
+    // Fetch active alerts (verified, not expired and not disabled)
     console.log('📥 Fetching active price alerts...');
 
+    const now = new Date();
+
     const alerts = await directus.request(
       readItems('price_alerts', {
         filter: {
           _and: [
             { verified: { _eq: true } },        // Email verified
-            { alert_sent: { _eq: false } }      // Not sent yet
+            { alert_sent: { _eq: false } },     // Not sent yet (or recurring)
+            {
+              _or: [
+                { expires_at: { _null: true } },
+                { expires_at: { _gt: now.toISOString() } }  // Not expired
+              ]
+            }
           ]
         },
-        fields: ['id', 'game_id', 'email', 'target_price', 'device_context'],
+        fields: ALERT_FIELDS,
         limit: -1
       })
     );
@@ -123,24 +174,37 @@ async function processPriceAlerts() {
       return;
     }
 
-    // Process alerts
-    let triggered = 0;
+    const activeEvents = alerts.some(alert => alert.alert_type === 'event_sale')
+      ? await fetchActiveEvents()
+      : [];
+
+    if (activeEvents.length > 0) {
+      console.log(`🎪 Active events: ${activeEvents.map(event => event.title).join(', ')}\n`);
+    }
+
+    // Evaluate alerts
     let skipped = 0;
+    let coolingDown = 0;
+    let rearmed = 0;
     let errors = 0;
 
+    const digests = new Map();  // email → [{ alert, game, deal, evaluation }]
+
     console.log('⚙️  Processing alerts...\n');
 
     for (const alert of alerts) {
       try {
-        console.log(`📌 Alert ID: ${alert.id}`);
+        console.log(`📌 Alert ID: ${alert.id} (${alert.alert_type || 'target_price'}, ${alert.rearm_policy || 'once'})`);
         console.log(`   Email: ${alert.email}`);
-        console.log(`   Target price: $${alert.target_price}`);
+        if (alert.target_price) {
+          console.log(`   Target price: $${alert.target_price}`);
+        }
 
         // Fetch game details
         const games = await directus.request(
           readItems('games', {
             filter: { id: { _eq: alert.game_id } },
-            fields: ['id', 'title', 'device_performance'],
+            fields: ['id', 'title', 'slug', 'deck_status', 'device_performance'],
             limit: 1
           })
         );
@@ -153,10 +217,20 @@ async function processPriceAlerts() {
 
         const game = games[0];
 
-        // Fetch best current deal for this game
+        // Fetch best current deal for this game (ended sales wait for cleanup-old-deals.js)
         const deals = await directus.request(
           readItems('deals', {
-            filter: { game_id: { _eq: alert.game_id } },
+            filter: {
+              _and: [
+                { game_id: { _eq: alert.game_id } },
+                {
+                  _or: [
+                    { expires_at: { _null: true } },
+                    { expires_at: { _gt: now.toISOString() } }  // Not expired
+                  ]
+                }
+              ]
+            },
             sort: ['price'],  // Lowest price first
             limit: 1
           })
@@ -169,32 +243,44 @@ async function processPriceAlerts() {
         }
 
         const bestDeal = deals[0];
-        console.log(`   Best deal: $${bestDeal.price} at ${bestDeal.store}`);
-
-        // Check if price meets target
-        if (bestDeal.price <= alert.target_price) {
-          console.log(`   ✅ Target price reached!`);
-
-          // Send email
-          const emailSent = await sendPriceAlertEmail(alert, game, bestDeal, alert.device_context);
-
-          if (emailSent) {
-            // Mark alert as sent
-            await directus.request(
-              updateItem('price_alerts', alert.id, {
-                alert_sent: true,
-                alert_sent_at: new Date().toISOString(),
-                current_price: bestDeal.price  // Update current price
-              })
-            );
-
-            triggered++;
-            console.log(`   ✅ Alert triggered and marked as sent\n`);
+        console.log(`   Best deal: $${bestDeal.price} at ${bestDeal.store} (${bestDeal.discount_percent}% off)`);
+
+        // Check type, price + device rules
+        const evaluation = evaluateAlert(alert, game, bestDeal, activeEvents);
+
+        if (!evaluation.triggered) {
+          const failed = evaluation.rules.filter(rule => !rule.ok);
+          console.log(`   ⏭️  Not triggered: ${failed.map(rule => rule.label).join('; ')}`);
+
+          // Condition no longer holds - after_reset alerts may fire again next time
+          const rearm = getRearmChanges(alert, evaluation);
+          if (rearm) {
+            await directus.request(updateItem('price_alerts', alert.id, rearm));
+            console.log('   🔁 Re-armed');
+            rearmed++;
           }
-        } else {
-          console.log(`   ⏭️  Price not reached yet ($${bestDeal.price} > $${alert.target_price})\n`);
+
+          console.log('');
           skipped++;
+          continue;
+        }
+
+        // Recurring alert already notified - cooldown / re-arm policy
+        const blocked = getRearmBlock(alert, bestDeal, now);
+        if (blocked) {
+          console.log(`   ⏳ Triggered but held back: ${blocked}\n`);
+          coolingDown++;
+          continue;
+        }
+
+        const satisfied = evaluation.rules.filter(rule => !rule.skipped).map(rule => rule.rule);
+        const unchecked = evaluation.rules.filter(rule => rule.skipped).map(rule => rule.rule);
+        console.log(`   ✅ All rules satisfied: ${satisfied.join(', ')}${unchecked.length > 0 ? ` (not checked: ${unchecked.join(', ')})` : ''}\n`);
+
+        if (!digests.has(alert.email)) {
+          digests.set(alert.email, []);
         }
+        digests.get(alert.email).push({ alert, game, deal: bestDeal, evaluation });
 
       } catch (error) {
         console.error(`   ❌ Error processing alert ${alert.id}:`, error.message);
@@ -202,13 +288,58 @@ async function processPriceAlerts() {
       }
     }
 
+    // Send one email per address
+    let triggered = 0;
+    let emailsSent = 0;
+    let failedSends = 0;
+
+    if (digests.size > 0) {
+      console.log(`📬 Sending ${digests.size} emails...\n`);
+    }
+
+    for (const [email, items] of digests) {
+      try {
+        console.log(`✉️  ${email}: ${items.length} alert${items.length === 1 ? '' : 's'}`);
+
+        const delivery = await sendPriceAlertEmail(email, items);
+
+        for (const { alert } of items) {
+          await recordDelivery(delivery, alert);
+        }
+
+        if (!delivery.ok) {
+          failedSends += items.length;
+          console.log(`   🔁 Left unsent, will retry next run\n`);
+          continue;
+        }
+
+        emailsSent++;
+
+        for (const { alert, deal } of items) {
+          await directus.request(
+            updateItem('price_alerts', alert.id, getNotifiedChanges(alert, deal, now))
+          );
+          triggered++;
+        }
+
+        console.log(`   ✅ Alerts updated (${items.map(({ alert }) => alert.rearm_policy || 'once').join(', ')})\n`);
+
+      } catch (error) {
+        console.error(`   ❌ Error sending to ${email}:`, error.message);
+        errors++;
+      }
+    }
+
     // Summary
     console.log('='.repeat(60));
     console.log('📊 PRICE ALERTS SUMMARY');
     console.log('='.repeat(60));
-    console.log(`✅ Triggered: ${triggered} alerts`);
+    console.log(`✅ Triggered: ${triggered} alerts in ${emailsSent} emails`);
     console.log(`⏭️  Skipped: ${skipped} alerts`);
-    console.log(`❌ Errors: ${errors} alerts`);
+    console.log(`⏳ Held back (cooldown / re-arm): ${coolingDown} alerts`);
+    console.log(`🔁 Re-armed: ${rearmed} alerts`);
+    console.log(`📭 Failed sends (will retry): ${failedSends} alerts`);
+    console.log(`❌ Errors: ${errors}`);
     console.log(`📅 Timestamp: ${new Date().toISOString()}`);
     console.log('='.repeat(60) + '\n');
 
@@ -19,6 +19,9 @@
 require('dotenv').config();
 const { faker } = require('@faker-js/faker');
 const { createDirectus, rest, createItems, deleteItems, readItems, authentication } = require('@directus/sdk');
+const { DEVICES } = require('./utils/devices');
+const { estimatePowerProfiles } = require('./utils/battery-model');
+const { buildDeviceIndex } = require('./utils/device-index');
 
 // ============================================================================
 // CONFIGURATION
@@ -68,52 +71,40 @@ function generateDevicePerformance(genre, releaseYear) {
   const isAAA = genre.includes('Action') || genre.includes('Adventure');
   const isOld = releaseYear < 2020;
 
-  // Base battery hours
-  let deckBase = 4.0;
-  let allyBase = 3.5;
-  let legionBase = 3.8;
-
-  // Adjust for genre
-  if (isIndie) {
-    deckBase += 2.0;
-    allyBase += 1.8;
-    legionBase += 2.0;
-  } else if (isAAA) {
-    deckBase -= 1.5;
-    allyBase -= 1.8;
-    legionBase -= 1.5;
-  }
-
-  // Adjust for age
-  if (isOld) {
-    deckBase += 0.5;
-    allyBase += 0.5;
-    legionBase += 0.5;
-  }
-
   // Clamp values
   const clamp = (val, min, max) => Math.max(min, Math.min(max, val));
 
-  return {
-    steam_deck: {
-      status: 'estimated',
-      battery_hours: clamp(deckBase + faker.number.float({ min: -0.5, max: 0.5 }), 1.5, 8.0),
-      estimated: true,
-      notes: `Estimated based on: Genre ${genre[0]}, Release year ${releaseYear}`
-    },
-    rog_ally: {
-      status: 'estimated',
-      battery_hours: clamp(allyBase + faker.number.float({ min: -0.5, max: 0.5 }), 1.5, 6.0),
-      estimated: true,
-      notes: `Estimated based on: Genre ${genre[0]}, Release year ${releaseYear}`
-    },
-    legion_go: {
+  const devicePerformance = {};
+
+  for (const device of DEVICES) {
+    // Base battery hours
+    let hours = device.battery_baseline_hours;
+
+    // Adjust for genre
+    if (isIndie) {
+      hours += 2.0;
+    } else if (isAAA) {
+      hours -= 1.5;
+    }
+
+    // Adjust for age
+    if (isOld) {
+      hours += 0.5;
+    }
+
+    const batteryHours = clamp(hours + faker.number.float({ min: -0.5, max: 0.5 }), 1.5, device.battery_max_hours);
+
+    devicePerformance[device.id] = {
       status: 'estimated',
-      battery_hours: clamp(legionBase + faker.number.float({ min: -0.5, max: 0.5 }), 1.5, 7.0),
+      battery_hours: batteryHours,
+      power_profile: device.default_power_profile || null,
+      profiles: estimatePowerProfiles(batteryHours, device.id),
       estimated: true,
       notes: `Estimated based on: Genre ${genre[0]}, Release year ${releaseYear}`
-    }
-  };
+    };
+  }
+
+  return devicePerformance;
 }
 
 /**
@@ -148,6 +139,8 @@ function generateGame(index) {
     faker.number.int({ min: 0, max: 2 })
   );
 
+  const devicePerformance = generateDevicePerformance(genres, releaseYear);
+
   return {
     title,
     slug,
@@ -163,11 +156,12 @@ function generateGame(index) {
     release_year: releaseYear,
     metacritic_score: faker.number.int({ min: 50, max: 95 }),
     steam_positive_percent: faker.number.int({ min: 60, max: 98 }),
-    steam_review_count: faker.number.int({ min: 100, max: 50000 }),
+    steam_total_reviews: faker.number.int({ min: 100, max: 50000 }),
     best_for: bestForTags,
     avoid_if: avoidIfTags,
     data_reliability: 'estimated_api',
-    device_performance: generateDevicePerformance(genres, releaseYear)
+    device_performance: devicePerformance,
+    ...buildDeviceIndex(devicePerformance)
   };
 }
 
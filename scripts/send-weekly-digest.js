@@ -0,0 +1,358 @@
+/**
+ * HANDHELD DEALS - SEND WEEKLY DIGEST SCRIPT
+ *
+ * Sends the "Weekly Handheld Gems" email to every confirmed subscriber.
+ *
+ * Each digest contains:
+ * - Active sale events
+ * - The status of the subscriber's active price alerts (same email address)
+ * - Top discount deals (50%+) that run on the subscriber's device
+ *   (same rules as the site's Top Discounts section)
+ * - Curator picks published in the last 7 days
+ *
+ * Features:
+ * - Only subscribers with status = active (double opt-in confirmed)
+ * - Skips subscribers who already got a digest in the last DIGEST_MIN_INTERVAL_HOURS
+ *   (safe to re-run after a failure)
+ * - Sent through utils/mailer with a one-click unsubscribe link
+ * - Record every send in email_deliveries and update last_digest_at
+ *
+ * Schedule: Weekly on Wednesday at 9:00 AM
+ * Cron: 0 9 (star) (star) 3
+ *
+ * Usage: node scripts/send-weekly-digest.js
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, readItems, updateItem, createItem, authentication } = require('@directus/sdk');
+const { MAIL_TRANSPORT, MAIL_DROP_DIR, sendMail } = require('./utils/mailer');
+const { renderWeeklyDigestEmail } = require('./utils/email-templates');
+const { getDevice, getDeviceByCuratorCode } = require('./utils/devices');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+const TOP_DEALS_LIMIT = 8;
+const MIN_DISCOUNT = 50;           // Same threshold as getTopDiscountDeals()
+const PICKS_WINDOW_DAYS = 7;
+
+// Guard against double sends when the job is re-run
+const MIN_INTERVAL_HOURS = parseInt(process.env.DIGEST_MIN_INTERVAL_HOURS || '144');
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// FETCH FUNCTIONS
+// ============================================================================
+
+/**
+ * Top discount deals, not expired, best first (filtered per device later)
+ */
+async function fetchTopDeals(now) {
+  return directus.request(
+    readItems('deals', {
+      filter: {
+        _and: [
+          { discount_percent: { _gte: MIN_DISCOUNT } },
+          {
+            _or: [
+              { expires_at: { _null: true } },
+              { expires_at: { _gt: now.toISOString() } }  // Not expired
+            ]
+          }
+        ]
+      },
+      sort: ['-discount_percent'],
+      fields: [
+        'id', 'store', 'price', 'normal_price', 'discount_percent', 'url', 'is_historical_low',
+        'game_id.id', 'game_id.title', 'game_id.slug', 'game_id.device_performance'
+      ],
+      limit: 100
+    })
+  );
+}
+
+/**
+ * Curator picks published within the last PICKS_WINDOW_DAYS
+ */
+async function fetchNewPicks(now) {
+  const since = new Date(now.getTime() - PICKS_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const picks = await directus.request(
+    readItems('curator_picks', {
+      filter: {
+        _and: [
+          { status: { _eq: 'published' } },
+          { published_at: { _gte: since.toISOString() } }
+        ]
+      },
+      sort: ['-published_at'],
+      fields: ['id', 'score', 'verdict', 'battery_hours', 'tested_on', 'published_at', 'game_id.title', 'game_id.slug'],
+      limit: -1
+    })
+  );
+
+  return picks.map(pick => ({ ...pick, device: getDeviceByCuratorCode(pick.tested_on) }));
+}
+
+/**
+ * Active sale events
+ */
+async function fetchActiveEvents() {
+  return directus.request(
+    readItems('events', {
+      filter: { status: { _eq: 'active' } },
+      sort: ['end_date'],
+      fields: ['id', 'title', 'slug', 'end_date'],
+      limit: -1
+    })
+  );
+}
+
+/**
+ * Subscriber's active price alerts with each game's best current deal
+ * @returns {Promise<Array>} - [{ alert, game, deal }]
+ */
+async function fetchAlertStatus(email, now) {
+  const alerts = await directus.request(
+    readItems('price_alerts', {
+      filter: {
+        _and: [
+          { email: { _eq: email } },
+          { verified: { _eq: true } },
+          { alert_sent: { _eq: false } },
+          {
+            _or: [
+              { expires_at: { _null: true } },
+              { expires_at: { _gt: now.toISOString() } }
+            ]
+          }
+        ]
+      },
+      fields: ['id', 'alert_type', 'target_price', 'target_discount_percent', 'game_id.id', 'game_id.title', 'game_id.slug'],
+      limit: -1
+    })
+  );
+
+  const items = [];
+
+  for (const alert of alerts) {
+    if (!alert.game_id) {
+      continue;
+    }
+
+    const [deal] = await directus.request(
+      readItems('deals', {
+        filter: { game_id: { _eq: alert.game_id.id } },
+        sort: ['price'],  // Lowest price first
+        fields: ['price', 'store', 'discount_percent'],
+        limit: 1
+      })
+    );
+
+    items.push({ alert, game: alert.game_id, deal: deal || null });
+  }
+
+  return items;
+}
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Deals that run on the device (unknown/untested entries are kept, like the site)
+ */
+function filterDealsForDevice(deals, device) {
+  const compatible = device
+    ? deals.filter(deal => {
+      const perf = deal.game_id && deal.game_id.device_performance
+        ? deal.game_id.device_performance[device.id]
+        : null;
+
+      return !perf || !['poor', 'untested'].includes(perf.status);
+    })
+    : deals;
+
+  return compatible.slice(0, TOP_DEALS_LIMIT);
+}
+
+/**
+ * Record a delivery outcome (logging must never break the digest run)
+ */
+async function recordDelivery(result, subscriber) {
+  try {
+    await directus.request(
+      createItem('email_deliveries', {
+        kind: 'weekly_digest',
+        status: result.ok ? 'sent' : 'failed',
+        recipient: result.to,
+        subject: result.subject,
+        transport: result.transport,
+        message_id: result.message_id,
+        error: result.error,
+        subscriber_id: subscriber.id,
+        sent_at: result.sent_at
+      })
+    );
+  } catch (error) {
+    console.error(`   ⚠️  Could not record delivery: ${error.message}`);
+  }
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function sendWeeklyDigest() {
+  console.log('📰 SEND WEEKLY DIGEST STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}`);
+  console.log(`📧 Mail transport: ${MAIL_TRANSPORT || 'not set'}`);
+  if (!MAIL_TRANSPORT) {
+    console.log('⚠️  MAIL_TRANSPORT not set - every send fails and nothing is marked sent (set smtp, http or file)');
+  } else if (MAIL_TRANSPORT === 'file') {
+    console.log(`⚠️  File drop - emails are written to ${MAIL_DROP_DIR}, not delivered (set MAIL_TRANSPORT=smtp or http)`);
+  }
+  console.log('');
+
+  try {
+    // Login
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    const now = new Date();
+    const sentCutoff = new Date(now.getTime() - MIN_INTERVAL_HOURS * 60 * 60 * 1000);
+
+    // Fetch confirmed subscribers not mailed this week
+    console.log('📥 Fetching active subscribers...');
+
+    const subscribers = await directus.request(
+      readItems('subscribers', {
+        filter: {
+          _and: [
+            { status: { _eq: 'active' } },
+            {
+              _or: [
+                { last_digest_at: { _null: true } },
+                { last_digest_at: { _lt: sentCutoff.toISOString() } }  // Not sent this week
+              ]
+            }
+          ]
+        },
+        fields: ['id', 'email', 'device', 'verification_token'],
+        limit: -1
+      })
+    );
+
+    console.log(`✅ Found ${subscribers.length} subscribers due a digest\n`);
+
+    if (subscribers.length === 0) {
+      console.log('ℹ️  No digests to send');
+      console.log('✅ Digest complete!\n');
+      return;
+    }
+
+    // Shared content (same for every subscriber)
+    console.log('📥 Fetching this week\'s deals, picks and events...');
+
+    const [topDeals, picks, events] = await Promise.all([
+      fetchTopDeals(now),
+      fetchNewPicks(now),
+      fetchActiveEvents()
+    ]);
+
+    console.log(`✅ ${topDeals.length} top deals, ${picks.length} new picks, ${events.length} active events\n`);
+
+    // Send digests
+    let sent = 0;
+    let empty = 0;
+    let failedSends = 0;
+    let errors = 0;
+
+    console.log('⚙️  Sending digests...\n');
+
+    for (const subscriber of subscribers) {
+      try {
+        const device = getDevice(subscriber.device);
+        console.log(`✉️  ${subscriber.email} (${device ? device.name : 'all devices'})`);
+
+        const alerts = await fetchAlertStatus(subscriber.email, now);
+        const deals = filterDealsForDevice(topDeals, device);
+
+        if (alerts.length === 0 && deals.length === 0 && picks.length === 0 && events.length === 0) {
+          console.log('   ⏭️  Nothing to send this week\n');
+          empty++;
+          continue;
+        }
+
+        const message = renderWeeklyDigestEmail({ subscriber, device, alerts, deals, picks, events });
+        const result = await sendMail({ to: subscriber.email, ...message });
+        await recordDelivery(result, subscriber);
+
+        if (!result.ok) {
+          console.error(`   ❌ Send failed via ${result.transport}: ${result.error}`);
+          console.log('   🔁 Will retry next run\n');
+          failedSends++;
+          continue;
+        }
+
+        await directus.request(
+          updateItem('subscribers', subscriber.id, { last_digest_at: now.toISOString() })
+        );
+
+        console.log(`   📧 Sent via ${result.transport}: ${message.subject}`);
+        console.log(`   ✅ ${alerts.length} alerts, ${deals.length} deals\n`);
+        sent++;
+
+      } catch (error) {
+        console.error(`   ❌ Error sending to ${subscriber.email}:`, error.message);
+        errors++;
+      }
+    }
+
+    // Summary
+    console.log('='.repeat(60));
+    console.log('📊 WEEKLY DIGEST SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Sent: ${sent} digests`);
+    console.log(`⏭️  Nothing to send: ${empty} subscribers`);
+    console.log(`📭 Failed sends (will retry): ${failedSends}`);
+    console.log(`❌ Errors: ${errors}`);
+    console.log(`📅 Timestamp: ${new Date().toISOString()}`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log('✅ Digest complete!');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  sendWeeklyDigest()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { sendWeeklyDigest };
@@ -0,0 +1,296 @@
+/**
+ * HANDHELD DEALS - STEAM DECK VERIFIED SYNC SCRIPT
+ *
+ * Syncs Valve's Steam Deck compatibility report to database.
+ *
+ * Features:
+ * - Deck Verified category → deck_status (verified/playable/unsupported)
+ * - Per-test compatibility notes (small text, launcher, keyboard...) → deck_compat_notes
+ * - Sets small_text_warning from Valve's small in-game text note
+ * - Never-synced games first, then oldest sync (weekly refresh)
+ * - Shared Steam client (cached, throttled, retried)
+ *
+ * Usage: node scripts/sync-deck-verified.js
+ */
+
+require('dotenv').config();
+const { createDirectus, rest, readItems, updateItem, authentication } = require('@directus/sdk');
+const { getDeckCompatibility, getCacheStats } = require('./utils/steam-client');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+// Rate limiting (Steam client throttles each request)
+const REQUESTS_PER_RUN = 100; // Limit to 100 games per run
+const RESYNC_AFTER_DAYS = 7;  // Valve re-tests games, refresh weekly
+
+// Valve resolved_category → deck_status
+const CATEGORY_MAPPING = {
+  0: 'unknown',
+  1: 'unsupported',
+  2: 'playable',
+  3: 'verified'
+};
+
+// Valve display_type → test result
+const RESULT_MAPPING = {
+  1: 'info',
+  2: 'fail',
+  3: 'warning',
+  4: 'pass'
+};
+
+// Known Valve test tokens (#SteamDeckVerified_TestResult_<key>) → short code + UI text
+const KNOWN_NOTES = {
+  DefaultControllerConfigFullySupported: { code: 'controller_full', text: 'All functionality is accessible when using the default controller configuration' },
+  DefaultControllerConfigNotFullyFunctional: { code: 'controller_partial', text: 'Some functionality is not accessible when using the default controller configuration' },
+  ControllerGlyphsMatchDeckDevice: { code: 'controller_glyphs', text: 'This game shows Steam Deck controller icons' },
+  ControllerGlyphsDoNotMatchDeckDevice: { code: 'controller_glyphs', text: 'This game sometimes shows mouse, keyboard, or non-Steam-Deck controller icons' },
+  InterfaceTextIsLegible: { code: 'text_legible', text: 'In-game interface text is legible on Steam Deck' },
+  SomeInGameTextSmall: { code: 'small_text', text: 'Some in-game text is small and may be difficult to read' },
+  DefaultConfigurationIsPerformant: { code: 'performance', text: "This game's default graphics configuration performs well on Steam Deck" },
+  LauncherInteractionIssues: { code: 'launcher', text: "This game's launcher/setup tool may require the touchscreen or virtual keyboard, or have difficult to read text" },
+  TextInputDoesNotAutomaticallyInvokesKeyboard: { code: 'keyboard', text: 'Entering some text requires manually invoking the on-screen keyboard' },
+  TouchscreenRequiredForSomeContent: { code: 'touchscreen', text: 'Some content requires the touchscreen' },
+  ExternalControllersNotSupportedPrimaryPlayer: { code: 'external_controllers', text: 'This game does not default to external Bluetooth/USB controllers on Deck' },
+  AntiCheatNotSupported: { code: 'anti_cheat', text: "This game's anti-cheat is not supported on Steam Deck" },
+  GameOrLauncherDoesntSupportSteamOS: { code: 'steamos_unsupported', text: "This game or its launcher doesn't support SteamOS" }
+};
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Turn a Valve loc_token into a compatibility note
+ * Unknown tokens get a readable text derived from the token name
+ */
+function parseNote(item) {
+  const key = (item.loc_token || '').replace(/^#SteamDeckVerified_TestResult_/, '');
+  const known = KNOWN_NOTES[key];
+
+  return {
+    code: known ? known.code : key.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase(),
+    result: RESULT_MAPPING[item.display_type] || 'info',
+    text: known ? known.text : key.replace(/([a-z])([A-Z])/g, '$1 $2')
+  };
+}
+
+/**
+ * Map Valve's report to deck_status + notes
+ */
+function parseDeckReport(report) {
+  return {
+    status: CATEGORY_MAPPING[report.resolved_category] || 'unknown',
+    notes: (report.resolved_items || []).map(parseNote)
+  };
+}
+
+/**
+ * Process single game - fetch Deck report and update
+ */
+async function processGame(game) {
+  console.log(`\n📌 Processing: ${game.title}`);
+  console.log(`   Steam App ID: ${game.steam_app_id}`);
+  console.log(`   Current Deck status: ${game.deck_status || 'N/A'}`);
+
+  try {
+    const report = await getDeckCompatibility(game.steam_app_id);
+
+    // Keep the current status rather than downgrade it to unknown on a failed request
+    if (!report) {
+      console.log(`   ⏭️  Skipping - no Deck report available`);
+
+      // Still stamp the sync so the game moves to the back of the queue
+      await directus.request(
+        updateItem('games', game.id, { deck_status_synced_at: new Date().toISOString() })
+      );
+
+      return { success: false, reason: 'no_data' };
+    }
+
+    const { status, notes } = parseDeckReport(report);
+
+    const updateData = {
+      deck_status: status,
+      deck_compat_notes: notes,
+      // Valve says text is small - surface our existing warning badge too
+      // (cleared again once Valve drops the note)
+      small_text_warning: notes.some(note => note.code === 'small_text' && note.result !== 'pass'),
+      deck_status_synced_at: new Date().toISOString()
+    };
+
+    await directus.request(
+      updateItem('games', game.id, updateData)
+    );
+
+    const issues = notes.filter(note => note.result === 'warning' || note.result === 'fail');
+
+    console.log(`   ✅ Updated successfully`);
+    console.log(`      Deck status: ${status}${status !== game.deck_status ? ` (was ${game.deck_status || 'N/A'})` : ''}`);
+    console.log(`      Notes: ${notes.length} (${issues.length} issues)`);
+    for (const note of issues) {
+      console.log(`      ⚠️  ${note.text}`);
+    }
+
+    return { success: true, status, changed: status !== game.deck_status };
+
+  } catch (error) {
+    console.error(`   ❌ Error processing game:`, error.message);
+    return { success: false, reason: error.message };
+  }
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function syncDeckVerified() {
+  console.log('🎮 STEAM DECK VERIFIED SYNC STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+
+  try {
+    // Login to Directus
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    console.log(`📥 Fetching games with steam_app_id needing a Deck report...`);
+
+    const fields = ['id', 'title', 'steam_app_id', 'deck_status'];
+    const staleBefore = new Date(Date.now() - RESYNC_AFTER_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    // 1. Never synced
+    const neverSynced = await directus.request(
+      readItems('games', {
+        filter: {
+          _and: [
+            { steam_app_id: { _nnull: true } },
+            { deck_status_synced_at: { _null: true } }
+          ]
+        },
+        limit: REQUESTS_PER_RUN,
+        fields
+      })
+    );
+
+    // 2. Oldest syncs fill the rest of the budget
+    const stale = neverSynced.length < REQUESTS_PER_RUN
+      ? await directus.request(
+        readItems('games', {
+          filter: {
+            _and: [
+              { steam_app_id: { _nnull: true } },
+              { deck_status_synced_at: { _lt: staleBefore } }
+            ]
+          },
+          sort: ['deck_status_synced_at'],
+          limit: REQUESTS_PER_RUN - neverSynced.length,
+          fields
+        })
+      )
+      : [];
+
+    const games = [...neverSynced, ...stale];
+
+    console.log(`✅ Found ${neverSynced.length} never synced + ${stale.length} stale (>${RESYNC_AFTER_DAYS} days) games`);
+    console.log(`🎯 Processing up to ${REQUESTS_PER_RUN} games...\n`);
+
+    if (games.length === 0) {
+      console.log('✅ All Deck reports are fresh!');
+      return;
+    }
+
+    // Process games
+    let processed = 0;
+    let updated = 0;
+    let changed = 0;
+    let skipped = 0;
+    let errors = 0;
+
+    const statusStats = {
+      verified: 0,
+      playable: 0,
+      unsupported: 0,
+      unknown: 0
+    };
+
+    for (const game of games) {
+      const result = await processGame(game);
+
+      if (result.success) {
+        updated++;
+        statusStats[result.status]++;
+        if (result.changed) {
+          changed++;
+        }
+      } else if (result.reason === 'no_data') {
+        skipped++;
+      } else {
+        errors++;
+      }
+
+      processed++;
+
+      // Progress indicator
+      if (processed % 10 === 0) {
+        console.log(`\n⏳ Progress: ${processed}/${games.length} games processed...`);
+      }
+    }
+
+    // Summary
+    const steamCache = getCacheStats();
+
+    console.log('\n' + '='.repeat(60));
+    console.log('📊 DECK VERIFIED SYNC SUMMARY');
+    console.log('='.repeat(60));
+    console.log(`✅ Successfully updated: ${updated} games`);
+    console.log(`🔄 Status changed: ${changed} games`);
+    console.log(`⏭️  Skipped (no report): ${skipped} games`);
+    console.log(`❌ Errors: ${errors} games`);
+    console.log(`📦 Steam cache: ${steamCache.hits} hits, ${steamCache.revalidated} revalidated, ${steamCache.fetched} fetched`);
+    console.log(`📈 Success rate: ${((updated / games.length) * 100).toFixed(1)}%`);
+    console.log('');
+    console.log('📊 STATUS DISTRIBUTION:');
+    console.log(`   🟢 Verified: ${statusStats.verified} games`);
+    console.log(`   🟡 Playable: ${statusStats.playable} games`);
+    console.log(`   🔴 Unsupported: ${statusStats.unsupported} games`);
+    console.log(`   ⚪ Unknown: ${statusStats.unknown} games`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log('✅ Deck Verified sync complete!');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  syncDeckVerified()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { syncDeckVerified };
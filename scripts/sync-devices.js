@@ -0,0 +1,221 @@
+/**
+ * HANDHELD DEALS - DEVICE REGISTRY SYNC SCRIPT
+ *
+ * Mirrors the Directus `devices` collection into frontend/src/data/devices.json,
+ * the shared registry read by the scripts (utils/devices) and the frontend (lib/devices).
+ *
+ * Features:
+ * - Published devices only, ordered by sort
+ * - Validates required fields before writing
+ * - --seed: create devices missing in Directus from the current mirror (first setup)
+ *
+ * After a sync, commit the mirror and rebuild the frontend.
+ *
+ * Usage:
+ *   node scripts/sync-devices.js          # Directus → mirror
+ *   node scripts/sync-devices.js --seed   # mirror → Directus (missing devices only)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { createDirectus, rest, readItems, createItems, authentication } = require('@directus/sdk');
+const { DEVICES, REGISTRY_PATH } = require('./utils/devices');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DIRECTUS_URL = process.env.DIRECTUS_API_URL || 'http://localhost:8055';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+
+const SEED = process.argv.includes('--seed');
+
+// Fields copied into the mirror (in this order)
+const DEVICE_FIELDS = [
+  'id', 'name', 'short_name', 'manufacturer', 'icon', 'description', 'os', 'curator_code',
+  'battery_wh', 'tdp_min_w', 'tdp_max_w',
+  'screen_width', 'screen_height', 'screen_size_in', 'refresh_hz',
+  'battery_baseline_hours', 'battery_max_hours', 'drain_low_hours', 'drain_high_hours',
+  'platform_draw_w', 'default_power_profile', 'power_profiles'
+];
+
+const REQUIRED_FIELDS = [
+  'id', 'name', 'os', 'battery_wh', 'battery_baseline_hours', 'battery_max_hours',
+  'drain_low_hours', 'drain_high_hours'
+];
+
+// Directus returns decimals as strings
+const NUMERIC_FIELDS = [
+  'battery_wh', 'tdp_min_w', 'tdp_max_w', 'screen_width', 'screen_height',
+  'screen_size_in', 'refresh_hz', 'battery_baseline_hours', 'battery_max_hours',
+  'drain_low_hours', 'drain_high_hours', 'platform_draw_w'
+];
+
+// ============================================================================
+// DIRECTUS CLIENT
+// ============================================================================
+
+const directus = createDirectus(DIRECTUS_URL)
+  .with(authentication('json'))
+  .with(rest());
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Directus item → mirror entry
+ */
+function toMirrorEntry(item) {
+  const entry = {};
+
+  for (const field of DEVICE_FIELDS) {
+    const value = item[field] === undefined ? null : item[field];
+    entry[field] = NUMERIC_FIELDS.includes(field) && value !== null ? parseFloat(value) : value;
+  }
+
+  return entry;
+}
+
+/**
+ * Missing required fields for a device (empty = valid)
+ */
+function getMissingFields(entry) {
+  const missing = REQUIRED_FIELDS.filter(field => entry[field] === null || entry[field] === '' || Number.isNaN(entry[field]));
+
+  // Power profiles are optional, but once set the estimator needs all of them
+  if (Array.isArray(entry.power_profiles) && entry.power_profiles.length > 0) {
+    if (entry.power_profiles.some(profile => !profile.id || !(profile.tdp_w > 0))) {
+      missing.push('power_profiles (id/tdp_w)');
+    }
+    if (!entry.power_profiles.some(profile => profile.id === entry.default_power_profile)) {
+      missing.push('default_power_profile');
+    }
+    if (!entry.platform_draw_w) {
+      missing.push('platform_draw_w');
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Create devices that exist in the mirror but not in Directus
+ */
+async function seedDevices() {
+  const existing = await directus.request(
+    readItems('devices', { fields: ['id'], limit: -1 })
+  );
+  const existingIds = new Set(existing.map(device => device.id));
+
+  const missing = DEVICES
+    .filter(device => !existingIds.has(device.id))
+    .map((device, index) => ({ ...device, status: 'published', sort: existing.length + index + 1 }));
+
+  if (missing.length === 0) {
+    console.log('✅ All mirrored devices already exist in Directus');
+    return;
+  }
+
+  await directus.request(createItems('devices', missing));
+  console.log(`✅ Seeded ${missing.length} devices: ${missing.map(device => device.id).join(', ')}`);
+}
+
+// ============================================================================
+// MAIN SCRIPT
+// ============================================================================
+
+async function syncDevices() {
+  console.log('📱 DEVICE REGISTRY SYNC STARTING...\n');
+  console.log(`📡 Connecting to Directus: ${DIRECTUS_URL}\n`);
+
+  try {
+    // Login to Directus
+    console.log('🔐 Logging in to Directus...');
+    await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
+    console.log('✅ Logged in successfully!\n');
+
+    if (SEED) {
+      console.log('🌱 Seeding Directus from the current mirror...');
+      await seedDevices();
+      return;
+    }
+
+    console.log('📥 Fetching published devices...');
+
+    const items = await directus.request(
+      readItems('devices', {
+        filter: { status: { _eq: 'published' } },
+        sort: ['sort', 'name'],
+        fields: DEVICE_FIELDS,
+        limit: -1
+      })
+    );
+
+    const devices = items.map(toMirrorEntry);
+    console.log(`✅ Found ${devices.length} published devices\n`);
+
+    if (devices.length === 0) {
+      console.log('⚠️  No published devices - keeping the current mirror (run with --seed on first setup)');
+      return;
+    }
+
+    // Refuse to write a registry the estimator can't use
+    const invalid = devices
+      .map(device => ({ id: device.id || '(no id)', missing: getMissingFields(device) }))
+      .filter(device => device.missing.length > 0);
+
+    if (invalid.length > 0) {
+      for (const device of invalid) {
+        console.error(`❌ ${device.id}: missing ${device.missing.join(', ')}`);
+      }
+      throw new Error(`${invalid.length} devices have missing required fields, mirror not written`);
+    }
+
+    const previousIds = DEVICES.map(device => device.id);
+    const added = devices.filter(device => !previousIds.includes(device.id)).map(device => device.id);
+    const removed = previousIds.filter(id => !devices.some(device => device.id === id));
+
+    const mirror = {
+      generated_by: 'scripts/sync-devices.js - edit devices in Directus, then run npm run sync:devices',
+      devices
+    };
+
+    fs.writeFileSync(REGISTRY_PATH, JSON.stringify(mirror, null, 2) + '\n');
+
+    // Summary
+    console.log('='.repeat(60));
+    console.log('📊 DEVICE REGISTRY SUMMARY');
+    console.log('='.repeat(60));
+    for (const device of devices) {
+      console.log(`   ${device.icon || '•'} ${device.name} (${device.id}) - ${device.battery_wh}Wh, ${device.tdp_min_w || '?'}-${device.tdp_max_w || '?'}W, ${device.os}`);
+    }
+    console.log(`➕ Added: ${added.length > 0 ? added.join(', ') : 'none'}`);
+    console.log(`➖ Removed: ${removed.length > 0 ? removed.join(', ') : 'none'}`);
+    console.log('='.repeat(60) + '\n');
+
+    console.log(`💾 Wrote ${REGISTRY_PATH}`);
+    console.log('ℹ️  Commit the mirror and rebuild the frontend to publish the change');
+
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    console.error('Stack:', error.stack);
+    process.exit(1);
+  }
+}
+
+// ============================================================================
+// RUN SCRIPT
+// ============================================================================
+
+if (require.main === module) {
+  syncDevices()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Unhandled error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { syncDevices };
@@ -4,18 +4,21 @@
  * Syncs ProtonDB compatibility tiers from community API.
  * 
  * Features:
- * - Fetch ProtonDB tier from community API
+ * - Fetch ProtonDB summary from community API (best/trending tier, confidence, score, reports)
  * - Data quality filters (confidence, recency, report count)
  * - Respectful rate limiting (1 req/sec)
  * - Process only games with steam_app_id
- * - Skip games with manual curator overrides
+ * - Never-synced games first, then weekly re-check of tiered games (oldest sync)
+ * - Tier-change history (protondb_tier_history)
+ * - Discord alert when a game on active deals drops 2+ tiers
  * 
  * Usage: node scripts/sync-protondb.js
  */
 
 require('dotenv').config();
 const axios = require('axios');
-const { createDirectus, rest, readItems, updateItem, authentication } = require('@directus/sdk');
+const { createDirectus, rest, readItems, createItems, updateItem, authentication } = require('@directus/sdk');
+const { sendNotification, SEVERITY } = require('./utils/error-alerting');
 
 // ============================================================================
 // CONFIGURATION
@@ -30,6 +33,7 @@ const PROTONDB_API = 'https://www.protondb.com/api/v1/reports/summaries';
 const REQUESTS_PER_RUN = 50; // Limit to 50 games per run
 const DELAY_BETWEEN_REQUESTS = 1000; // 1 second (respectful)
 const MAX_RETRIES = 3;
+const RECHECK_AFTER_DAYS = 7; // Patches break games, re-check tiered games weekly
 
 // Data quality thresholds
 const QUALITY_THRESHOLDS = {
@@ -40,6 +44,18 @@ const QUALITY_THRESHOLDS = {
 // Valid ProtonDB tiers
 const VALID_TIERS = ['platinum', 'gold', 'silver', 'bronze', 'borked'];
 
+// Tier rank for change detection (higher = better)
+const TIER_RANK = {
+  borked: 0,
+  bronze: 1,
+  silver: 2,
+  gold: 3,
+  platinum: 4
+};
+
+// Alert when a game on active deals drops at least this many tiers
+const ALERT_MIN_TIER_DROP = 2;
+
 // ============================================================================
 // DIRECTUS CLIENT
 // ============================================================================
@@ -93,6 +109,18 @@ async function fetchProtonDBData(steamAppId, retries = MAX_RETRIES) {
   }
 }
 
+/**
+ * Normalize a ProtonDB tier (null if missing or not a real tier)
+ */
+function normalizeTier(tier) {
+  if (!tier) {
+    return null;
+  }
+
+  const normalized = String(tier).toLowerCase();
+  return VALID_TIERS.includes(normalized) ? normalized : null;
+}
+
 /**
  * Validate ProtonDB data quality
  */
@@ -110,28 +138,81 @@ function validateProtonDBData(data) {
   }
 
   // Check if tier is valid
-  const tier = data.bestReportedTier || data.trendingTier;
-  if (!tier || !VALID_TIERS.includes(tier.toLowerCase())) {
+  const bestTier = normalizeTier(data.bestReportedTier);
+  const trendingTier = normalizeTier(data.trendingTier);
+  const tier = bestTier || trendingTier;
+  if (!tier) {
     return { valid: false, reason: 'invalid_tier' };
   }
 
   return {
     valid: true,
-    tier: tier.toLowerCase(),
+    tier,
+    trendingTier: trendingTier || tier,
     confidence: data.confidence || 'unknown',
+    score: typeof data.score === 'number' ? data.score : null,
     reports: data.total
   };
 }
 
+/**
+ * Number of tiers dropped from one tier to another (0 for upgrades or unknown tiers)
+ */
+function getTierDrop(previousTier, tier) {
+  if (!(previousTier in TIER_RANK) || !(tier in TIER_RANK)) {
+    return 0;
+  }
+
+  return Math.max(0, TIER_RANK[previousTier] - TIER_RANK[tier]);
+}
+
+/**
+ * Build a tier history entry if either tier changed (null on first sync or no change)
+ */
+function buildTierChange(game, validation, changedAt) {
+  const previousTier = normalizeTier(game.protondb_tier);
+  const previousTrendingTier = normalizeTier(game.protondb_trending_tier);
+
+  // First tier for this game - nothing to compare against
+  if (!previousTier && !previousTrendingTier) {
+    return null;
+  }
+
+  // Games tiered before trending was stored: compare trending against the old tier
+  const trendingBaseline = previousTrendingTier || previousTier;
+
+  if (previousTier === validation.tier && trendingBaseline === validation.trendingTier) {
+    return null;
+  }
+
+  return {
+    game_id: game.id,
+    changed_at: changedAt,
+    previous_tier: previousTier,
+    tier: validation.tier,
+    previous_trending_tier: previousTrendingTier,
+    trending_tier: validation.trendingTier,
+    tier_drop: Math.max(
+      getTierDrop(previousTier, validation.tier),
+      getTierDrop(trendingBaseline, validation.trendingTier)
+    ),
+    confidence: validation.confidence,
+    report_count: validation.reports,
+    alert_sent: false
+  };
+}
+
 /**
  * Process single game - fetch ProtonDB data and update
  */
 async function processGame(game) {
   console.log(`\n📌 Processing: ${game.title}`);
   console.log(`   Steam App ID: ${game.steam_app_id}`);
-  console.log(`   Current ProtonDB tier: ${game.protondb_tier}`);
+  console.log(`   Current ProtonDB tier: ${game.protondb_tier || 'N/A'} (trending: ${game.protondb_trending_tier || 'N/A'})`);
 
   try {
+    const syncedAt = new Date().toISOString();
+
     // Fetch ProtonDB data
     const protonData = await fetchProtonDBData(game.steam_app_id);
 
@@ -140,22 +221,41 @@ async function processGame(game) {
 
     if (!validation.valid) {
       console.log(`   ⏭️  Skipping - ${validation.reason}`);
+
+      // Keep the current tier, but stamp the sync so the game moves to the back of the queue
+      await directus.request(
+        updateItem('games', game.id, { protondb_synced_at: syncedAt })
+      );
+
       return { success: false, reason: validation.reason };
     }
 
+    const change = buildTierChange(game, validation, syncedAt);
+
     // Update game in Directus
     await directus.request(
       updateItem('games', game.id, {
-        protondb_tier: validation.tier
+        protondb_tier: validation.tier,
+        protondb_trending_tier: validation.trendingTier,
+        protondb_confidence: validation.confidence,
+        protondb_score: validation.score,
+        protondb_report_count: validation.reports,
+        protondb_synced_at: syncedAt
       })
     );
 
     console.log(`   ✅ Updated successfully`);
     console.log(`      Tier: ${validation.tier}`);
+    console.log(`      Trending: ${validation.trendingTier}`);
     console.log(`      Confidence: ${validation.confidence}`);
+    console.log(`      Score: ${validation.score !== null ? validation.score : 'N/A'}`);
     console.log(`      Reports: ${validation.reports}`);
+    if (change) {
+      const arrow = change.tier_drop > 0 ? '📉' : '📈';
+      console.log(`      ${arrow} Tier change: ${change.previous_tier || 'N/A'} → ${change.tier} (trending ${change.previous_trending_tier || 'N/A'} → ${change.trending_tier})`);
+    }
 
-    return { success: true, tier: validation.tier };
+    return { success: true, tier: validation.tier, change };
 
   } catch (error) {
     console.error(`   ❌ Error processing game:`, error.message);
@@ -163,6 +263,81 @@ async function processGame(game) {
   }
 }
 
+/**
+ * Alert on big tier drops for games that currently have active deals
+ * Marks alerted history entries (alert_sent = true)
+ */
+async function alertTierDrops(changes, gamesById) {
+  const drops = changes.filter(change => change.tier_drop >= ALERT_MIN_TIER_DROP);
+
+  if (drops.length === 0) {
+    return 0;
+  }
+
+  const now = new Date().toISOString();
+
+  const activeDeals = await directus.request(
+    readItems('deals', {
+      filter: {
+        _and: [
+          { game_id: { _in: drops.map(change => change.game_id) } },
+          {
+            _or: [
+              { expires_at: { _null: true } },
+              { expires_at: { _gt: now } }
+            ]
+          }
+        ]
+      },
+      fields: ['game_id', 'store', 'price', 'discount_percent'],
+      limit: -1
+    })
+  );
+
+  const dealsByGame = new Map();
+  for (const deal of activeDeals) {
+    if (!dealsByGame.has(deal.game_id)) {
+      dealsByGame.set(deal.game_id, []);
+    }
+    dealsByGame.get(deal.game_id).push(deal);
+  }
+
+  const alerted = drops.filter(change => dealsByGame.has(change.game_id));
+
+  if (alerted.length === 0) {
+    console.log(`\n📉 ${drops.length} big tier drops, none on active deals - no alert`);
+    return 0;
+  }
+
+  const lines = alerted.map(change => {
+    const game = gamesById.get(change.game_id);
+    const deals = dealsByGame.get(change.game_id)
+      .map(deal => `${deal.store} -${deal.discount_percent}%`)
+      .join(', ');
+
+    return `**${game ? game.title : change.game_id}** (app ${game ? game.steam_app_id : '?'}): ` +
+      `${change.previous_trending_tier || change.previous_tier} → ${change.trending_tier} ` +
+      `(−${change.tier_drop} tiers, ${change.report_count} reports, ${change.confidence})\nDeals: ${deals}`;
+  });
+
+  console.log(`\n📉 ${alerted.length} games on active deals dropped ${ALERT_MIN_TIER_DROP}+ ProtonDB tiers, alerting...`);
+
+  const sent = await sendNotification(
+    '📉 Handheld Deals - ProtonDB Tier Drop',
+    `Games on active deals dropped ${ALERT_MIN_TIER_DROP}+ ProtonDB tiers - check compatibility badges and picks.\n\n${lines.join('\n\n')}`,
+    SEVERITY.HIGH,
+    { 'Games': alerted.length }
+  );
+
+  if (sent) {
+    for (const change of alerted) {
+      change.alert_sent = true;
+    }
+  }
+
+  return sent ? alerted.length : 0;
+}
+
 // ============================================================================
 // MAIN SCRIPT
 // ============================================================================
@@ -178,32 +353,49 @@ async function syncProtonDB() {
     await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
     console.log('✅ Logged in successfully!\n');
 
-    // Fetch games that need ProtonDB data
-    console.log(`📥 Fetching games with steam_app_id and incomplete ProtonDB data...`);
+    console.log(`📥 Fetching games with steam_app_id needing a ProtonDB check...`);
 
-    const games = await directus.request(
+    const fields = ['id', 'title', 'steam_app_id', 'protondb_tier', 'protondb_trending_tier'];
+    const staleBefore = new Date(Date.now() - RECHECK_AFTER_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    // 1. Never synced (includes games still missing a tier)
+    const neverSynced = await directus.request(
       readItems('games', {
         filter: {
           _and: [
             { steam_app_id: { _nnull: true } }, // Has Steam app ID
-            {
-              _or: [
-                { protondb_tier: { _null: true } },      // Missing tier
-                { protondb_tier: { _eq: 'unknown' } }    // Unknown tier
-              ]
-            }
+            { protondb_synced_at: { _null: true } }
           ]
         },
         limit: REQUESTS_PER_RUN,
-        fields: ['id', 'title', 'steam_app_id', 'protondb_tier']
+        fields
       })
     );
 
-    console.log(`✅ Found ${games.length} games needing ProtonDB data`);
+    // 2. Re-check oldest syncs with the rest of the budget (catches regressions)
+    const stale = neverSynced.length < REQUESTS_PER_RUN
+      ? await directus.request(
+        readItems('games', {
+          filter: {
+            _and: [
+              { steam_app_id: { _nnull: true } },
+              { protondb_synced_at: { _lt: staleBefore } }
+            ]
+          },
+          sort: ['protondb_synced_at'],
+          limit: REQUESTS_PER_RUN - neverSynced.length,
+          fields
+        })
+      )
+      : [];
+
+    const games = [...neverSynced, ...stale];
+
+    console.log(`✅ Found ${neverSynced.length} never synced + ${stale.length} stale (>${RECHECK_AFTER_DAYS} days) games`);
     console.log(`🎯 Processing up to ${REQUESTS_PER_RUN} games...\n`);
 
     if (games.length === 0) {
-      console.log('✅ All games already have ProtonDB data!');
+      console.log('✅ All ProtonDB data is fresh!');
       return;
     }
 
@@ -212,6 +404,7 @@ async function syncProtonDB() {
     let updated = 0;
     let skipped = 0;
     let errors = 0;
+    const changes = [];
 
     const tierStats = {
       platinum: 0,
@@ -229,6 +422,9 @@ async function syncProtonDB() {
         if (result.tier) {
           tierStats[result.tier]++;
         }
+        if (result.change) {
+          changes.push(result.change);
+        }
       } else if (result.reason && result.reason.includes('reports') || result.reason === 'no_data') {
         skipped++;
       } else {
@@ -248,6 +444,26 @@ async function syncProtonDB() {
       }
     }
 
+    // Tier drops on active deals → Discord, then record history
+    let alerted = 0;
+
+    if (changes.length > 0) {
+      try {
+        alerted = await alertTierDrops(changes, new Map(games.map(game => [game.id, game])));
+      } catch (error) {
+        console.error(`❌ Failed to check tier drops:`, error.message);
+      }
+
+      try {
+        await directus.request(createItems('protondb_tier_history', changes));
+        console.log(`📝 Recorded ${changes.length} tier changes in protondb_tier_history`);
+      } catch (error) {
+        console.error(`❌ Failed to record tier history:`, error.message);
+      }
+    }
+
+    const drops = changes.filter(change => change.tier_drop > 0).length;
+
     // Summary
     console.log('\n' + '='.repeat(60));
     console.log('📊 PROTONDB SYNC SUMMARY');
@@ -255,6 +471,7 @@ async function syncProtonDB() {
     console.log(`✅ Successfully updated: ${updated} games`);
     console.log(`⏭️  Skipped (insufficient data): ${skipped} games`);
     console.log(`❌ Errors: ${errors} games`);
+    console.log(`🔄 Tier changes: ${changes.length} (${drops} drops, ${alerted} alerted)`);
     console.log(`📈 Success rate: ${((updated / games.length) * 100).toFixed(1)}%`);
     console.log('');
     console.log('📊 TIER DISTRIBUTION:');
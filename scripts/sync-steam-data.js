@@ -6,21 +6,28 @@
  * Features:
  * - Fetch metadata: genres, release year, Metacritic score
  * - Controller support detection
- * - Review data (positive %, total count) - NEW v3.0
+ * - Review data (positive %, total count via appreviews summary) - NEW v3.0
+ * - Review quality threshold (≥60% positive), rejection reason stored on game
  * - Initialize device_performance with estimates - NEW v3.0
+ * - Shared Steam client: cached appdetails/appreviews (utils/steam-client)
  * - Rate limiting (1 request/second - respectful)
  * - Retry logic for failed requests
- * - Process only games with incomplete data
+ * - Freshness policy: per-field *_synced_at, stale fields are re-fetched
+ * - Priority queue: never synced / most overdue / most clicked games first
+ * - Diff log of changed values (game_sync_log)
  * 
  * Usage: node scripts/sync-steam-data.js
  */
 
 require('dotenv').config();
 const axios = require('axios');
-const { createDirectus, rest, readItems, updateItem, authentication } = require('@directus/sdk');
+const { createDirectus, rest, readItems, createItems, updateItem, aggregate, authentication } = require('@directus/sdk');
 
 // Import battery estimation from existing script
 const { estimateAllDevices } = require('./estimate-battery');
+const { buildDeviceIndex } = require('./utils/device-index');
+const { fetchReviewSummary, getReviewFailures } = require('./utils/steam-reviews');
+const { getAppDetails, getCacheStats } = require('./utils/steam-client');
 
 // ============================================================================
 // CONFIGURATION
@@ -37,6 +44,23 @@ const REQUESTS_PER_RUN = 50; // Limit to 50 games per run
 const DELAY_BETWEEN_REQUESTS = 1000; // 1 second (respectful)
 const MAX_RETRIES = 3;
 
+// Freshness policy - how long each field stays fresh before it is re-fetched
+// emptyMaxAgeDays: shorter retry when the last sync found nothing
+const FRESHNESS_POLICY = {
+  reviews: { syncedAt: 'reviews_synced_at', maxAgeDays: 7 },           // steam_positive_percent + steam_total_reviews
+  controller_support: { syncedAt: 'controller_support_synced_at', maxAgeDays: 30, emptyMaxAgeDays: 7 }, // 'none' often gets patched
+  metacritic_score: { syncedAt: 'metacritic_synced_at', maxAgeDays: 30 },
+  genre: { syncedAt: 'genre_synced_at', maxAgeDays: 90 },
+  release_year: { syncedAt: 'release_year_synced_at', maxAgeDays: 180 }
+};
+
+// Fields that come from appdetails (reviews have their own endpoint)
+const APPDETAILS_FIELDS = ['genre', 'release_year', 'metacritic_score', 'controller_support'];
+
+// Priority queue
+const NEVER_SYNCED_STALENESS = 10;  // Missing timestamp outranks any overdue field
+const VIEWS_WINDOW_DAYS = 30;       // Clicks counted towards "most viewed"
+
 // ============================================================================
 // DIRECTUS CLIENT
 // ============================================================================
@@ -56,41 +80,6 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-/**
- * Fetch Steam app details with retry logic
- */
-async function fetchSteamAppDetails(steamAppId, retries = MAX_RETRIES) {
-  try {
-    console.log(`    📡 Fetching Steam data for app ${steamAppId}...`);
-
-    const response = await axios.get(`${STEAM_STORE_API}/appdetails`, {
-      params: {
-        appids: steamAppId
-      },
-      timeout: 5000 // 5 second timeout
-    });
-
-    const data = response.data[steamAppId];
-
-    if (!data || !data.success) {
-      console.log(`    ⚠️  Steam API returned no data for app ${steamAppId}`);
-      return null;
-    }
-
-    return data.data;
-
-  } catch (error) {
-    if (retries > 0) {
-      console.log(`    ⚠️  Error fetching Steam data, retrying... (${MAX_RETRIES - retries + 1}/${MAX_RETRIES})`);
-      await sleep(2000); // Wait 2 seconds before retry
-      return fetchSteamAppDetails(steamAppId, retries - 1);
-    }
-
-    console.error(`    ❌ Failed to fetch Steam data after ${MAX_RETRIES} retries:`, error.message);
-    return null;
-  }
-}
-
 /**
  * Fetch SteamSpy data for controller support fallback
  */
@@ -189,105 +178,333 @@ function parseGenres(steamData) {
 
 /**
  * Extract review data from Steam (NEW v3.0)
+ * Positive % comes from the appreviews summary, appdetails only has a count
  */
-function extractReviewData(steamData) {
+async function extractReviewData(steamAppId) {
   const reviewData = {
     positive_percent: null,
     total_reviews: null
   };
 
-  // Total review count
-  if (steamData.recommendations && steamData.recommendations.total) {
-    reviewData.total_reviews = steamData.recommendations.total;
+  const summary = await fetchReviewSummary(steamAppId);
+
+  if (summary) {
+    reviewData.positive_percent = summary.positive_percent;
+    reviewData.total_reviews = summary.total_reviews;
+    return reviewData;
   }
 
-  // Positive percentage - Steam doesn't provide directly
-  // We can estimate from review score description if available
-  // For now, leave as null (can be enhanced later)
+  // Fallback: total count from appdetails (usually already cached)
+  const steamData = await getAppDetails(steamAppId);
+
+  if (steamData && steamData.recommendations && steamData.recommendations.total) {
+    reviewData.total_reviews = steamData.recommendations.total;
+  }
 
   return reviewData;
 }
 
+// ============================================================================
+// FRESHNESS & PRIORITY QUEUE
+// ============================================================================
+
 /**
- * Process single game - fetch Steam data and update
+ * Current value of a policy field (reviews = positive % + total count)
  */
-async function processGame(game) {
-  console.log(`\n📌 Processing: ${game.title}`);
-  console.log(`   Steam App ID: ${game.steam_app_id}`);
+function getFieldValue(game, key) {
+  if (key === 'reviews') {
+    return { steam_positive_percent: game.steam_positive_percent, steam_total_reviews: game.steam_total_reviews };
+  }
+
+  return game[key];
+}
+
+/**
+ * Whether the last sync left the field without useful data
+ */
+function isEmptyValue(key, value) {
+  if (key === 'reviews') {
+    return value.steam_positive_percent === null && value.steam_total_reviews === null;
+  }
+
+  if (key === 'controller_support') {
+    return value === null || value === undefined || value === 'none';
+  }
+
+  return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Staleness of one field: 0 = fresh, ≥1 = overdue (age / max age), NEVER_SYNCED_STALENESS = no timestamp
+ */
+function getFieldStaleness(game, key, now = Date.now()) {
+  const policy = FRESHNESS_POLICY[key];
+  const syncedAt = game[policy.syncedAt];
+
+  if (!syncedAt) {
+    return NEVER_SYNCED_STALENESS;
+  }
+
+  const maxAgeDays = isEmptyValue(key, getFieldValue(game, key))
+    ? (policy.emptyMaxAgeDays || policy.maxAgeDays)
+    : policy.maxAgeDays;
+  const ageDays = (now - new Date(syncedAt).getTime()) / (1000 * 60 * 60 * 24);
+
+  return ageDays >= maxAgeDays ? ageDays / maxAgeDays : 0;
+}
+
+/**
+ * Fields due for a refresh
+ */
+function getStaleFields(game, now = Date.now()) {
+  return Object.keys(FRESHNESS_POLICY).filter(key => getFieldStaleness(game, key, now) > 0);
+}
+
+/**
+ * Directus filter for games with at least one field that may be stale
+ * (uses the shortest max age per field - getStaleFields makes the exact call)
+ */
+function buildStaleFilter(now = Date.now()) {
+  const conditions = [];
+
+  for (const policy of Object.values(FRESHNESS_POLICY)) {
+    const days = Math.min(policy.maxAgeDays, policy.emptyMaxAgeDays || policy.maxAgeDays);
+    const cutoff = new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+    conditions.push({ [policy.syncedAt]: { _null: true } });
+    conditions.push({ [policy.syncedAt]: { _lt: cutoff } });
+  }
+
+  return {
+    _and: [
+      { steam_app_id: { _nnull: true } }, // Has Steam app ID
+      { _or: conditions }
+    ]
+  };
+}
+
+/**
+ * Deal clicks per game over the last VIEWS_WINDOW_DAYS (Map game_id → count)
+ * Views only reorder the queue, so a failure just means staleness alone decides
+ */
+async function fetchViewCounts() {
+  const since = new Date(Date.now() - VIEWS_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const views = new Map();
 
   try {
-    // Fetch Steam data
-    const steamData = await fetchSteamAppDetails(game.steam_app_id);
+    const rows = await directus.request(
+      aggregate('clicks', {
+        aggregate: { count: ['id'] },
+        groupBy: ['game_id'],
+        query: {
+          filter: { clicked_at: { _gte: since } },
+          limit: -1
+        }
+      })
+    );
 
-    if (!steamData) {
-      console.log(`   ⏭️  Skipping - no Steam data available`);
-      return { success: false, reason: 'no_data' };
+    for (const row of rows) {
+      if (row.game_id) {
+        views.set(row.game_id, parseInt(row.count && row.count.id, 10) || 0);
+      }
     }
+  } catch (error) {
+    console.log(`⚠️  Could not load click counts (${error.message}), ordering by staleness only`);
+  }
 
-    // Extract data
-    const controllerSupport = await parseControllerSupport(steamData, game.steam_app_id);
-    const genres = parseGenres(steamData);
-    const releaseYear = steamData.release_date && steamData.release_date.date
-      ? new Date(steamData.release_date.date).getFullYear()
-      : null;
-    const metacriticScore = steamData.metacritic && steamData.metacritic.score
-      ? steamData.metacritic.score
-      : null;
-    const reviewData = extractReviewData(steamData);
+  return views;
+}
 
-    // Initialize device_performance if empty (NEW v3.0)
-    let devicePerformance = game.device_performance;
+/**
+ * Order games with stale fields by priority (highest first)
+ * priority = worst field staleness × (1 + log10(1 + views)) - popular games refresh sooner,
+ * but a heavily clicked game with fresh data never jumps the queue
+ */
+function buildSyncQueue(games, views, now = Date.now()) {
+  return games
+    .map(game => {
+      const staleFields = getStaleFields(game, now);
+      const staleness = Math.max(0, ...staleFields.map(key => getFieldStaleness(game, key, now)));
+      const gameViews = views.get(game.id) || 0;
+
+      return {
+        game,
+        staleFields,
+        views: gameViews,
+        priority: staleness * (1 + Math.log10(1 + gameViews))
+      };
+    })
+    .filter(entry => entry.staleFields.length > 0)
+    .sort((a, b) => b.priority - a.priority);
+}
 
-    if (!devicePerformance || Object.keys(devicePerformance).length === 0) {
-      console.log(`   🔋 Initializing device_performance with estimates...`);
+/**
+ * Compare old and new values, returns [{ field, old_value, new_value }]
+ */
+function diffValues(game, updates) {
+  const changes = [];
 
-      // Use battery estimation algorithm
-      const gameWithData = {
-        ...game,
-        genre: genres,
-        release_year: releaseYear
-      };
+  for (const [field, newValue] of Object.entries(updates)) {
+    const oldValue = game[field] === undefined ? null : game[field];
 
-      devicePerformance = estimateAllDevices(gameWithData);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old_value: oldValue, new_value: newValue });
     }
+  }
 
-    // Prepare update data
-    const updateData = {
-      controller_support: controllerSupport,
-      release_year: releaseYear
-    };
+  return changes;
+}
+
+/**
+ * Write diff log entries (one row per changed field)
+ * Called right after each game is written, so a crashed run keeps the log
+ * of everything it already changed. Returns true when written.
+ */
+async function writeSyncLog(changes) {
+  if (changes.length === 0) {
+    return true;
+  }
+
+  try {
+    await directus.request(createItems('game_sync_log', changes));
+    return true;
+  } catch (error) {
+    console.error(`   ❌ Failed to write sync log:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Process single game - re-fetch stale fields and update what changed
+ */
+async function processGame(game, staleFields) {
+  console.log(`\n📌 Processing: ${game.title}`);
+  console.log(`   Steam App ID: ${game.steam_app_id}`);
+  console.log(`   Stale fields: ${staleFields.join(', ')}`);
 
-    // Only update if we have data
-    if (genres && genres.length > 0) {
-      updateData.genre = genres;
+  try {
+    const syncedAt = new Date().toISOString();
+    const values = {};
+    const stamps = {};
+
+    // appdetails fields (shared cache - the hourly deal fetch reuses it)
+    const detailFields = staleFields.filter(key => APPDETAILS_FIELDS.includes(key));
+
+    if (detailFields.length > 0) {
+      console.log(`    📡 Fetching Steam data for app ${game.steam_app_id}...`);
+      const steamData = await getAppDetails(game.steam_app_id);
+
+      if (steamData) {
+        if (detailFields.includes('genre')) {
+          const genres = parseGenres(steamData);
+          // Keep curated genres when Steam has none
+          if (genres && genres.length > 0) {
+            values.genre = genres;
+          }
+        }
+
+        if (detailFields.includes('release_year')) {
+          const releaseYear = steamData.release_date && steamData.release_date.date
+            ? new Date(steamData.release_date.date).getFullYear()
+            : null;
+          // Keep the stored year when Steam has no parseable date
+          if (releaseYear) {
+            values.release_year = releaseYear;
+          }
+        }
+
+        if (detailFields.includes('metacritic_score') && steamData.metacritic && steamData.metacritic.score) {
+          values.metacritic_score = steamData.metacritic.score;
+        }
+
+        if (detailFields.includes('controller_support')) {
+          values.controller_support = await parseControllerSupport(steamData, game.steam_app_id);
+        }
+
+        for (const key of detailFields) {
+          stamps[FRESHNESS_POLICY[key].syncedAt] = syncedAt;
+        }
+      } else {
+        // Delisted app or Steam outage (no cache) - not stamped, retried next run
+        console.log(`   ⚠️  No Steam app data available`);
+      }
     }
 
-    if (metacriticScore) {
-      updateData.metacritic_score = metacriticScore;
+    // Reviews (appreviews summary)
+    let reviewFailures = [];
+
+    if (staleFields.includes('reviews')) {
+      const reviewData = await extractReviewData(game.steam_app_id);
+
+      if (reviewData.total_reviews !== null) {
+        reviewFailures = getReviewFailures(reviewData);
+        values.steam_total_reviews = reviewData.total_reviews;
+        values.quality_rejection_reason = reviewFailures.length > 0 ? reviewFailures.join(', ') : null;
+      }
+
+      if (reviewData.positive_percent !== null) {
+        values.steam_positive_percent = reviewData.positive_percent;
+      }
+
+      // Only stamp when Steam answered
+      if (reviewData.total_reviews !== null) {
+        stamps[FRESHNESS_POLICY.reviews.syncedAt] = syncedAt;
+      } else {
+        console.log(`   ⚠️  No Steam review data available`);
+      }
     }
 
-    if (reviewData.total_reviews) {
-      updateData.steam_review_count = reviewData.total_reviews;
+    const changes = diffValues(game, values);
+    const updateData = { ...stamps };
+
+    for (const change of changes) {
+      updateData[change.field] = change.new_value;
     }
 
-    if (devicePerformance) {
-      updateData.device_performance = devicePerformance;
+    // Initialize device_performance if empty (NEW v3.0)
+    const needsDevicePerformance = !game.device_performance || Object.keys(game.device_performance).length === 0;
+
+    if (needsDevicePerformance) {
+      console.log(`   🔋 Initializing device_performance with estimates...`);
+
+      // Use battery estimation algorithm (+ the filterable device index)
+      updateData.device_performance = estimateAllDevices({ ...game, ...values });
+      Object.assign(updateData, buildDeviceIndex(updateData.device_performance));
     }
 
-    // Update game in Directus
-    await directus.request(
-      updateItem('games', game.id, updateData)
-    );
+    // Update game in Directus (nothing to write when Steam didn't answer)
+    if (Object.keys(updateData).length > 0) {
+      await directus.request(
+        updateItem('games', game.id, updateData)
+      );
+    }
 
-    console.log(`   ✅ Updated successfully`);
-    console.log(`      Controller: ${controllerSupport}`);
-    console.log(`      Genres: ${genres ? genres.join(', ') : 'N/A'}`);
-    console.log(`      Release Year: ${releaseYear || 'N/A'}`);
-    console.log(`      Metacritic: ${metacriticScore || 'N/A'}`);
-    console.log(`      Reviews: ${reviewData.total_reviews || 'N/A'}`);
-    console.log(`      Device Performance: ${devicePerformance ? 'Initialized' : 'Already set'}`);
+    if (Object.keys(stamps).length === 0) {
+      console.log(`   ⏭️  Steam didn't answer - retried next run`);
+    } else if (changes.length === 0) {
+      console.log(`   ✅ Refreshed - no changes`);
+    } else {
+      console.log(`   ✅ Updated ${changes.length} field(s):`);
+      for (const change of changes) {
+        console.log(`      ${change.field}: ${JSON.stringify(change.old_value)} → ${JSON.stringify(change.new_value)}`);
+      }
+    }
+    if (reviewFailures.length > 0) {
+      console.log(`      ❌ Quality filter: ${reviewFailures.join(', ')}`);
+    }
+    if (needsDevicePerformance) {
+      console.log(`      Device Performance: Initialized`);
+    }
 
-    return { success: true };
+    return {
+      success: true,
+      changes: changes.map(change => ({
+        game_id: game.id,
+        source: 'steam',
+        ...change,
+        synced_at: syncedAt
+      }))
+    };
 
   } catch (error) {
     console.error(`   ❌ Error processing game:`, error.message);
@@ -310,63 +527,77 @@ async function syncSteamData() {
     await directus.login(ADMIN_EMAIL, ADMIN_PASSWORD);
     console.log('✅ Logged in successfully!\n');
 
-    // Fetch games that need Steam data
-    console.log(`📥 Fetching games with steam_app_id and incomplete data...`);
-
-    const games = await directus.request(
-      readItems('games', {
-        filter: {
-          _and: [
-            { steam_app_id: { _nnull: true } }, // Has Steam app ID
-            {
-              _or: [
-                { genre: { _null: true } },                    // Missing genre
-                { controller_support: { _null: true } },       // Missing controller support
-                { controller_support: { _eq: 'none' } },       // ← DODANE: Re-check games with 'none'
-                { release_year: { _null: true } }             // Missing release year
-              ]
-            }
+    // Fetch games with at least one stale field
+    console.log(`📥 Fetching games with steam_app_id and stale data...`);
+
+    const [candidates, views] = await Promise.all([
+      directus.request(
+        readItems('games', {
+          filter: buildStaleFilter(),
+          limit: -1,
+          fields: [
+            'id', 'title', 'steam_app_id', 'genre', 'controller_support', 'release_year', 'metacritic_score',
+            'steam_positive_percent', 'steam_total_reviews', 'quality_rejection_reason',
+            'device_performance', 'deck_status', 'protondb_tier',
+            ...Object.values(FRESHNESS_POLICY).map(policy => policy.syncedAt)
           ]
-        },
-        limit: REQUESTS_PER_RUN,
-        fields: ['id', 'title', 'steam_app_id', 'genre', 'controller_support', 'release_year', 'device_performance', 'deck_status', 'protondb_tier']
-      })
-    );
+        })
+      ),
+      fetchViewCounts()
+    ]);
+
+    const ranked = buildSyncQueue(candidates, views);
+    const queue = ranked.slice(0, REQUESTS_PER_RUN);
 
-    console.log(`✅ Found ${games.length} games needing Steam data`);
-    console.log(`🎯 Processing up to ${REQUESTS_PER_RUN} games...\n`);
+    console.log(`✅ Found ${ranked.length} games with stale Steam data`);
+    console.log(`🎯 Processing up to ${REQUESTS_PER_RUN} games (oldest / most viewed first)...\n`);
 
-    if (games.length === 0) {
-      console.log('✅ All games already have Steam data!');
+    if (queue.length === 0) {
+      console.log('✅ All Steam data is fresh!');
       return;
     }
 
     // Process games
     let processed = 0;
     let updated = 0;
-    let skipped = 0;
+    let unchanged = 0;
     let errors = 0;
+    let changesLogged = 0;
+    let changesUnlogged = 0;
+    const fieldStats = {};
+
+    for (const { game, staleFields, views: gameViews } of queue) {
+      if (gameViews > 0) {
+        console.log(`\n👀 ${gameViews} clicks in the last ${VIEWS_WINDOW_DAYS} days`);
+      }
 
-    for (const game of games) {
-      const result = await processGame(game);
+      const result = await processGame(game, staleFields);
 
-      if (result.success) {
+      if (!result.success) {
+        errors++;
+      } else if (result.changes.length > 0) {
         updated++;
-      } else if (result.reason === 'no_data') {
-        skipped++;
+        if (await writeSyncLog(result.changes)) {
+          changesLogged += result.changes.length;
+        } else {
+          changesUnlogged += result.changes.length;
+        }
+        for (const change of result.changes) {
+          fieldStats[change.field] = (fieldStats[change.field] || 0) + 1;
+        }
       } else {
-        errors++;
+        unchanged++;
       }
 
       processed++;
 
       // Progress indicator
       if (processed % 10 === 0) {
-        console.log(`\n⏳ Progress: ${processed}/${games.length} games processed...`);
+        console.log(`\n⏳ Progress: ${processed}/${queue.length} games processed...`);
       }
 
-      // Rate limiting - 1 second between requests
-      if (processed < games.length) {
+      // Rate limiting - 2 seconds between games
+      if (processed < queue.length) {
         await sleep(2000); // Increased for SteamSpy rate limits
       }
     }
@@ -375,10 +606,21 @@ async function syncSteamData() {
     console.log('\n' + '='.repeat(60));
     console.log('📊 STEAM SYNC SUMMARY');
     console.log('='.repeat(60));
-    console.log(`✅ Successfully updated: ${updated} games`);
-    console.log(`⏭️  Skipped (no data): ${skipped} games`);
+    console.log(`✅ Updated (values changed): ${updated} games`);
+    console.log(`🔁 Refreshed, no changes: ${unchanged} games`);
     console.log(`❌ Errors: ${errors} games`);
-    console.log(`📈 Success rate: ${((updated / games.length) * 100).toFixed(1)}%`);
+    console.log(`⏳ Still stale (over budget): ${ranked.length - queue.length} games`);
+    const steamCache = getCacheStats();
+    console.log(`📦 Steam cache: ${steamCache.hits} hits, ${steamCache.revalidated} revalidated, ${steamCache.fetched} fetched`);
+    console.log(`📈 Success rate: ${(((updated + unchanged) / queue.length) * 100).toFixed(1)}%`);
+    console.log(`📝 Field changes logged to game_sync_log: ${changesLogged}${changesUnlogged > 0 ? ` (❌ ${changesUnlogged} failed)` : ''}`);
+    if (Object.keys(fieldStats).length > 0) {
+      console.log('');
+      console.log('📝 CHANGED FIELDS:');
+      for (const [field, count] of Object.entries(fieldStats)) {
+        console.log(`   ${field}: ${count} games`);
+      }
+    }
     console.log('='.repeat(60) + '\n');
 
     console.log('✅ Steam data sync complete!');
@@ -0,0 +1,209 @@
+/**
+ * Run processPriceAlerts over stubbed alerts, games and deals
+ * and check what it skips, re-arms and sends (no network, no Directus).
+ *
+ * Directus is replaced by an in-memory @directus/sdk, mail goes through
+ * the file transport into a temporary directory.
+ *
+ * Usage: node scripts/test-price-alerts.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DROP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'price-alerts-'));
+
+// The mailer reads these on load
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DROP_DIR = DROP_DIR;
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+const NOW = Date.now();
+const HOUR_MS = 60 * 60 * 1000;
+
+const GAMES = [
+  { id: 'g1', title: 'Hades', slug: 'hades', deck_status: 'unknown', device_performance: {} },
+  { id: 'g2', title: 'Celeste', slug: 'celeste', deck_status: 'verified', device_performance: {} },
+  { id: 'g3', title: 'No Deals', slug: 'no-deals', deck_status: 'verified', device_performance: {} }
+];
+
+const DEALS = [
+  { id: 'd1', game_id: 'g1', store: 'steam', price: '9.99', discount_percent: 60, is_historical_low: true, url: 'https://example.com/hades', expires_at: null },
+  { id: 'd1-ended', game_id: 'g1', store: 'gog', price: '4.99', discount_percent: 80, is_historical_low: false, url: 'https://example.com/hades-gog', expires_at: new Date(NOW - HOUR_MS).toISOString() },
+  { id: 'd2', game_id: 'g2', store: 'gog', price: '15.00', discount_percent: 25, is_historical_low: false, url: 'https://example.com/celeste', expires_at: new Date(NOW + HOUR_MS).toISOString() }
+];
+
+const ALERT_DEFAULTS = {
+  verified: true,
+  expires_at: null,
+  verification_token: 'token',
+  alert_type: 'target_price',
+  target_price: null,
+  target_discount_percent: null,
+  event_id: null,
+  device_context: 'any',
+  min_device_status: null,
+  min_battery_hours: null,
+  historical_low_only: false,
+  rearm_policy: 'once',
+  cooldown_hours: 24,
+  alert_sent: false,
+  alert_sent_at: null,
+  last_notified_price: null,
+  armed: true
+};
+
+const ALERTS = [
+  // Fires - one email for both of this address's alerts
+  { id: 'fires', game_id: 'g1', email: 'a@example.com', target_price: '12.00' },
+  { id: 'fires-unrated', game_id: 'g1', email: 'a@example.com', alert_type: 'new_low', device_context: 'steam_deck', min_device_status: 'playable' },
+  // Skipped: game gone, no deals, rules not met
+  { id: 'no-game', game_id: 'missing', email: 'b@example.com', target_price: '10.00' },
+  { id: 'no-deals', game_id: 'g3', email: 'b@example.com', target_price: '10.00' },
+  { id: 'above-target', game_id: 'g2', email: 'b@example.com', target_price: '10.00' },
+  // Skipped and re-armed (condition stopped holding)
+  { id: 'rearm', game_id: 'g2', email: 'b@example.com', alert_type: 'new_low', rearm_policy: 'after_reset', armed: false }
+].map(alert => ({ ...ALERT_DEFAULTS, ...alert }));
+
+// ============================================================================
+// IN-MEMORY DIRECTUS
+// ============================================================================
+
+const writes = [];
+
+/**
+ * Minimal Directus filter matching (_and, _or, _eq, _null, _gt)
+ */
+function matchesFilter(item, filter) {
+  if (!filter) return true;
+  if (filter._and) return filter._and.every(part => matchesFilter(item, part));
+  if (filter._or) return filter._or.some(part => matchesFilter(item, part));
+
+  return Object.entries(filter).every(([field, condition]) => {
+    const value = item[field];
+    if ('_eq' in condition) return value === condition._eq;
+    if ('_null' in condition) return (value === null || value === undefined) === condition._null;
+    if ('_gt' in condition) return value !== null && value !== undefined && value > condition._gt;
+    throw new Error(`Unsupported filter on ${field}: ${JSON.stringify(condition)}`);
+  });
+}
+
+function readCollection(collection, query) {
+  const items = { price_alerts: ALERTS, games: GAMES, deals: DEALS, events: [] }[collection] || [];
+  const sortField = query.sort ? query.sort[0] : null;
+
+  const found = items
+    .filter(item => matchesFilter(item, query.filter))
+    .sort((a, b) => (sortField ? parseFloat(a[sortField]) - parseFloat(b[sortField]) : 0));
+
+  return query.limit > 0 ? found.slice(0, query.limit) : found;
+}
+
+const fakeSdk = {
+  createDirectus: () => ({
+    with() { return this; },
+    login: async () => {},
+    request: async operation => operation()
+  }),
+  rest: () => ({}),
+  authentication: () => ({}),
+  readItems: (collection, query) => () => readCollection(collection, query),
+  updateItem: (collection, id, data) => () => writes.push({ collection, id, data }),
+  createItem: (collection, data) => () => writes.push({ collection, data })
+};
+
+require.cache[require.resolve('@directus/sdk')] = { exports: fakeSdk, loaded: true };
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+/**
+ * Run the job with console output captured
+ */
+async function runCaptured(fn) {
+  const lines = [];
+  const originalLog = console.log;
+  const originalError = console.error;
+
+  console.log = (...args) => lines.push(args.join(' '));
+  console.error = (...args) => lines.push(`ERROR ${args.join(' ')}`);
+
+  try {
+    await fn();
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Summary counter from the job's output ("⏭️  Skipped: 4 alerts" → 4)
+ */
+function getCount(output, label) {
+  const match = output.match(new RegExp(`${label}: (\\d+)`));
+  return match ? parseInt(match[1]) : null;
+}
+
+async function main() {
+  const { processPriceAlerts } = require('./process-price-alerts');
+
+  console.log('🧪 Processing stubbed price alerts...\n');
+  const output = await runCaptured(processPriceAlerts);
+
+  const emails = fs.readdirSync(DROP_DIR).map(file => fs.readFileSync(path.join(DROP_DIR, file), 'utf8'));
+  const alertUpdates = writes.filter(write => write.collection === 'price_alerts');
+  const deliveries = writes.filter(write => write.collection === 'email_deliveries');
+  const emailText = emails.map(email => {
+    // First base64 part is the plaintext body
+    const [, body] = email.match(/text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([\s\S]*?)\r\n--/) || [];
+    return body ? Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8') : '';
+  }).join('\n');
+
+  const checks = [
+    ['no errors', getCount(output, '❌ Errors'), 0],
+    ['skipped alerts', getCount(output, 'Skipped'), 4],
+    ['re-armed alerts', getCount(output, 'Re-armed'), 1],
+    ['triggered alerts', getCount(output, 'Triggered'), 2],
+    ['emails written', emails.length, 1],
+    ['deliveries recorded', deliveries.length, 2],
+    ['re-arm write', JSON.stringify(alertUpdates.filter(write => write.id === 'rearm').map(write => write.data)), JSON.stringify([{ armed: true }])],
+    ['notified alerts', alertUpdates.filter(write => write.data.alert_sent_at).map(write => write.id).sort().join(','), 'fires,fires-unrated'],
+    ['ended sale ignored', alertUpdates.filter(write => write.data.alert_sent_at).map(write => write.data.last_notified_price).join(','), '9.99,9.99'],
+    ['unchecked rule not shown as met', /✅ Not rated/.test(emailText), false],
+    ['unchecked rule shown as not checked', /ℹ️ Not rated on Steam Deck yet/.test(emailText), true]
+  ];
+
+  let failed = 0;
+
+  for (const [label, actual, expected] of checks) {
+    if (actual === expected) {
+      console.log(`  ✅ ${label}`);
+    } else {
+      console.log(`  ❌ ${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      failed++;
+    }
+  }
+
+  fs.rmSync(DROP_DIR, { recursive: true, force: true });
+
+  console.log('');
+  if (failed > 0) {
+    console.log(output);
+    console.log(`\n❌ ${failed} checks failed`);
+    process.exit(1);
+  }
+
+  console.log('✅ Price alert processing behaves as expected');
+}
+
+main().catch(error => {
+  console.error('❌ Fatal error:', error);
+  process.exit(1);
+});
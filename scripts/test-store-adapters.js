@@ -0,0 +1,155 @@
+/**
+ * Replay recorded store responses through every adapter
+ * and check the normalized deals (no network, no Directus).
+ *
+ * Each fixture lists the deals it must produce under "expected"
+ * (matched by externalId, only the listed fields are compared).
+ *
+ * Usage: node scripts/test-store-adapters.js [adapter...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ADAPTERS, createAdapter, getEnabledAdapters } = require('./adapters');
+
+const FIXTURES_DIR = path.join(__dirname, 'adapters/fixtures');
+
+const VALID_STORES = ['steam', 'gog', 'epic', 'humble', 'gmg', 'fanatical'];
+
+/**
+ * Return list of problems with a normalized deal
+ */
+function validateDeal(deal, adapter) {
+  const problems = [];
+
+  if (deal.source !== adapter.storeId) problems.push(`source "${deal.source}" != "${adapter.storeId}"`);
+  if (!VALID_STORES.includes(deal.store)) problems.push(`invalid store "${deal.store}"`);
+  if (!deal.title) problems.push('missing title');
+  if (!deal.externalId) problems.push('missing externalId');
+  if (typeof deal.price !== 'number' || Number.isNaN(deal.price)) problems.push(`invalid price ${deal.price}`);
+  if (deal.normalPrice !== null && typeof deal.normalPrice !== 'number') problems.push(`invalid normalPrice ${deal.normalPrice}`);
+  if (!Number.isInteger(deal.discountPercent) || deal.discountPercent < 0 || deal.discountPercent > 100) {
+    problems.push(`invalid discountPercent ${deal.discountPercent}`);
+  }
+  if (!/^https?:\/\//.test(deal.url || '')) problems.push(`invalid url ${deal.url}`);
+  if (deal.saleEnd !== null && (typeof deal.saleEnd !== 'string' || Number.isNaN(Date.parse(deal.saleEnd)))) {
+    problems.push(`invalid saleEnd ${deal.saleEnd}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Return list of mismatches between normalized deals and the fixture's expected deals
+ */
+function compareExpected(deals, expected) {
+  const problems = [];
+
+  if (deals.length !== expected.length) {
+    problems.push(`expected ${expected.length} deals, got ${deals.length}`);
+  }
+
+  for (const want of expected) {
+    const deal = deals.find(d => d.externalId === want.externalId);
+
+    if (!deal) {
+      problems.push(`${want.externalId}: missing`);
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(want)) {
+      if (deal[field] !== value) {
+        problems.push(`${want.externalId}: ${field} ${JSON.stringify(deal[field])} != ${JSON.stringify(value)}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+async function testStoreAdapters() {
+  const names = process.argv.slice(2).length > 0 ? process.argv.slice(2) : Object.keys(ADAPTERS);
+  let failures = 0;
+
+  console.log('🧪 Testing store adapters against recorded fixtures...\n');
+
+  for (const name of names) {
+    const fixture = path.join(FIXTURES_DIR, `${name}.json`);
+    const adapter = createAdapter(name, { fixture });
+    const deals = [];
+    let fetched = 0;
+    let page = 0;
+    let result;
+
+    // Walk every recorded page the same way the fetcher does
+    do {
+      result = await adapter.listDeals({ page });
+      fetched += result.fetched;
+      deals.push(...result.deals);
+      page++;
+    } while (result.hasMore);
+
+    console.log(`🛒 ${name}: ${page} pages, ${fetched} raw items → ${deals.length} deals`);
+
+    for (const deal of deals) {
+      const problems = validateDeal(deal, adapter);
+
+      if (problems.length > 0) {
+        failures++;
+        console.log(`   ❌ ${deal.title || deal.externalId}: ${problems.join(', ')}`);
+      } else {
+        console.log(`   ✅ ${deal.title} (${deal.store}) $${deal.price} (-${deal.discountPercent}%)`);
+      }
+    }
+
+    const { expected } = JSON.parse(fs.readFileSync(fixture, 'utf8'));
+
+    if (!expected) {
+      failures++;
+      console.log(`   ❌ ${name}.json has no "expected" deals`);
+    } else {
+      for (const problem of compareExpected(deals, expected)) {
+        failures++;
+        console.log(`   ❌ ${problem}`);
+      }
+    }
+
+    console.log('');
+  }
+
+  // Sources covering the same store would overwrite each other's deals
+  console.log('🧩 Checking DEAL_SOURCES combinations...');
+
+  for (const [sources, allowed] of [['cheapshark', true], ['gog,humble', true], ['cheapshark,gog', false], ['humble,humble', false]]) {
+    let accepted = true;
+
+    try {
+      getEnabledAdapters(sources);
+    } catch (error) {
+      accepted = false;
+    }
+
+    if (accepted === allowed) {
+      console.log(`   ✅ ${sources} ${allowed ? 'accepted' : 'refused'}`);
+    } else {
+      failures++;
+      console.log(`   ❌ ${sources} should be ${allowed ? 'accepted' : 'refused'}`);
+    }
+  }
+
+  console.log('');
+
+  if (failures > 0) {
+    console.log(`❌ ${failures} problems found`);
+    process.exit(1);
+  }
+
+  console.log('✅ All adapters produced valid deals');
+}
+
+if (require.main === module) {
+  testStoreAdapters().catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,56 @@
+/**
+ * Affiliate links
+ * Adds store-specific affiliate parameters to outbound deal URLs
+ * (config: scripts/config/affiliates.json, override with AFFILIATE_CONFIG_PATH).
+ *
+ * Parameters are only added when the URL's host belongs to the deal's store,
+ * so aggregator redirects (CheapShark) keep their own attribution. Direct
+ * store URLs come from the GOG, Humble and partner feed adapters - CheapShark
+ * deals (most of the catalogue) never carry our parameters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_PATH = process.env.AFFILIATE_CONFIG_PATH || path.join(__dirname, '../config/affiliates.json');
+
+const { stores: STORES } = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+
+/**
+ * Parse an outbound URL (null unless http/https)
+ */
+function parseOutboundUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Deal URL with the store's affiliate parameters (null if the URL is not valid)
+ * @param {Object} deal - { store, url }
+ * @returns {string|null}
+ */
+function buildAffiliateUrl(deal) {
+  const url = parseOutboundUrl(deal.url);
+  if (!url) {
+    return null;
+  }
+
+  const config = STORES[deal.store];
+  if (!config || !config.hosts.includes(url.hostname)) {
+    return url.toString();
+  }
+
+  for (const [name, value] of Object.entries(config.params || {})) {
+    if (value) {
+      url.searchParams.set(name, value);
+    }
+  }
+
+  return url.toString();
+}
+
+module.exports = { CONFIG_PATH, STORES, parseOutboundUrl, buildAffiliateUrl };
@@ -0,0 +1,305 @@
+/**
+ * Price alert triggering rules
+ * An alert fires when every rule it uses is satisfied:
+ * - alert_type rule:
+ *   target_price - best deal at or below target_price
+ *   new_low      - best deal is a historical low
+ *   percent_off  - best deal discount >= target_discount_percent
+ *   event_sale   - best deal is discounted while an active event features the game
+ * - price: at or below target_price (optional cap for the non target_price types)
+ * - status: device_performance status on device_context >= min_device_status
+ * - battery: estimated battery_hours on device_context >= min_battery_hours
+ * - historical_low: best deal is a historical low (historical_low_only)
+ *
+ * device_context 'any' passes the device rules when at least one registered
+ * device satisfies them all. evaluateAlert() returns every rule's outcome so
+ * the email can say why it fired and the log why it didn't. Rules that could
+ * not be checked (unrated game) pass with `skipped: true` - not listed as met.
+ *
+ * Recurring alerts: after a notification, rearm_policy decides when the alert
+ * may fire again (never, after cooldown_hours, at a lower price, or once the
+ * condition stopped holding in between) - see getRearmBlock().
+ */
+
+const { DEVICES, resolveDevice } = require('./devices');
+
+const ALERT_TYPES = ['target_price', 'new_low', 'percent_off', 'event_sale'];
+const REARM_POLICIES = ['once', 'after_cooldown', 'on_lower_price', 'after_reset'];
+
+// Policy for new alerts of each type (price_alerts.rearm_policy)
+const DEFAULT_REARM_POLICY = {
+  target_price: 'once',
+  new_low: 'on_lower_price',
+  percent_off: 'after_reset',
+  event_sale: 'after_reset'
+};
+const DEFAULT_COOLDOWN_HOURS = 24;
+
+// device_performance.status, worst → best ('untested' = unknown)
+const STATUS_RANK = { poor: 0, playable: 1, good: 2, excellent: 3 };
+
+// Valve's Deck Verified rating stands in for an untested Steam Deck entry
+const DECK_STATUS_FALLBACK = { verified: 'good', playable: 'playable', unsupported: 'poor' };
+const DECK_DEVICE_ID = 'steam_deck';
+
+/**
+ * Devices an alert's device rules are checked against ([] = unknown device_context)
+ */
+function getAlertDevices(alert) {
+  if (!alert.device_context || alert.device_context === 'any') {
+    return DEVICES;
+  }
+
+  const device = resolveDevice(alert.device_context);
+  return device ? [device] : [];
+}
+
+/**
+ * Known status of a game on a device
+ * @returns {Object} - { status, source: 'device_performance' | 'deck_verified' | null }
+ */
+function getDeviceStatus(game, device) {
+  const entry = game.device_performance && game.device_performance[device.id];
+
+  if (entry && entry.status in STATUS_RANK) {
+    return { status: entry.status, source: 'device_performance' };
+  }
+
+  if (device.id === DECK_DEVICE_ID && DECK_STATUS_FALLBACK[game.deck_status]) {
+    return { status: DECK_STATUS_FALLBACK[game.deck_status], source: 'deck_verified' };
+  }
+
+  return { status: null, source: null };
+}
+
+/**
+ * Device rules for one device → [{ rule, ok, skipped?, label }]
+ * Unrated games pass the status rule unchecked (only a known bad rating blocks an alert).
+ */
+function checkDeviceRules(alert, game, device) {
+  const rules = [];
+
+  if (alert.min_device_status) {
+    const { status, source } = getDeviceStatus(game, device);
+    const ok = !status || STATUS_RANK[status] >= STATUS_RANK[alert.min_device_status];
+    const wanted = alert.min_device_status === 'excellent' ? 'excellent' : `${alert.min_device_status} or better`;
+    const rating = source === 'deck_verified' ? ` (Deck ${game.deck_status})` : '';
+
+    rules.push({
+      rule: 'status',
+      ok,
+      skipped: !status,
+      label: status
+        ? `${status.charAt(0).toUpperCase()}${status.slice(1)} on ${device.name}${rating} - you asked for ${wanted}`
+        : `Not rated on ${device.name} yet - status not checked`
+    });
+  }
+
+  const minHours = parseFloat(alert.min_battery_hours);
+  if (minHours > 0) {
+    const entry = game.device_performance && game.device_performance[device.id];
+    const hours = entry ? parseFloat(entry.battery_hours) : NaN;
+
+    rules.push({
+      rule: 'battery',
+      ok: hours >= minHours,
+      label: hours > 0
+        ? `~${hours}h battery on ${device.name} - you asked for ${minHours}h+`
+        : `No battery estimate for ${device.name} yet - you asked for ${minHours}h+`
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Active event featuring the game (events without games are store-wide)
+ * @param {Array} activeEvents - [{ id, title, games: [{ games_id }] }]
+ */
+function findActiveEvent(alert, game, activeEvents = []) {
+  return activeEvents.find(event => {
+    if (alert.event_id && event.id !== alert.event_id) {
+      return false;
+    }
+
+    const gameIds = (event.games || []).map(link => link.games_id);
+    return gameIds.length === 0 || gameIds.includes(game.id);
+  }) || null;
+}
+
+/**
+ * Rules for the alert's type → [{ rule, ok, label }]
+ */
+function checkTypeRules(alert, game, deal, activeEvents) {
+  const type = alert.alert_type || 'target_price';
+  const price = parseFloat(deal.price);
+  const discount = parseInt(deal.discount_percent) || 0;
+  const rules = [];
+
+  if (type === 'new_low') {
+    rules.push({
+      rule: 'new_low',
+      ok: !!deal.is_historical_low,
+      label: deal.is_historical_low
+        ? `New historical low: $${price.toFixed(2)}`
+        : `$${price.toFixed(2)} is not a historical low`
+    });
+  } else if (type === 'percent_off') {
+    const minDiscount = parseInt(alert.target_discount_percent) || 0;
+
+    rules.push({
+      rule: 'discount',
+      ok: minDiscount > 0 && discount >= minDiscount,
+      label: `${discount}% off - you asked for ${minDiscount}%+`
+    });
+  } else if (type === 'event_sale') {
+    const event = findActiveEvent(alert, game, activeEvents);
+
+    rules.push({
+      rule: 'event_sale',
+      ok: !!event && discount > 0,
+      label: event
+        ? (discount > 0 ? `${discount}% off during ${event.title}` : `Not discounted during ${event.title}`)
+        : 'No active sale event featuring this game'
+    });
+  }
+
+  // Required for target_price alerts, an optional cap for the others
+  if (type === 'target_price' || alert.target_price) {
+    const target = parseFloat(alert.target_price);
+
+    rules.push({
+      rule: 'price',
+      ok: price <= target,
+      label: price <= target
+        ? `$${price.toFixed(2)} is at or below your $${target.toFixed(2)} target`
+        : `$${price.toFixed(2)} is above your $${(target || 0).toFixed(2)} target`
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Evaluate an alert against the game's best current deal
+ * @param {Object} alert - price_alerts row
+ * @param {Object} game - { id, title, deck_status, device_performance }
+ * @param {Object} deal - Best (lowest price) deal
+ * @param {Array} activeEvents - Active events (event_sale alerts)
+ * @returns {Object} - { triggered, rules: [{ rule, ok, skipped?, label }], device }
+ */
+function evaluateAlert(alert, game, deal, activeEvents = []) {
+  const rules = checkTypeRules(alert, game, deal, activeEvents);
+
+  // First device passing every device rule (or the first checked, to explain a miss)
+  const devices = getAlertDevices(alert);
+  let device = null;
+  let deviceRules = [];
+
+  if (devices.length === 0) {
+    deviceRules = [{ rule: 'device', ok: false, label: `Unknown device "${alert.device_context}"` }];
+  } else {
+    for (const candidate of devices) {
+      const candidateRules = checkDeviceRules(alert, game, candidate);
+
+      if (!device || candidateRules.every(rule => rule.ok)) {
+        device = candidate;
+        deviceRules = candidateRules;
+      }
+      if (candidateRules.every(rule => rule.ok)) {
+        break;
+      }
+    }
+  }
+
+  rules.push(...deviceRules);
+
+  if (alert.historical_low_only && alert.alert_type !== 'new_low') {
+    rules.push({
+      rule: 'historical_low',
+      ok: !!deal.is_historical_low,
+      label: deal.is_historical_low ? 'Lowest price ever recorded' : 'Not a historical low yet'
+    });
+  }
+
+  return {
+    triggered: rules.every(rule => rule.ok),
+    rules,
+    device: alert.device_context && alert.device_context !== 'any' ? device : null
+  };
+}
+
+// ============================================================================
+// RE-ARM
+// ============================================================================
+
+/**
+ * Why a previously sent alert may not fire yet (null = may notify)
+ */
+function getRearmBlock(alert, deal, now = new Date()) {
+  if (!alert.alert_sent_at) {
+    return null;
+  }
+
+  const policy = alert.rearm_policy || 'once';
+  const cooldownHours = alert.cooldown_hours ?? DEFAULT_COOLDOWN_HOURS;
+  const nextAllowed = new Date(new Date(alert.alert_sent_at).getTime() + cooldownHours * 60 * 60 * 1000);
+
+  if (policy === 'once' && alert.alert_sent) {
+    return 'Already sent';
+  }
+  if (now < nextAllowed) {
+    return `Cooling down until ${nextAllowed.toISOString()}`;
+  }
+  if (policy === 'on_lower_price' && alert.last_notified_price !== null && alert.last_notified_price !== undefined
+      && parseFloat(deal.price) >= parseFloat(alert.last_notified_price)) {
+    return `Not below the last notified price ($${parseFloat(alert.last_notified_price).toFixed(2)})`;
+  }
+  if (policy === 'after_reset' && alert.armed === false) {
+    return 'Waiting for the condition to stop holding before re-arming';
+  }
+
+  return null;
+}
+
+/**
+ * price_alerts changes after a successful notification
+ */
+function getNotifiedChanges(alert, deal, now = new Date()) {
+  const policy = alert.rearm_policy || 'once';
+
+  return {
+    alert_sent: policy === 'once',
+    alert_sent_at: now.toISOString(),
+    current_price: deal.price,
+    last_notified_price: deal.price,
+    armed: policy !== 'after_reset'
+  };
+}
+
+/**
+ * price_alerts changes for an alert that did not trigger (null = none)
+ * after_reset alerts re-arm once their condition stops holding.
+ */
+function getRearmChanges(alert, evaluation) {
+  if (alert.rearm_policy === 'after_reset' && alert.armed === false && !evaluation.triggered) {
+    return { armed: true };
+  }
+
+  return null;
+}
+
+module.exports = {
+  ALERT_TYPES,
+  REARM_POLICIES,
+  DEFAULT_REARM_POLICY,
+  DEFAULT_COOLDOWN_HOURS,
+  STATUS_RANK,
+  getAlertDevices,
+  getDeviceStatus,
+  findActiveEvent,
+  evaluateAlert,
+  getRearmBlock,
+  getNotifiedChanges,
+  getRearmChanges
+};
@@ -0,0 +1,414 @@
+/**
+ * Battery estimation model
+ *
+ * Per-device baseline hours + additive modifiers keyed by feature
+ * (genre:<key>, year:<bucket>, deck:<status>, protondb:<tier>).
+ *
+ * The built-in model (version 0) holds the original hand-tuned values;
+ * baselines and clamps come from the device registry (utils/devices).
+ * `node scripts/calibrate-battery.js` fits the modifiers against curator
+ * measurements and writes models/battery-model.json, which wins when present.
+ *
+ * Predictions refer to the device's default power profile; estimatePowerProfiles()
+ * scales them to the other TDP presets in the registry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DEVICES: REGISTRY, DEVICE_IDS, getDevice } = require('./devices');
+
+const MODEL_PATH = process.env.BATTERY_MODEL_PATH || path.join(__dirname, '../models/battery-model.json');
+
+const DEVICES = DEVICE_IDS;
+const MIN_HOURS = 1.5; // Lower clamp for every device
+
+// Substring match against lowercased Steam genres
+const GENRE_KEYS = [
+  'indie', '2d', 'puzzle', 'turn-based', 'roguelike', 'strategy',
+  'aaa', 'action', 'fps', 'racing', 'rpg', 'simulation'
+];
+
+// Expected FPS at the default profile by drain category (light games run faster)
+const FPS_AT_DEFAULT_PROFILE = {
+  low: { min: 50, max: 60 },
+  medium: { min: 35, max: 50 },
+  high: { min: 25, max: 35 }
+};
+
+// FPS ∝ TDP^exponent - diminishing returns above the stock TDP
+const FPS_TDP_EXPONENT = 0.6;
+
+const DECK_STATUSES = ['verified', 'playable', 'unsupported'];
+const PROTONDB_TIERS = ['platinum', 'gold', 'silver', 'bronze', 'borked'];
+
+// Every feature the model knows about (fixed order = column order when fitting)
+const FEATURES = [
+  ...GENRE_KEYS.map(key => `genre:${key}`),
+  'year:pre2020',
+  'year:recent',
+  ...DECK_STATUSES.map(status => `deck:${status}`),
+  ...PROTONDB_TIERS.map(tier => `protondb:${tier}`)
+];
+
+// Hand-tuned genre modifiers (less demanding = positive)
+const BASE_GENRE_MODIFIERS = {
+  'genre:indie': 2.0,
+  'genre:2d': 2.0,
+  'genre:puzzle': 1.5,
+  'genre:turn-based': 1.0,
+  'genre:roguelike': 1.0,
+  'genre:strategy': 0.8,
+  'genre:aaa': -1.5,
+  'genre:action': -1.0,
+  'genre:fps': -1.0,
+  'genre:racing': -0.8,
+  'genre:rpg': -0.5,
+  'genre:simulation': -0.3
+};
+
+const BASE_YEAR_MODIFIERS = {
+  'year:pre2020': 0.5,   // Older, less demanding
+  'year:recent': -0.5    // 2023+, more demanding
+};
+
+const BASE_OPTIMIZATION_MODIFIERS = {
+  'protondb:platinum': 0.3   // Community-proven efficient
+};
+
+// Hand-tuned per-device adjustments (new devices start without any)
+const DEVICE_MODIFIER_OVERRIDES = {
+  rog_ally: {
+    'genre:action': -1.5,    // Higher TDP under load
+    'genre:fps': -1.5
+  }
+};
+
+/**
+ * Built-in parameters for a registry device
+ */
+function buildDefaultDeviceParams(device) {
+  return {
+    intercept: device.battery_baseline_hours,
+    clamp: { min: MIN_HOURS, max: device.battery_max_hours },
+    modifiers: {
+      ...BASE_GENRE_MODIFIERS,
+      ...BASE_YEAR_MODIFIERS,
+      ...BASE_OPTIMIZATION_MODIFIERS,
+      // Valve optimized - only pays off on SteamOS
+      ...(device.os === 'steamos' ? { 'deck:verified': 0.5 } : {}),
+      ...(DEVICE_MODIFIER_OVERRIDES[device.id] || {})
+    }
+  };
+}
+
+// Built-in model - the original hand-tuned estimator
+const DEFAULT_MODEL = {
+  version: 0,
+  fitted_at: null,
+  devices: Object.fromEntries(REGISTRY.map(device => [device.id, buildDefaultDeviceParams(device)]))
+};
+
+let cachedModel = null;
+
+/**
+ * Load the calibrated model (falls back to the built-in one)
+ */
+function loadBatteryModel({ reload = false } = {}) {
+  if (cachedModel && !reload) {
+    return cachedModel;
+  }
+
+  cachedModel = DEFAULT_MODEL;
+
+  if (fs.existsSync(MODEL_PATH)) {
+    try {
+      const model = JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8'));
+
+      // Devices missing from the file (e.g. newly registered) keep their built-in values,
+      // clamps always follow the registry
+      const devices = {};
+      for (const id of DEVICES) {
+        devices[id] = {
+          ...DEFAULT_MODEL.devices[id],
+          ...(model.devices && model.devices[id]),
+          clamp: DEFAULT_MODEL.devices[id].clamp
+        };
+      }
+
+      cachedModel = { ...model, devices };
+    } catch (error) {
+      console.error(`⚠️  Could not read battery model ${MODEL_PATH}, using built-in model:`, error.message);
+    }
+  }
+
+  return cachedModel;
+}
+
+/**
+ * Save a model (temp file + rename)
+ */
+function saveBatteryModel(model) {
+  const tmpFile = `${MODEL_PATH}.tmp`;
+
+  fs.mkdirSync(path.dirname(MODEL_PATH), { recursive: true });
+  fs.writeFileSync(tmpFile, JSON.stringify(model, null, 2) + '\n');
+  fs.renameSync(tmpFile, MODEL_PATH);
+
+  cachedModel = null;
+}
+
+/**
+ * Active features for a game (all matching genres, not just the first)
+ */
+function extractFeatures(game) {
+  const features = [];
+
+  if (game.genre && Array.isArray(game.genre)) {
+    const genres = game.genre.map(g => String(g).toLowerCase());
+
+    for (const key of GENRE_KEYS) {
+      if (genres.some(g => g.includes(key))) {
+        features.push(`genre:${key}`);
+      }
+    }
+  }
+
+  if (game.release_year) {
+    if (game.release_year < 2020) {
+      features.push('year:pre2020');
+    } else if (game.release_year >= 2023) {
+      features.push('year:recent');
+    }
+  }
+
+  if (DECK_STATUSES.includes(game.deck_status)) {
+    features.push(`deck:${game.deck_status}`);
+  }
+
+  if (PROTONDB_TIERS.includes(game.protondb_tier)) {
+    features.push(`protondb:${game.protondb_tier}`);
+  }
+
+  return features;
+}
+
+/**
+ * Human readable feature name for notes
+ */
+function describeFeature(feature) {
+  const [kind, value] = feature.split(':');
+
+  switch (kind) {
+    case 'genre': return `Genre ${value}`;
+    case 'year': return value === 'pre2020' ? 'Pre-2020' : '2023+ release';
+    case 'deck': return `Deck ${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+    case 'protondb': return `ProtonDB ${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+    default: return feature;
+  }
+}
+
+// Game field each feature kind is derived from
+const FEATURE_SOURCES = {
+  genre: 'genre',
+  year: 'release_year',
+  deck: 'deck_status',
+  protondb: 'protondb_tier'
+};
+
+/**
+ * Hash of everything an estimate depends on: the game fields the features come
+ * from plus the device's registry parameters. Stored with each estimate so
+ * estimate-battery.js can tell when it is out of date.
+ */
+function getEstimateFingerprint(game, device) {
+  const registered = getDevice(device);
+
+  const gameInputs = Object.values(FEATURE_SOURCES).map(field => {
+    const value = game[field];
+    if (Array.isArray(value)) {
+      return value.map(v => String(v).toLowerCase()).sort();
+    }
+    return value === undefined ? null : value;
+  });
+
+  const deviceInputs = [
+    registered.os,
+    registered.battery_baseline_hours,
+    registered.battery_max_hours,
+    registered.platform_draw_w,
+    registered.refresh_hz,
+    registered.default_power_profile,
+    registered.power_profiles
+  ];
+
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify([gameInputs, deviceInputs]))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Game value behind an active feature (matching genre names, release year, ...)
+ */
+function getFeatureInput(game, feature) {
+  const [kind, value] = feature.split(':');
+
+  if (kind === 'genre') {
+    return game.genre.filter(g => String(g).toLowerCase().includes(value)).join(', ');
+  }
+
+  return game[FEATURE_SOURCES[kind]];
+}
+
+/**
+ * Predict battery hours for a device (unrounded, clamped)
+ * Returns { hours, raw, intercept, applied: [{ feature, value }], clamp }
+ */
+function predictHours(game, device, model = loadBatteryModel()) {
+  const params = model.devices[device];
+  const applied = [];
+  let raw = params.intercept;
+
+  for (const feature of extractFeatures(game)) {
+    const value = params.modifiers[feature] || 0;
+
+    if (value !== 0) {
+      raw += value;
+      applied.push({ feature, value });
+    }
+  }
+
+  return {
+    hours: Math.max(params.clamp.min, Math.min(params.clamp.max, raw)),
+    raw,
+    intercept: params.intercept,
+    applied,
+    clamp: params.clamp
+  };
+}
+
+/**
+ * Drain category from the device's registry thresholds (Deck: 5h+ low, under 3h high)
+ */
+function getDrainCategory(hours, device) {
+  const { drain_low_hours: lowHours, drain_high_hours: highHours } = getDevice(device);
+
+  if (hours >= lowHours) return 'low';
+  if (hours >= highHours) return 'medium';
+  return 'high';
+}
+
+/**
+ * Whether the registry has enough data to estimate power profiles for a device
+ */
+function hasPowerProfiles(device) {
+  const registered = getDevice(device);
+  const profiles = registered.power_profiles || [];
+
+  return !!registered.platform_draw_w && profiles.some(profile => profile.id === registered.default_power_profile);
+}
+
+/**
+ * Scale a default-profile estimate to every power profile of the device
+ *
+ * Total draw at the default profile = battery_wh / hours. Everything above
+ * platform_draw_w (screen, idle) is the game's share of the TDP budget, which
+ * is assumed to scale with the TDP cap (uncapped frame rate fills the budget).
+ * Returns { [profileId]: { tdp_w, battery_hours, fps_min, fps_max } }, or null
+ * when the device has no profiles in the registry.
+ */
+function estimatePowerProfiles(hours, device) {
+  if (!hasPowerProfiles(device)) {
+    return null;
+  }
+
+  const registered = getDevice(device);
+  const profiles = registered.power_profiles;
+  const defaultProfile = profiles.find(profile => profile.id === registered.default_power_profile);
+
+  const platformDraw = registered.platform_draw_w;
+  const gameDraw = Math.max(registered.battery_wh / hours - platformDraw, 0);
+  const maxHours = Math.max(registered.battery_wh / platformDraw, hours);
+  const fps = FPS_AT_DEFAULT_PROFILE[getDrainCategory(hours, device)];
+  const refreshCap = registered.refresh_hz || Infinity;
+
+  const result = {};
+
+  for (const profile of profiles) {
+    const ratio = profile.tdp_w / defaultProfile.tdp_w;
+
+    const profileHours = profile.id === defaultProfile.id
+      ? hours
+      : registered.battery_wh / (platformDraw + gameDraw * ratio);
+
+    const fpsScale = Math.pow(ratio, FPS_TDP_EXPONENT);
+    const fpsMax = Math.min(Math.round(fps.max * fpsScale), refreshCap);
+
+    result[profile.id] = {
+      tdp_w: profile.tdp_w,
+      battery_hours: Math.round(Math.max(MIN_HOURS, Math.min(maxHours, profileHours)) * 10) / 10,
+      fps_min: Math.min(Math.round(fps.min * fpsScale), fpsMax),
+      fps_max: fpsMax
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Structured explanation of a prediction, stored as device_performance.<device>.breakdown
+ * { model_version, baseline, modifiers: [{ feature, label, source, input, value }], missing, raw_hours, clamp, hours }
+ */
+function explainPrediction(game, prediction, model = loadBatteryModel()) {
+  const round = value => Math.round(value * 100) / 100;
+
+  const modifiers = prediction.applied.map(({ feature, value }) => ({
+    feature,
+    label: describeFeature(feature),
+    source: FEATURE_SOURCES[feature.split(':')[0]],
+    input: getFeatureInput(game, feature),
+    value: round(value)
+  }));
+
+  // Inputs the estimate had to do without
+  const missing = Object.values(FEATURE_SOURCES).filter(field => {
+    const value = game[field];
+    return value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+  });
+
+  let clampApplied = null;
+  if (prediction.raw < prediction.clamp.min) clampApplied = 'min';
+  else if (prediction.raw > prediction.clamp.max) clampApplied = 'max';
+
+  return {
+    model_version: model.version,
+    baseline: {
+      hours: round(prediction.intercept),
+      source: model.fitted_at ? 'calibrated' : 'registry'
+    },
+    modifiers,
+    missing,
+    raw_hours: round(prediction.raw),
+    clamp: { ...prediction.clamp, applied: clampApplied },
+    hours: Math.round(prediction.hours * 10) / 10
+  };
+}
+
+module.exports = {
+  DEVICES,
+  FEATURES,
+  DEFAULT_MODEL,
+  MODEL_PATH,
+  loadBatteryModel,
+  saveBatteryModel,
+  extractFeatures,
+  describeFeature,
+  predictHours,
+  explainPrediction,
+  getEstimateFingerprint,
+  getDrainCategory,
+  hasPowerProfiles,
+  estimatePowerProfiles
+};
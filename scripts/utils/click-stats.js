@@ -0,0 +1,129 @@
+/**
+ * Click stats
+ * Reads the click_stats roll-up (scripts/aggregate-clicks.js) for the
+ * click-stats endpoint and the dashboard panel.
+ *
+ * getClickStats({ from, to, groupBy }) sums clicks and sessions between two
+ * UTC days (inclusive) grouped by one or more dimensions:
+ *   day, game, store, source_page, device
+ */
+
+// groupBy name → click_stats field
+const DIMENSIONS = {
+  day: 'day',
+  game: 'game_id',
+  store: 'store',
+  source_page: 'source_page',
+  device: 'device'
+};
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a stats query → { from, to, groupBy } or { error }
+ * Defaults to the last DEFAULT_RANGE_DAYS days grouped by day.
+ */
+function parseStatsQuery(query = {}, now = new Date()) {
+  const yesterday = new Date(now.getTime() - DAY_MS).toISOString().slice(0, 10);
+  const to = query.to || yesterday;
+  const from = query.from || new Date(new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+  const groupBy = (Array.isArray(query.groupBy) ? query.groupBy : String(query.groupBy || 'day').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  if (!DAY_PATTERN.test(from) || !DAY_PATTERN.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (from > to) {
+    return { error: 'from must not be after to' };
+  }
+  if ((Date.parse(to) - Date.parse(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    return { error: `Range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+
+  const unknown = groupBy.filter(name => !DIMENSIONS[name]);
+  if (unknown.length > 0 || groupBy.length === 0) {
+    return { error: `groupBy must be one or more of: ${Object.keys(DIMENSIONS).join(', ')}` };
+  }
+
+  return { from, to, groupBy: [...new Set(groupBy)] };
+}
+
+/**
+ * Summed clicks per group
+ * @param {Object} services - { clickStats, games } ItemsService instances
+ * @param {Object} query - Output of parseStatsQuery()
+ * @returns {Promise<Object>} - { from, to, groupBy, totals: { clicks, sessions }, rows: [{ day?, game?, store?, ..., clicks, sessions }] }
+ */
+async function getClickStats({ clickStats, games }, { from, to, groupBy }) {
+  const fields = groupBy.map(name => DIMENSIONS[name]);
+
+  const groups = await clickStats.readByQuery({
+    aggregate: { sum: ['clicks', 'sessions'] },
+    groupBy: fields,
+    filter: {
+      _and: [
+        { day: { _gte: from } },
+        { day: { _lte: to } }
+      ]
+    },
+    limit: -1
+  });
+
+  // Game titles for the game dimension
+  const titles = new Map();
+  const gameIds = groupBy.includes('game')
+    ? [...new Set(groups.map(group => group.game_id).filter(Boolean))]
+    : [];
+
+  if (gameIds.length > 0) {
+    const rows = await games.readByQuery({
+      filter: { id: { _in: gameIds } },
+      fields: ['id', 'title', 'slug'],
+      limit: -1
+    });
+    rows.forEach(game => titles.set(game.id, game));
+  }
+
+  const rows = groups.map(group => {
+    const row = {};
+
+    for (const name of groupBy) {
+      const value = group[DIMENSIONS[name]];
+
+      if (name === 'game') {
+        const game = titles.get(value);
+        row.game = value ? { id: value, title: game ? game.title : 'Deleted game', slug: game ? game.slug : null } : null;
+      } else if (name === 'day') {
+        row.day = value ? String(value).slice(0, 10) : null;
+      } else {
+        row[name] = value || null;
+      }
+    }
+
+    row.clicks = parseInt(group.sum && group.sum.clicks, 10) || 0;
+    row.sessions = parseInt(group.sum && group.sum.sessions, 10) || 0;
+    return row;
+  });
+
+  // Time series in order, everything else busiest first
+  rows.sort((a, b) => (groupBy[0] === 'day'
+    ? String(a.day).localeCompare(String(b.day)) || b.clicks - a.clicks
+    : b.clicks - a.clicks));
+
+  return {
+    from,
+    to,
+    groupBy,
+    totals: {
+      clicks: rows.reduce((sum, row) => sum + row.clicks, 0),
+      sessions: rows.reduce((sum, row) => sum + row.sessions, 0)
+    },
+    rows
+  };
+}
+
+module.exports = { DIMENSIONS, parseStatsQuery, getClickStats };
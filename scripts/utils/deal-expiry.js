@@ -0,0 +1,77 @@
+/**
+ * Deal expiry
+ * deals.expires_at is the one expiry field (site, alerts, digest, cleanup-old-deals.js).
+ * fetch-cheapshark.js sets it with expires_source:
+ * - store: sale end reported by the deal source (adapter `saleEnd`)
+ * - event: end of an active event featuring the game, when the store gives no end
+ *
+ * A store end outlives later runs without one (e.g. after DEAL_SOURCES moves
+ * Humble from "humble" to "cheapshark") until it passes. Event ends are re-derived every run, so an
+ * extended or ended event is picked up.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Event end as a timestamp - end_date is the last sale day (inclusive, UTC)
+ */
+function getEventExpiry(event) {
+  if (!event || !event.end_date) return null;
+
+  const end = Date.parse(String(event.end_date).slice(0, 10));
+  return Number.isNaN(end) ? null : new Date(end + DAY_MS).toISOString();
+}
+
+/**
+ * Active event covering a game: events listing the game win over
+ * store-wide ones (no games), the later end wins among equals
+ * @param {Array} activeEvents - [{ id, title, end_date, games: [{ games_id }] }]
+ */
+function findEventForGame(gameId, activeEvents = []) {
+  let best = null;
+  let bestListed = false;
+
+  for (const event of activeEvents) {
+    if (!getEventExpiry(event)) continue;
+
+    const gameIds = (event.games || []).map(link => link.games_id);
+    const listed = gameIds.includes(gameId);
+    if (!listed && gameIds.length > 0) continue;
+
+    if (!best || (listed && !bestListed) ||
+      (listed === bestListed && getEventExpiry(event) > getEventExpiry(best))) {
+      best = event;
+      bestListed = listed;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * expires_at + expires_source for a deal
+ * @param {string|null} saleEnd - Store sale end (ISO) from the adapter
+ * @param {string} gameId
+ * @param {Object|null} existingDeal - Stored deal ({ expires_at, expires_source })
+ * @param {Array} activeEvents
+ * @returns {Object} - { expires_at, expires_source } (both null = no known end)
+ */
+function resolveDealExpiry(saleEnd, gameId, existingDeal, activeEvents, now = new Date()) {
+  if (saleEnd) {
+    return { expires_at: saleEnd, expires_source: 'store' };
+  }
+
+  if (existingDeal && existingDeal.expires_source === 'store' &&
+    existingDeal.expires_at && new Date(existingDeal.expires_at) > now) {
+    return { expires_at: existingDeal.expires_at, expires_source: 'store' };
+  }
+
+  const event = findEventForGame(gameId, activeEvents);
+  if (event) {
+    return { expires_at: getEventExpiry(event), expires_source: 'event' };
+  }
+
+  return { expires_at: null, expires_source: null };
+}
+
+module.exports = { getEventExpiry, findEventForGame, resolveDealExpiry };
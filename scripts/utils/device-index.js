@@ -0,0 +1,72 @@
+/**
+ * Device index
+ * Denormalised copies of games.device_performance that Directus can filter on
+ * (filters can't reach into the json field). Written alongside every
+ * device_performance write (estimate-battery.js, sync-steam-data.js,
+ * seed-dev-data.js) - estimate-battery.js also repairs stale rows:
+ * - device_statuses:        ",steam_deck:excellent,rog_ally:good,"
+ * - battery_saver_profiles: ",steam_deck:eco,steam_deck:balanced,"
+ *   (device:profile pairs estimated at BATTERY_SAVER_HOURS or more)
+ *
+ * Tokens are comma-wrapped so `_contains: ',steam_deck:eco,'` never matches
+ * a longer device id. frontend/src/lib/api.ts builds the matching filters.
+ */
+
+const { DEVICE_IDS, getDevice } = require('./devices');
+
+// Battery Saver section threshold (hours at the selected power profile)
+const BATTERY_SAVER_HOURS = 5;
+
+// Profile token for devices without power profiles
+const DEFAULT_PROFILE_TOKEN = 'default';
+
+/**
+ * ",a,b," or null when empty
+ */
+function joinTokens(tokens) {
+  return tokens.length > 0 ? `,${tokens.join(',')},` : null;
+}
+
+/**
+ * Battery hours for one device at one power profile - the profile estimate,
+ * or battery_hours for entries without profile estimates (hand-tested)
+ */
+function getProfileHours(entry, profileId) {
+  const estimate = profileId && entry.profiles ? entry.profiles[profileId] : null;
+  return estimate ? estimate.battery_hours : entry.battery_hours;
+}
+
+/**
+ * Index columns for one game
+ * @param {Object} devicePerformance - games.device_performance
+ * @returns {Object} - { device_statuses, battery_saver_profiles }
+ */
+function buildDeviceIndex(devicePerformance) {
+  const statuses = [];
+  const batterySavers = [];
+
+  for (const deviceId of DEVICE_IDS) {
+    const entry = devicePerformance && devicePerformance[deviceId];
+    if (!entry) continue;
+
+    if (entry.status) {
+      statuses.push(`${deviceId}:${entry.status}`);
+    }
+
+    const profiles = getDevice(deviceId).power_profiles || [];
+    const profileIds = profiles.length > 0 ? profiles.map(profile => profile.id) : [null];
+
+    for (const profileId of profileIds) {
+      if (getProfileHours(entry, profileId) >= BATTERY_SAVER_HOURS) {
+        batterySavers.push(`${deviceId}:${profileId || DEFAULT_PROFILE_TOKEN}`);
+      }
+    }
+  }
+
+  return {
+    device_statuses: joinTokens(statuses),
+    battery_saver_profiles: joinTokens(batterySavers)
+  };
+}
+
+module.exports = { BATTERY_SAVER_HOURS, DEFAULT_PROFILE_TOKEN, buildDeviceIndex };
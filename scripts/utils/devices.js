@@ -0,0 +1,39 @@
+/**
+ * Device registry
+ * Reads the mirror of the Directus `devices` collection (frontend/src/data/devices.json),
+ * shared with the frontend. Refresh it with: npm run sync:devices
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = path.join(__dirname, '../../frontend/src/data/devices.json');
+
+const { devices: DEVICES } = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+
+// Device keys used in device_performance (steam_deck, rog_ally, ...)
+const DEVICE_IDS = DEVICES.map(device => device.id);
+
+/**
+ * Get device by id (null if unknown)
+ */
+function getDevice(id) {
+  return DEVICES.find(device => device.id === id) || null;
+}
+
+/**
+ * Get device by curator_picks.tested_on code (deck, ally, legion)
+ */
+function getDeviceByCuratorCode(code) {
+  return DEVICES.find(device => device.curator_code === code) || null;
+}
+
+/**
+ * Get device by id or curator code - price_alerts.device_context and
+ * curator_picks.tested_on predate the registry ids (deck → steam_deck)
+ */
+function resolveDevice(value) {
+  return getDevice(value) || getDeviceByCuratorCode(value);
+}
+
+module.exports = { DEVICES, DEVICE_IDS, REGISTRY_PATH, getDevice, getDeviceByCuratorCode, resolveDevice };
@@ -0,0 +1,516 @@
+/**
+ * Email templates
+ * Each render function returns { subject, html, text, headers? } for utils/mailer.
+ * HTML uses inline styles only (mail clients strip <style>).
+ */
+
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:4321').replace(/\/$/, '');
+
+// Public Directus URL - confirm/unsubscribe links hit extensions/endpoints/price-alerts
+const API_URL = (process.env.PUBLIC_URL || 'http://localhost:8055').replace(/\/$/, '');
+
+/**
+ * Escape user/database text for HTML
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a price ($12.49)
+ */
+function formatPrice(value) {
+  return `$${Number(value).toFixed(2)}`;
+}
+
+/**
+ * Shared HTML shell (dark header, white card, footer)
+ */
+function renderLayout(title, bodyHtml, footerHtml = '') {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f5;padding:24px 0;">
+    <tr>
+      <td align="center">
+        <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="max-width:560px;width:100%;background:#ffffff;border-radius:8px;overflow:hidden;">
+          <tr>
+            <td style="background:#18181b;color:#fafafa;padding:16px 24px;font-size:18px;font-weight:bold;">
+              🎮 Handheld Deals
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:24px;font-size:15px;line-height:1.5;">
+              ${bodyHtml}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:16px 24px;border-top:1px solid #e4e4e7;font-size:12px;color:#71717a;">
+              ${footerHtml}
+              <p style="margin:0;">This is an automated email from <a href="${SITE_URL}" style="color:#71717a;">Handheld Deals</a>.</p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Call-to-action button
+ */
+function renderButton(href, label) {
+  return `<p style="margin:24px 0;"><a href="${escapeHtml(href)}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">${escapeHtml(label)}</a></p>`;
+}
+
+/**
+ * Standalone page for links clicked in an email (confirm, unsubscribe)
+ * @param {Object|null} action - { url, label }: POST button for changes a link
+ *   must not make on GET (mail scanners prefetch links)
+ */
+function renderNoticePage(title, message, action = null) {
+  const form = action
+    ? `<form method="post" action="${escapeHtml(action.url)}" style="margin:0 0 24px;"><button type="submit" style="background:#2563eb;color:#ffffff;padding:12px 20px;border:0;border-radius:6px;font-weight:bold;font-size:16px;cursor:pointer;">${escapeHtml(action.label)}</button></form>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - Handheld Deals</title>
+</head>
+<body style="margin:0;padding:48px 16px;background:#18181b;font-family:Arial,Helvetica,sans-serif;color:#fafafa;text-align:center;">
+  <h1 style="font-size:24px;margin:0 0 12px;">${escapeHtml(title)}</h1>
+  <p style="margin:0 0 24px;color:#a1a1aa;">${escapeHtml(message)}</p>
+  ${form}
+  <a href="${SITE_URL}" style="color:#60a5fa;">← Back to Handheld Deals</a>
+</body>
+</html>
+`;
+}
+
+/**
+ * Outbound deal link through the click-tracking redirect (extensions/endpoints/go)
+ */
+function getDealLink(deal, fallbackUrl) {
+  return deal.id ? `${API_URL}/go/${encodeURIComponent(deal.id)}?source=email` : (deal.url || fallbackUrl);
+}
+
+/**
+ * Price alert confirm / unsubscribe links (the alert's verification_token)
+ */
+function getAlertConfirmUrl(token) {
+  return `${API_URL}/price-alerts/confirm?token=${encodeURIComponent(token)}`;
+}
+
+// all = every alert of the token's email address (digest emails)
+function getAlertUnsubscribeUrl(token, { all = false } = {}) {
+  return `${API_URL}/price-alerts/unsubscribe?token=${encodeURIComponent(token)}${all ? '&all=1' : ''}`;
+}
+
+/**
+ * List-Unsubscribe headers (RFC 8058 one-click, shown as "Unsubscribe" by Gmail/Outlook)
+ */
+function getUnsubscribeHeaders(unsubscribeUrl) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+// ============================================================================
+// PRICE ALERT
+// ============================================================================
+
+/**
+ * What the alert watches for ("when Hades drops to $9.99 or less")
+ */
+function describeAlert(alert, game) {
+  switch (alert.alert_type) {
+    case 'new_low':
+      return `every time ${game.title} hits a new historical low`;
+    case 'percent_off':
+      return `when ${game.title} is at least ${alert.target_discount_percent}% off`;
+    case 'event_sale':
+      return `when ${game.title} is on sale during a sale event`;
+    default:
+      return `when ${game.title} drops to ${formatPrice(alert.target_price)} or less`;
+  }
+}
+
+/**
+ * Price alert double opt-in confirmation
+ * @param {Object} data - { alert, game }
+ */
+function renderAlertConfirmationEmail({ alert, game }) {
+  const subject = `Confirm your price alert for ${game.title}`;
+  const confirmUrl = getAlertConfirmUrl(alert.verification_token);
+  const unsubscribeUrl = getAlertUnsubscribeUrl(alert.verification_token);
+
+  const html = renderLayout(subject, `
+              <h2 style="margin:0 0 12px;font-size:20px;">Confirm your price alert</h2>
+              <p style="margin:0 0 16px;">We'll email you ${escapeHtml(describeAlert(alert, game))}.</p>
+              <p style="margin:0;">Please confirm this is your email address - the alert stays inactive until you do.</p>
+              ${renderButton(confirmUrl, 'Confirm price alert')}
+              <p style="margin:0;font-size:13px;color:#71717a;">Didn't request this? Ignore this email and the alert is deleted automatically.</p>
+  `, `<p style="margin:0 0 8px;"><a href="${escapeHtml(unsubscribeUrl)}" style="color:#71717a;">Cancel this alert</a></p>`);
+
+  const text = [
+    'Confirm your price alert',
+    '',
+    `We'll email you ${describeAlert(alert, game)}.`,
+    'Please confirm this is your email address - the alert stays inactive until you do.',
+    '',
+    `Confirm price alert: ${confirmUrl}`,
+    '',
+    "Didn't request this? Ignore this email and the alert is deleted automatically.",
+    '',
+    '-- ',
+    `Cancel this alert: ${unsubscribeUrl}`,
+    `This is an automated email from Handheld Deals (${SITE_URL}).`
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/**
+ * One-line summary of a triggered alert, by alert_type
+ */
+function getAlertHeadline(alert, game, deal) {
+  switch (alert.alert_type) {
+    case 'new_low':
+      return `${game.title} hit a new low: ${formatPrice(deal.price)}`;
+    case 'percent_off':
+      return `${game.title} is ${deal.discount_percent}% off (${formatPrice(deal.price)})`;
+    case 'event_sale':
+      return `${game.title} is on sale: ${deal.discount_percent}% off (${formatPrice(deal.price)})`;
+    default:
+      return `${game.title} is now ${formatPrice(deal.price)}`;
+  }
+}
+
+/**
+ * Fact rows ([label, value]) for a triggered alert
+ */
+function getAlertFacts(alert, deal, device) {
+  const facts = [['Current price', formatPrice(deal.price)]];
+
+  if (alert.target_price) {
+    facts.push(['Your target', formatPrice(alert.target_price)]);
+  }
+  if (alert.alert_type === 'percent_off' && alert.target_discount_percent) {
+    facts.push(['Your target discount', `${alert.target_discount_percent}%+`]);
+  }
+
+  facts.push(['Discount', `${deal.discount_percent}% off`]);
+  facts.push(['Store', deal.store]);
+
+  if (device) {
+    facts.push(['Your device', device]);
+  }
+
+  return facts;
+}
+
+/**
+ * Rule line marker - skipped rules (not checked) aren't shown as met
+ */
+function getRuleIcon(rule) {
+  return rule.skipped ? 'ℹ️' : '✅';
+}
+
+/**
+ * Triggered alert body block (facts, satisfied rules, deal button)
+ */
+function renderAlertItemHtml({ alert, game, deal, device, rules = [] }) {
+  const gameUrl = game.slug ? `${SITE_URL}/game/${game.slug}` : SITE_URL;
+
+  return `<table role="presentation" cellpadding="0" cellspacing="0" style="font-size:14px;">
+                ${getAlertFacts(alert, deal, device).map(([label, value]) => `<tr><td style="padding:4px 16px 4px 0;color:#71717a;">${escapeHtml(label)}</td><td style="padding:4px 0;font-weight:bold;">${escapeHtml(value)}</td></tr>`).join('\n                ')}
+              </table>
+              ${deal.is_historical_low ? '<p style="margin:16px 0 0;color:#16a34a;font-weight:bold;">🔥 Historical low!</p>' : ''}
+              ${rules.length > 0 ? `<p style="margin:16px 0 4px;font-weight:bold;">Why you got this alert</p>
+              <ul style="margin:0;padding-left:20px;font-size:14px;">
+                ${rules.map(rule => `<li>${getRuleIcon(rule)} ${escapeHtml(rule.label)}</li>`).join('\n                ')}
+              </ul>` : ''}
+              ${renderButton(getDealLink(deal, gameUrl), 'Get this deal')}
+              <p style="margin:0;font-size:13px;"><a href="${escapeHtml(gameUrl)}" style="color:#2563eb;">Handheld compatibility and battery life →</a></p>`;
+}
+
+function renderAlertItemText({ alert, game, deal, device, rules = [] }) {
+  const gameUrl = game.slug ? `${SITE_URL}/game/${game.slug}` : SITE_URL;
+
+  return [
+    ...getAlertFacts(alert, deal, device).map(([label, value]) => `${label}: ${value}`),
+    ...(deal.is_historical_low ? ['', '🔥 Historical low!'] : []),
+    ...(rules.length > 0 ? ['', 'Why you got this alert:', ...rules.map(rule => `${getRuleIcon(rule)} ${rule.label}`)] : []),
+    '',
+    `Get this deal: ${getDealLink(deal, gameUrl)}`,
+    `Handheld compatibility and battery life: ${gameUrl}`
+  ];
+}
+
+/**
+ * Price alert triggered
+ * @param {Object} data - { alert, game, deal, device, rules }
+ *   device - device name for device_context alerts, rules - rules from utils/alert-rules (skipped = not checked)
+ */
+function renderPriceAlertEmail(item) {
+  const { alert, game, deal } = item;
+  const headline = getAlertHeadline(alert, game, deal);
+  const subject = `🎮 Price Alert: ${headline}!`;
+  const unsubscribeUrl = alert.verification_token ? getAlertUnsubscribeUrl(alert.verification_token) : null;
+
+  const html = renderLayout(subject, `
+              <h2 style="margin:0 0 12px;font-size:20px;">Your price alert has been triggered!</h2>
+              <p style="margin:0 0 16px;"><strong>${escapeHtml(headline)}</strong></p>
+              ${renderAlertItemHtml(item)}
+  `, unsubscribeUrl ? `<p style="margin:0 0 8px;">You're receiving this because you set a price alert. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#71717a;">Unsubscribe</a></p>` : '');
+
+  const text = [
+    'Your price alert has been triggered!',
+    '',
+    headline,
+    '',
+    ...renderAlertItemText(item),
+    '',
+    '-- ',
+    ...(unsubscribeUrl ? [`Unsubscribe: ${unsubscribeUrl}`] : []),
+    `This is an automated email from Handheld Deals (${SITE_URL}).`
+  ].join('\n');
+
+  return {
+    subject,
+    html,
+    text,
+    headers: unsubscribeUrl ? getUnsubscribeHeaders(unsubscribeUrl) : {}
+  };
+}
+
+/**
+ * Several alerts for one email in the same run → one digest
+ * @param {Array} items - [{ alert, game, deal, device, rules }] (same recipient)
+ */
+function renderPriceAlertDigestEmail(items) {
+  if (items.length === 1) {
+    return renderPriceAlertEmail(items[0]);
+  }
+
+  const titles = [...new Set(items.map(item => item.game.title))];
+  const subject = `🎮 ${items.length} price alerts: ${titles.slice(0, 2).join(', ')}${titles.length > 2 ? ' and more' : ''}`;
+
+  // Any of the recipient's tokens proves ownership of the address
+  const token = (items.find(item => item.alert.verification_token) || {}).alert?.verification_token;
+  const unsubscribeAllUrl = token ? getAlertUnsubscribeUrl(token, { all: true }) : null;
+
+  const stopLink = item => (item.alert.verification_token
+    ? getAlertUnsubscribeUrl(item.alert.verification_token)
+    : null);
+
+  const html = renderLayout(subject, `
+              <h2 style="margin:0 0 12px;font-size:20px;">${items.length} of your price alerts were triggered!</h2>
+              ${items.map(item => `<div style="margin:0 0 24px;padding-top:16px;border-top:1px solid #e4e4e7;">
+              <p style="margin:0 0 12px;font-size:16px;"><strong>${escapeHtml(getAlertHeadline(item.alert, item.game, item.deal))}</strong></p>
+              ${renderAlertItemHtml(item)}
+              ${stopLink(item) ? `<p style="margin:8px 0 0;font-size:12px;"><a href="${escapeHtml(stopLink(item))}" style="color:#71717a;">Stop this alert</a></p>` : ''}
+              </div>`).join('\n              ')}
+  `, unsubscribeAllUrl ? `<p style="margin:0 0 8px;">You're receiving this because you set price alerts. <a href="${escapeHtml(unsubscribeAllUrl)}" style="color:#71717a;">Unsubscribe from all price alerts</a></p>` : '');
+
+  const text = [
+    `${items.length} of your price alerts were triggered!`,
+    ...items.flatMap(item => [
+      '',
+      '----------------------------------------',
+      getAlertHeadline(item.alert, item.game, item.deal),
+      '',
+      ...renderAlertItemText(item),
+      ...(stopLink(item) ? [`Stop this alert: ${stopLink(item)}`] : [])
+    ]),
+    '',
+    '-- ',
+    ...(unsubscribeAllUrl ? [`Unsubscribe from all price alerts: ${unsubscribeAllUrl}`] : []),
+    `This is an automated email from Handheld Deals (${SITE_URL}).`
+  ].join('\n');
+
+  return {
+    subject,
+    html,
+    text,
+    headers: unsubscribeAllUrl ? getUnsubscribeHeaders(unsubscribeAllUrl) : {}
+  };
+}
+
+// ============================================================================
+// WEEKLY DIGEST
+// ============================================================================
+
+/**
+ * Subscriber confirm / unsubscribe links (the subscriber's verification_token)
+ */
+function getSubscriberConfirmUrl(token) {
+  return `${API_URL}/subscribers/confirm?token=${encodeURIComponent(token)}`;
+}
+
+function getSubscriberUnsubscribeUrl(token) {
+  return `${API_URL}/subscribers/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Weekly digest double opt-in confirmation
+ * @param {Object} data - { subscriber, device } (device = registry device or null for all)
+ */
+function renderSubscriberConfirmationEmail({ subscriber, device }) {
+  const subject = 'Confirm your Weekly Handheld Gems subscription';
+  const confirmUrl = getSubscriberConfirmUrl(subscriber.verification_token);
+  const focus = device ? `${device.name} deals` : 'handheld deals';
+
+  const html = renderLayout(subject, `
+              <h2 style="margin:0 0 12px;font-size:20px;">Confirm your subscription</h2>
+              <p style="margin:0 0 16px;">Every Wednesday we'll send you the best ${escapeHtml(focus)}, new hand-tested curator picks, active sales and the status of your price alerts.</p>
+              ${renderButton(confirmUrl, 'Confirm subscription')}
+              <p style="margin:0;font-size:13px;color:#71717a;">Didn't sign up? Ignore this email - you won't hear from us.</p>
+  `);
+
+  const text = [
+    'Confirm your subscription',
+    '',
+    `Every Wednesday we'll send you the best ${focus}, new hand-tested curator picks, active sales and the status of your price alerts.`,
+    '',
+    `Confirm subscription: ${confirmUrl}`,
+    '',
+    "Didn't sign up? Ignore this email - you won't hear from us.",
+    '',
+    '-- ',
+    `This is an automated email from Handheld Deals (${SITE_URL}).`
+  ].join('\n');
+
+  return { subject, html, text };
+}
+
+/**
+ * Section heading + rows (skipped when empty)
+ */
+function renderDigestSection(title, rowsHtml) {
+  if (rowsHtml.length === 0) {
+    return '';
+  }
+
+  return `<h3 style="margin:24px 0 8px;font-size:17px;">${escapeHtml(title)}</h3>
+              <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:14px;">
+                ${rowsHtml.join('\n                ')}
+              </table>`;
+}
+
+function renderDigestRow(href, title, detail) {
+  return `<tr><td style="padding:6px 0;border-bottom:1px solid #f4f4f5;"><a href="${escapeHtml(href)}" style="color:#2563eb;font-weight:bold;text-decoration:none;">${escapeHtml(title)}</a><br><span style="color:#71717a;">${escapeHtml(detail)}</span></td></tr>`;
+}
+
+/**
+ * Weekly digest
+ * @param {Object} data - { subscriber, device, alerts, deals, picks, events }
+ *   alerts - [{ alert, game, deal }] (deal = current best deal or null)
+ *   deals - top discount deals with game_id expanded
+ *   picks - new curator_picks with game_id expanded ({ device } = tested_on device)
+ *   events - active events
+ */
+function renderWeeklyDigestEmail({ subscriber, device, alerts = [], deals = [], picks = [], events = [] }) {
+  const gameUrl = game => (game && game.slug ? `${SITE_URL}/game/${game.slug}` : SITE_URL);
+  const unsubscribeUrl = getSubscriberUnsubscribeUrl(subscriber.verification_token);
+  const subject = `🎮 Weekly Handheld Gems${device ? ` for ${device.name}` : ''}: ${deals.length} top deal${deals.length === 1 ? '' : 's'}${picks.length > 0 ? `, ${picks.length} new pick${picks.length === 1 ? '' : 's'}` : ''}`;
+
+  const sections = {
+    events: events.map(event => [
+      SITE_URL,
+      `🎪 ${event.title}`,
+      event.end_date ? `Ends ${new Date(event.end_date).toDateString()}` : 'On now'
+    ]),
+    alerts: alerts.map(({ alert, game, deal }) => [
+      gameUrl(game),
+      game.title,
+      `Watching ${describeAlert(alert, game).replace(` ${game.title}`, ' it')} · ${deal ? `now ${formatPrice(deal.price)} at ${deal.store} (${deal.discount_percent}% off)` : 'no deals right now'}`
+    ]),
+    deals: deals.map(deal => [
+      getDealLink(deal, gameUrl(deal.game_id)),
+      deal.game_id ? deal.game_id.title : 'Unknown game',
+      `${formatPrice(deal.price)} (was ${formatPrice(deal.normal_price)}) · ${deal.discount_percent}% off at ${deal.store}${deal.is_historical_low ? ' · 🔥 Historical low' : ''}`
+    ]),
+    picks: picks.map(pick => [
+      gameUrl(pick.game_id),
+      pick.game_id ? pick.game_id.title : 'Unknown game',
+      [
+        pick.verdict || pick.score,
+        pick.device ? `tested on ${pick.device.name}` : null,
+        pick.battery_hours ? `~${parseFloat(pick.battery_hours)}h battery` : null
+      ].filter(Boolean).join(' · ')
+    ])
+  };
+
+  const titles = {
+    events: 'Sales on now',
+    alerts: 'Your price alerts',
+    deals: device ? `Top deals that run on ${device.name}` : 'Top deals this week',
+    picks: 'New curator picks'
+  };
+
+  const order = ['events', 'alerts', 'deals', 'picks'];
+
+  const html = renderLayout(subject, `
+              <h2 style="margin:0 0 12px;font-size:20px;">Your weekly handheld gems</h2>
+              <p style="margin:0;">The best${device ? ` ${escapeHtml(device.name)}` : ''} deals we found this week.</p>
+              ${order.map(key => renderDigestSection(titles[key], sections[key].map(row => renderDigestRow(...row)))).join('\n              ')}
+              ${renderButton(SITE_URL, 'See all deals')}
+  `, `<p style="margin:0 0 8px;">You're receiving this because you subscribed to Weekly Handheld Gems. <a href="${escapeHtml(unsubscribeUrl)}" style="color:#71717a;">Unsubscribe</a></p>`);
+
+  const text = [
+    'Your weekly handheld gems',
+    ...order.flatMap(key => (sections[key].length === 0 ? [] : [
+      '',
+      titles[key].toUpperCase(),
+      ...sections[key].map(([href, title, detail]) => `- ${title}: ${detail}\n  ${href}`)
+    ])),
+    '',
+    `See all deals: ${SITE_URL}`,
+    '',
+    '-- ',
+    `Unsubscribe: ${unsubscribeUrl}`,
+    `This is an automated email from Handheld Deals (${SITE_URL}).`
+  ].join('\n');
+
+  return { subject, html, text, headers: getUnsubscribeHeaders(unsubscribeUrl) };
+}
+
+module.exports = {
+  SITE_URL,
+  API_URL,
+  escapeHtml,
+  formatPrice,
+  renderLayout,
+  renderButton,
+  renderNoticePage,
+  getDealLink,
+  getAlertConfirmUrl,
+  getAlertUnsubscribeUrl,
+  describeAlert,
+  getUnsubscribeHeaders,
+  renderAlertConfirmationEmail,
+  renderPriceAlertEmail,
+  renderPriceAlertDigestEmail,
+  getSubscriberConfirmUrl,
+  getSubscriberUnsubscribeUrl,
+  renderSubscriberConfirmationEmail,
+  renderWeeklyDigestEmail
+};
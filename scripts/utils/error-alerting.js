@@ -1,6 +1,6 @@
 /**
  * Error alerting utility
- * Sends alerts to Discord for critical errors
+ * Sends alerts to Discord for critical errors (and data notifications, e.g. ProtonDB tier drops)
  */
 
 const axios = require('axios');
@@ -17,6 +17,33 @@ const SEVERITY = {
   LOW: 'low'             // <10% operations failed
 };
 
+const COLORS = {
+  critical: 15158332,  // Red
+  high: 16744272,      // Dark Orange
+  medium: 16776960,    // Yellow
+  low: 3447003         // Blue
+};
+
+/**
+ * Post a single embed to the Discord webhook
+ */
+async function postDiscordEmbed(embed) {
+  await axios.post(DISCORD_WEBHOOK, {
+    embeds: [embed]
+  });
+}
+
+/**
+ * Build embed fields from a { name: value } map
+ */
+function toEmbedFields(info, inline = true) {
+  return Object.entries(info).map(([key, value]) => ({
+    name: key,
+    value: String(value),
+    inline
+  }));
+}
+
 /**
  * Send error alert to Discord
  */
@@ -26,13 +53,6 @@ async function sendErrorAlert(scriptName, errorMessage, severity = SEVERITY.MEDI
     return;
   }
 
-  const colors = {
-    critical: 15158332,  // Red
-    high: 16744272,      // Dark Orange
-    medium: 16776960,    // Yellow
-    low: 3447003         // Blue
-  };
-
   const emojis = {
     critical: '🚨',
     high: '⚠️',
@@ -44,25 +64,12 @@ async function sendErrorAlert(scriptName, errorMessage, severity = SEVERITY.MEDI
     const embed = {
       title: `${emojis[severity]} Handheld Deals - Error Alert`,
       description: `**Script:** ${scriptName}\n**Severity:** ${severity.toUpperCase()}\n\n**Error:**\n${errorMessage}`,
-      color: colors[severity] || colors.medium,
+      color: COLORS[severity] || COLORS.medium,
       timestamp: new Date().toISOString(),
-      fields: []
+      fields: toEmbedFields(additionalInfo)
     };
 
-    // Add additional info as fields
-    if (Object.keys(additionalInfo).length > 0) {
-      for (const [key, value] of Object.entries(additionalInfo)) {
-        embed.fields.push({
-          name: key,
-          value: String(value),
-          inline: true
-        });
-      }
-    }
-
-    await axios.post(DISCORD_WEBHOOK, {
-      embeds: [embed]
-    });
+    await postDiscordEmbed(embed);
 
     console.log('   📧 Error alert sent to Discord');
   } catch (error) {
@@ -70,6 +77,33 @@ async function sendErrorAlert(scriptName, errorMessage, severity = SEVERITY.MEDI
   }
 }
 
+/**
+ * Send a non-error notification to Discord (data changes worth a curator's attention)
+ * Returns true when the message was delivered
+ */
+async function sendNotification(title, message, severity = SEVERITY.MEDIUM, additionalInfo = {}) {
+  if (!DISCORD_WEBHOOK) {
+    console.log('   ℹ️  Discord webhook not configured, skipping notification');
+    return false;
+  }
+
+  try {
+    await postDiscordEmbed({
+      title,
+      description: message,
+      color: COLORS[severity] || COLORS.medium,
+      timestamp: new Date().toISOString(),
+      fields: toEmbedFields(additionalInfo, false)
+    });
+
+    console.log('   📧 Notification sent to Discord');
+    return true;
+  } catch (error) {
+    console.error('   ❌ Failed to send Discord notification:', error.message);
+    return false;
+  }
+}
+
 /**
  * Determine severity based on success rate
  */
@@ -135,6 +169,7 @@ async function checkErrorThreshold(scriptName, stats) {
 
 module.exports = {
   sendErrorAlert,
+  sendNotification,
   checkErrorThreshold,
   determineSeverity,
   SEVERITY
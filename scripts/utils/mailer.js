@@ -0,0 +1,236 @@
+/**
+ * Mailer
+ * Sends transactional email through the transport selected by MAIL_TRANSPORT:
+ * - smtp: any SMTP server (nodemailer)
+ * - http: SendGrid-style JSON API (POST MAIL_API_URL with a Bearer key)
+ * - file: writes each message as an .eml file to MAIL_DROP_DIR (offline testing)
+ *
+ * There is no default: with MAIL_TRANSPORT unset every send fails, so alerts
+ * stay unsent instead of being marked sent with nobody emailed.
+ *
+ * sendMail() never throws - it resolves to a delivery result that callers
+ * record and use to decide whether to retry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT ? process.env.MAIL_TRANSPORT.toLowerCase() : null;
+const MAIL_FROM = process.env.MAIL_FROM || process.env.EMAIL_FROM || 'alerts@handhelddeals.com';
+const MAIL_FROM_NAME = process.env.MAIL_FROM_NAME || 'Handheld Deals';
+
+const MAIL_DROP_DIR = process.env.MAIL_DROP_DIR || path.join(__dirname, '../../.cache/mail-outbox');
+const MAIL_API_URL = process.env.MAIL_API_URL || 'https://api.sendgrid.com/v3/mail/send';
+const MAIL_API_KEY = process.env.MAIL_API_KEY || null;
+const MAIL_TIMEOUT_MS = 15000;
+
+const TRANSPORTS = ['smtp', 'http', 'file'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let smtpTransport = null;
+
+/**
+ * Unique Message-ID on the sender's domain
+ */
+function createMessageId() {
+  const domain = MAIL_FROM.split('@')[1] || 'localhost';
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * RFC 2047 encoded header value (subjects with emoji)
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Base64 body split into 76 character lines
+ */
+function encodeBody(content) {
+  return Buffer.from(content, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * Build a multipart/alternative MIME message (plaintext + HTML)
+ */
+function buildMimeMessage({ from, to, subject, text, html, messageId, date = new Date(), headers = {} }) {
+  const boundary = `=_hd_${crypto.randomBytes(12).toString('hex')}`;
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    ''
+  ];
+
+  return lines.join('\r\n');
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+/**
+ * SMTP via nodemailer (transport is reused between messages)
+ */
+async function sendViaSmtp(message) {
+  if (!smtpTransport) {
+    const nodemailer = require('nodemailer');
+
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  const info = await smtpTransport.sendMail({
+    from: message.from,
+    to: message.to,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    headers: message.headers,
+    messageId: message.messageId
+  });
+
+  return info.messageId || message.messageId;
+}
+
+/**
+ * SendGrid-style HTTP API (v3 mail/send payload)
+ */
+async function sendViaHttp(message) {
+  if (!MAIL_API_KEY) {
+    throw new Error('MAIL_API_KEY not set');
+  }
+
+  const response = await axios.post(MAIL_API_URL, {
+    personalizations: [{ to: [{ email: message.to }] }],
+    from: { email: MAIL_FROM, name: MAIL_FROM_NAME },
+    subject: message.subject,
+    content: [
+      { type: 'text/plain', value: message.text },
+      { type: 'text/html', value: message.html }
+    ],
+    headers: { ...message.headers, 'Message-ID': message.messageId }
+  }, {
+    headers: { Authorization: `Bearer ${MAIL_API_KEY}` },
+    timeout: MAIL_TIMEOUT_MS
+  });
+
+  return response.headers?.['x-message-id'] || message.messageId;
+}
+
+/**
+ * File drop - one .eml per message, openable in any mail client
+ */
+async function sendViaFile(message) {
+  fs.mkdirSync(MAIL_DROP_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const recipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+  const file = path.join(MAIL_DROP_DIR, `${stamp}-${recipient}-${crypto.randomBytes(3).toString('hex')}.eml`);
+
+  fs.writeFileSync(file, buildMimeMessage(message));
+
+  return message.messageId;
+}
+
+const SENDERS = {
+  smtp: sendViaSmtp,
+  http: sendViaHttp,
+  file: sendViaFile
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Plausible recipient address (signup forms - the confirmation email proves it)
+ */
+function isValidEmail(email) {
+  return typeof email === 'string' && email.length <= 254 && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Send an email
+ * @param {Object} mail - { to, subject, html, text, headers? }
+ * @returns {Promise<Object>} - { ok, transport, to, subject, message_id, error, sent_at }
+ */
+async function sendMail({ to, subject, html, text, headers = {} }) {
+  const message = {
+    from: `"${MAIL_FROM_NAME}" <${MAIL_FROM}>`,
+    to,
+    subject,
+    html,
+    text,
+    headers,
+    messageId: createMessageId()
+  };
+
+  const result = {
+    ok: false,
+    transport: MAIL_TRANSPORT,
+    to,
+    subject,
+    message_id: null,
+    error: null,
+    sent_at: new Date().toISOString()
+  };
+
+  try {
+    if (!MAIL_TRANSPORT) {
+      throw new Error(`MAIL_TRANSPORT not set (expected ${TRANSPORTS.join(', ')}) - nothing sent`);
+    }
+
+    const send = SENDERS[MAIL_TRANSPORT];
+    if (!send) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}" (expected ${TRANSPORTS.join(', ')})`);
+    }
+
+    result.message_id = await send(message);
+    result.ok = true;
+  } catch (error) {
+    // HTTP APIs put the useful part in the response body
+    const detail = error.response?.data ? ` - ${JSON.stringify(error.response.data).slice(0, 300)}` : '';
+    result.error = `${error.message}${detail}`;
+  }
+
+  return result;
+}
+
+module.exports = {
+  MAIL_TRANSPORT,
+  MAIL_DROP_DIR,
+  isValidEmail,
+  sendMail,
+  buildMimeMessage
+};
@@ -0,0 +1,92 @@
+/**
+ * Popularity score
+ * games.popularity_score (0-1000) is a weighted mix of four signals, each
+ * normalised to 0-1 and decayed with a half-life so stale activity fades:
+ * - clicks:  outbound deal clicks (click_stats), half-life CLICK_HALF_LIFE_DAYS
+ * - reviews: steam_total_reviews on a log scale (no decay - it's a lifetime count)
+ * - curator: published curator picks, half-life PICK_HALF_LIFE_DAYS
+ * - deal:    days since last_deal_date, half-life DEAL_HALF_LIFE_DAYS
+ *
+ * Higher = more popular. Used as a sort key by search and Top Discounts.
+ */
+
+const MAX_SCORE = 1000;
+
+const WEIGHTS = {
+  clicks: 0.4,
+  reviews: 0.3,
+  curator: 0.15,
+  deal: 0.15
+};
+
+const CLICK_HALF_LIFE_DAYS = 14;
+const PICK_HALF_LIFE_DAYS = 60;
+const DEAL_HALF_LIFE_DAYS = 7;
+
+// Signal values that count as "maxed out" (log scale below them)
+const CLICK_SATURATION = 500;      // Decayed clicks
+const REVIEW_SATURATION = 100000;  // Steam reviews
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Weight of an event `ageDays` old (1 today, 0.5 after one half-life)
+ */
+function decay(ageDays, halfLifeDays) {
+  return Math.pow(0.5, Math.max(0, ageDays) / halfLifeDays);
+}
+
+function ageInDays(date, now) {
+  return (now.getTime() - new Date(date).getTime()) / DAY_MS;
+}
+
+/**
+ * log10 scale capped at 1 (saturation → 1)
+ */
+function logScale(value, saturation) {
+  return value > 0 ? Math.min(1, Math.log10(1 + value) / Math.log10(1 + saturation)) : 0;
+}
+
+/**
+ * Normalised signals for one game
+ * @param {Object} game - { steam_total_reviews, last_deal_date }
+ * @param {Object} activity - { clicks: [{ day, clicks }], picks: [{ published_at }] }
+ * @returns {Object} - { clicks, reviews, curator, deal } (0-1 each)
+ */
+function getPopularitySignals(game, { clicks = [], picks = [] } = {}, now = new Date()) {
+  const decayedClicks = clicks.reduce(
+    (sum, row) => sum + (parseInt(row.clicks, 10) || 0) * decay(ageInDays(row.day, now), CLICK_HALF_LIFE_DAYS),
+    0
+  );
+  const decayedPicks = picks.reduce(
+    (sum, pick) => sum + (pick.published_at ? decay(ageInDays(pick.published_at, now), PICK_HALF_LIFE_DAYS) : 0),
+    0
+  );
+
+  return {
+    clicks: logScale(decayedClicks, CLICK_SATURATION),
+    reviews: logScale(parseInt(game.steam_total_reviews, 10) || 0, REVIEW_SATURATION),
+    curator: Math.min(1, decayedPicks),
+    deal: game.last_deal_date ? decay(ageInDays(game.last_deal_date, now), DEAL_HALF_LIFE_DAYS) : 0
+  };
+}
+
+/**
+ * Popularity score (integer 0-MAX_SCORE)
+ */
+function computePopularityScore(game, activity, now = new Date()) {
+  const signals = getPopularitySignals(game, activity, now);
+  const weighted = Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + weight * signals[key], 0);
+
+  return Math.round(weighted * MAX_SCORE);
+}
+
+module.exports = {
+  MAX_SCORE,
+  WEIGHTS,
+  CLICK_HALF_LIFE_DAYS,
+  PICK_HALF_LIFE_DAYS,
+  DEAL_HALF_LIFE_DAYS,
+  getPopularitySignals,
+  computePopularityScore
+};
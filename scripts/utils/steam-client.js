@@ -0,0 +1,198 @@
+/**
+ * Shared Steam Store client
+ *
+ * One place for appdetails / appreviews / Deck compatibility requests so the
+ * hourly deal fetch reuses what the daily metadata sync already downloaded.
+ *
+ * - On-disk TTL cache per app (.cache/steam/<kind>/<appId>.json)
+ * - ETag / Last-Modified tracking with conditional revalidation (304)
+ * - Throttling + retry via RateLimiter
+ * - Stale copy served when Steam is unreachable
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { RateLimiter } = require('./rate-limiter');
+
+const STEAM_STORE_URL = process.env.STEAM_STORE_URL || 'https://store.steampowered.com';
+const STEAM_STORE_API = process.env.STEAM_STORE_API || `${STEAM_STORE_URL}/api`;
+const CACHE_DIR = path.join(__dirname, '../../.cache/steam');
+const CACHE_TTL_HOURS = parseFloat(process.env.STEAM_CACHE_TTL_HOURS || '24');
+const REQUEST_DELAY_MS = parseInt(process.env.STEAM_REQUEST_DELAY_MS || '500', 10);
+const MAX_RETRIES = 3;
+
+const limiter = new RateLimiter(REQUEST_DELAY_MS, MAX_RETRIES);
+
+const stats = { hits: 0, revalidated: 0, fetched: 0, errors: 0 };
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Get cache file path for an app
+ */
+function getCachePath(kind, appId) {
+  return path.join(CACHE_DIR, kind, `${appId}.json`);
+}
+
+/**
+ * Read cached entry (null if missing or unreadable)
+ */
+function readCache(kind, appId) {
+  const file = getCachePath(kind, appId);
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write cache entry (temp file + rename so readers never see half a file)
+ */
+function writeCache(kind, appId, entry) {
+  const file = getCachePath(kind, appId);
+  const tmpFile = `${file}.tmp`;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(tmpFile, JSON.stringify(entry));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Age of a cache entry in hours
+ */
+function getCacheAgeHours(entry) {
+  return (Date.now() - new Date(entry.fetched_at).getTime()) / (1000 * 60 * 60);
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * GET with cache, conditional revalidation and retry
+ * `extract` turns the raw response body into what we cache (null = no data for this app).
+ */
+async function cachedGet(kind, appId, url, params, extract, { maxAgeHours = CACHE_TTL_HOURS } = {}) {
+  const cached = readCache(kind, appId);
+
+  if (cached && getCacheAgeHours(cached) < maxAgeHours) {
+    stats.hits++;
+    return cached.data;
+  }
+
+  // Let Steam answer 304 if nothing changed since our copy
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+  try {
+    const response = await limiter.executeWithRetry(
+      () => axios.get(url, {
+        params,
+        headers,
+        timeout: 5000,
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      }),
+      `Steam ${kind} for app ${appId}`
+    );
+
+    const now = new Date().toISOString();
+
+    if (response.status === 304 && cached) {
+      stats.revalidated++;
+      writeCache(kind, appId, { ...cached, fetched_at: now });
+      return cached.data;
+    }
+
+    const data = extract(response.data);
+
+    writeCache(kind, appId, {
+      app_id: appId,
+      fetched_at: now,
+      etag: response.headers.etag || null,
+      last_modified: response.headers['last-modified'] || null,
+      data
+    });
+
+    stats.fetched++;
+    return data;
+
+  } catch (error) {
+    stats.errors++;
+    console.error(`    ❌ Failed to fetch Steam ${kind} for app ${appId}:`, error.message);
+
+    // Better stale than nothing
+    return cached ? cached.data : null;
+  }
+}
+
+/**
+ * Fetch app details (appdetails endpoint)
+ * Returns the `data` object or null if Steam has no data for the app
+ */
+async function getAppDetails(steamAppId, options = {}) {
+  return cachedGet(
+    'appdetails',
+    steamAppId,
+    `${STEAM_STORE_API}/appdetails`,
+    { appids: steamAppId },
+    body => {
+      const entry = body && body[steamAppId];
+      return entry && entry.success ? entry.data : null;
+    },
+    options
+  );
+}
+
+/**
+ * Fetch review query summary (appreviews endpoint)
+ * Returns raw query_summary ({ total_positive, total_reviews, review_score_desc, ... }) or null
+ */
+async function getAppReviews(steamAppId, options = {}) {
+  return cachedGet(
+    'appreviews',
+    steamAppId,
+    `${STEAM_STORE_URL}/appreviews/${steamAppId}`,
+    {
+      json: 1,
+      language: 'all',
+      purchase_type: 'all',
+      num_per_page: 0 // Summary only, no review bodies
+    },
+    body => (body && body.success === 1 && body.query_summary) || null,
+    options
+  );
+}
+
+/**
+ * Fetch Steam Deck compatibility report (Valve's Deck Verified program)
+ * Returns { resolved_category, resolved_items: [{ display_type, loc_token }] } or null
+ */
+async function getDeckCompatibility(steamAppId, options = {}) {
+  return cachedGet(
+    'deckcompat',
+    steamAppId,
+    `${STEAM_STORE_URL}/saleaction/ajaxgetdeckappcompatibilityreport`,
+    { nAppID: steamAppId, l: 'english' },
+    body => (body && body.success === 1 && body.results) || null,
+    options
+  );
+}
+
+/**
+ * Cache statistics for run summaries
+ */
+function getCacheStats() {
+  return { ...stats };
+}
+
+module.exports = { getAppDetails, getAppReviews, getDeckCompatibility, getCacheStats };
@@ -0,0 +1,59 @@
+/**
+ * Steam review summary
+ * Real positive % / total reviews from Steam's appreviews query_summary
+ * (appdetails only exposes recommendations.total, no percentage)
+ */
+
+const { getAppReviews } = require('./steam-client');
+
+// Shared by the deal quality filter and the Steam metadata sync
+const REVIEW_THRESHOLDS = {
+  minPositivePercent: 60,    // Minimum 60% positive reviews
+  minTotalReviews: 50        // Minimum 50 total reviews
+};
+
+/**
+ * Fetch review summary for a Steam app (cached via steam-client)
+ * Returns { positive_percent, total_reviews, total_positive, review_score_desc } or null
+ */
+async function fetchReviewSummary(steamAppId, options = {}) {
+  const summary = await getAppReviews(steamAppId, options);
+
+  if (!summary) {
+    return null;
+  }
+
+  const totalReviews = summary.total_reviews || 0;
+
+  return {
+    positive_percent: totalReviews > 0
+      ? Math.round((summary.total_positive / totalReviews) * 100)
+      : null,
+    total_reviews: totalReviews,
+    total_positive: summary.total_positive || 0,
+    review_score_desc: summary.review_score_desc || null
+  };
+}
+
+/**
+ * Check review summary against thresholds
+ * Returns list of failure reasons (empty = passes). Unknown summary never fails,
+ * neither do unreviewed (0 reviews) games - new releases get a chance.
+ */
+function getReviewFailures(summary, thresholds = REVIEW_THRESHOLDS) {
+  const failures = [];
+
+  if (!summary) {
+    return failures;
+  }
+
+  if (summary.total_reviews > 0 && summary.total_reviews < thresholds.minTotalReviews) {
+    failures.push(`insufficient_reviews (${summary.total_reviews} < ${thresholds.minTotalReviews})`);
+  } else if (summary.positive_percent !== null && summary.positive_percent < thresholds.minPositivePercent) {
+    failures.push(`low_review_score (${summary.positive_percent}% < ${thresholds.minPositivePercent}%)`);
+  }
+
+  return failures;
+}
+
+module.exports = { fetchReviewSummary, getReviewFailures, REVIEW_THRESHOLDS };
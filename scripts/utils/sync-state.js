@@ -0,0 +1,62 @@
+/**
+ * Sync state utility
+ * Persists small JSON state (resume cursors, run ids) between script runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STATE_DIR = path.join(__dirname, '../../.cache/sync-state');
+
+/**
+ * Get file path for a named state
+ */
+function getStatePath(name) {
+  return path.join(STATE_DIR, `${name}.json`);
+}
+
+/**
+ * Read saved state (null if none or unreadable)
+ */
+function readState(name) {
+  const file = getStatePath(name);
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.log(`   ⚠️  Could not read state "${name}", starting fresh: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save state (written to a temp file first so a crash never leaves half a file)
+ */
+function writeState(name, state) {
+  if (!fs.existsSync(STATE_DIR)) {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+  }
+
+  const file = getStatePath(name);
+  const tmpFile = `${file}.tmp`;
+
+  fs.writeFileSync(tmpFile, JSON.stringify({ ...state, updated_at: new Date().toISOString() }, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Remove saved state
+ */
+function clearState(name) {
+  const file = getStatePath(name);
+
+  if (fs.existsSync(file)) {
+    fs.unlinkSync(file);
+  }
+}
+
+module.exports = { readState, writeState, clearState };